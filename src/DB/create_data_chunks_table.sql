@@ -13,6 +13,12 @@ CREATE TABLE IF NOT EXISTS data_chunks (
     source TEXT,
     legal_reference TEXT,
     embedding vector(1536), -- OpenAI text-embedding-3-small dimensions
+    content_hash TEXT, -- SHA-256 of the embedded text (title, reference, content); set by npm run ingest:legal
+    enabled BOOLEAN NOT NULL DEFAULT true, -- disabled chunks are kept but never returned by match_chunks / search_chunks_text
+    -- Full-text search over the chunk (the 'simple' configuration: no Hebrew stemming)
+    fts tsvector GENERATED ALWAYS AS (
+        to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(legal_reference, '') || ' ' || content)
+    ) STORED,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -21,6 +27,8 @@ CREATE TABLE IF NOT EXISTS data_chunks (
 CREATE INDEX IF NOT EXISTS idx_data_chunks_category ON data_chunks(category);
 CREATE INDEX IF NOT EXISTS idx_data_chunks_source ON data_chunks(source);
 CREATE INDEX IF NOT EXISTS idx_data_chunks_created_at ON data_chunks(created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_chunks_content_hash ON data_chunks(content_hash);
+CREATE INDEX IF NOT EXISTS idx_data_chunks_fts ON data_chunks USING gin(fts);
 
 -- Create vector similarity search index (using cosine distance)
 CREATE INDEX IF NOT EXISTS idx_data_chunks_embedding_cosine 
@@ -0,0 +1,20 @@
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// LLM and embedding configuration - the single place to choose vendor, models, timeouts and retries
+export const LLM_CONFIG = {
+  // openai | local (OpenAI-compatible server such as Ollama or llama.cpp) | mock (deterministic fixtures)
+  provider: process.env.LLM_PROVIDER || 'openai',
+  chatModel: process.env.LLM_CHAT_MODEL || 'gpt-4o-mini',
+  embeddingModel: process.env.LLM_EMBEDDING_MODEL || 'text-embedding-3-small',
+  // Must match the data_chunks.embedding column (vector(1536))
+  embeddingDimensions: parseInt(process.env.LLM_EMBEDDING_DIMENSIONS) || 1536,
+  apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+  baseURL: process.env.LLM_BASE_URL || (process.env.LLM_PROVIDER === 'local' ? 'http://localhost:11434/v1' : undefined),
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 60000,
+  maxRetries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+  mockFixturesPath: process.env.LLM_MOCK_FIXTURES || null
+}
+
+console.log(`🤖 LLM provider: ${LLM_CONFIG.provider} (${LLM_CONFIG.chatModel})`)
@@ -0,0 +1,39 @@
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// Notification configuration - transports per channel, credentials and reminder schedule
+export const NOTIFICATION_CONFIG = {
+  // smtp | console
+  emailTransport: process.env.NOTIFY_EMAIL_TRANSPORT || 'console',
+  // whatsapp (WhatsApp Business Cloud API) | console
+  whatsappTransport: process.env.NOTIFY_WHATSAPP_TRANSPORT || 'console',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'SmartTraffic <no-reply@smarttraffic.local>'
+  },
+  whatsapp: {
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    apiVersion: process.env.WHATSAPP_API_VERSION || 'v21.0',
+    // Business-initiated messages outside a 24h session must use pre-approved templates
+    useTemplates: process.env.WHATSAPP_USE_TEMPLATES === 'true',
+    templateLanguage: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'he'
+  },
+  // Console transport also appends each message as a JSON line to this file
+  logPath: process.env.NOTIFY_LOG_PATH || null,
+  appUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+  // Days before the appeal deadline at which reminders are sent
+  deadlineReminderDays: (process.env.NOTIFY_DEADLINE_REMINDER_DAYS || '7,2')
+    .split(',')
+    .map(days => parseInt(days))
+    .filter(days => !isNaN(days))
+    .sort((a, b) => a - b),
+  deadlineCheckIntervalMs: parseInt(process.env.NOTIFY_DEADLINE_CHECK_INTERVAL_MS) || 6 * 60 * 60 * 1000
+}
+
+console.log(`📣 Notifications: email via ${NOTIFICATION_CONFIG.emailTransport}, WhatsApp via ${NOTIFICATION_CONFIG.whatsappTransport}`)
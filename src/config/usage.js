@@ -0,0 +1,48 @@
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+function parseLimit(value, fallback) {
+  if (value === undefined || value === '') return fallback
+  const limit = parseFloat(value)
+  // 0 or a negative value disables the quota
+  return isNaN(limit) || limit <= 0 ? null : limit
+}
+
+function parsePricing(value) {
+  if (!value) return {}
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid LLM_PRICING JSON:', error.message)
+    return {}
+  }
+}
+
+// AI usage configuration - model prices and monthly cost quotas
+export const USAGE_CONFIG = {
+  // USD per 1M tokens; model names returned by the API (e.g. gpt-4o-mini-2024-07-18) match by prefix.
+  // Models without a price (local / mock) are recorded at zero cost.
+  pricing: {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    ...parsePricing(process.env.LLM_PRICING)
+  },
+  // Monthly cost limits in USD (null = unlimited). All guests share the guest quota.
+  monthlyLimits: {
+    guest: parseLimit(process.env.USAGE_GUEST_MONTHLY_LIMIT_USD, 5),
+    user: parseLimit(process.env.USAGE_USER_MONTHLY_LIMIT_USD, 2),
+    company: parseLimit(process.env.USAGE_COMPANY_MONTHLY_LIMIT_USD, 50)
+  },
+  // What happens once a quota is used up: block (reject new uploads) | degrade (process without AI)
+  exceededAction: process.env.USAGE_QUOTA_ACTION || 'degrade',
+  guestExceededAction: process.env.USAGE_GUEST_QUOTA_ACTION || 'block'
+}
+
+const formatLimit = (limit) => (limit === null ? 'unlimited' : `$${limit}`)
+
+console.log(`💰 AI usage quotas: guest ${formatLimit(USAGE_CONFIG.monthlyLimits.guest)}, user ${formatLimit(USAGE_CONFIG.monthlyLimits.user)}, company ${formatLimit(USAGE_CONFIG.monthlyLimits.company)} per month (${USAGE_CONFIG.exceededAction} when exceeded)`)
@@ -0,0 +1,290 @@
+import { getReportStats } from '../services/reportsService.js'
+import {
+  getDailyAnalytics,
+  summarizeDays,
+  toDateString,
+  ANALYTICS_JOB_TYPE
+} from '../services/analyticsService.js'
+import { enqueueJob } from '../services/jobQueueService.js'
+import { getUsageSummary, isValidMonth } from '../services/usageService.js'
+import { getExtractionAccuracy, getCommonCorrections } from '../services/extractionFeedbackService.js'
+
+const DEFAULT_RANGE_DAYS = 30
+const MAX_RANGE_DAYS = 366
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime())
+}
+
+// Resolve ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days up to today)
+function parseDateRange(query) {
+  const today = toDateString(new Date())
+  const to = query.to || today
+  const from = query.from || toDateString(new Date(new Date(`${to}T00:00:00Z`).getTime() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000))
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' }
+  }
+
+  if (from > to) {
+    return { error: 'from must not be after to' }
+  }
+
+  const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000) + 1
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `The date range cannot exceed ${MAX_RANGE_DAYS} days` }
+  }
+
+  // Days after today have no data
+  return { from, to: to > today ? today : to }
+}
+
+// Report counts by status and date (reportsService.getReportStats)
+export const getStats = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query)
+    if (range.error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: range.error
+      })
+    }
+
+    const result = await getReportStats(`${range.from}T00:00:00Z`, `${range.to}T23:59:59.999Z`)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      from: range.from,
+      to: range.to,
+      stats: result.stats
+    })
+
+  } catch (error) {
+    console.error('Get stats error:', error)
+    res.status(500).json({
+      error: 'Failed to get stats',
+      message: error.message
+    })
+  }
+}
+
+// Daily volumes, success / error rates, OCR confidence, latency, token spend and recommendations
+export const getDailyMetrics = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query)
+    if (range.error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: range.error
+      })
+    }
+
+    const result = await getDailyAnalytics(range.from, range.to)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      from: range.from,
+      to: range.to,
+      days: result.days
+    })
+
+  } catch (error) {
+    console.error('Get daily metrics error:', error)
+    res.status(500).json({
+      error: 'Failed to get daily metrics',
+      message: error.message
+    })
+  }
+}
+
+// Totals for the whole date range
+export const getMetricsSummary = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query)
+    if (range.error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: range.error
+      })
+    }
+
+    const result = await getDailyAnalytics(range.from, range.to)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      from: range.from,
+      to: range.to,
+      summary: summarizeDays(result.days)
+    })
+
+  } catch (error) {
+    console.error('Get metrics summary error:', error)
+    res.status(500).json({
+      error: 'Failed to get metrics summary',
+      message: error.message
+    })
+  }
+}
+
+// Queue a (re)rollup of a past day
+export const rollupAnalytics = async (req, res) => {
+  try {
+    const { date } = req.body || {}
+
+    if (!date || !isValidDate(date)) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'date is required in YYYY-MM-DD format'
+      })
+    }
+
+    if (date >= toDateString(new Date())) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'Only finished days can be rolled up'
+      })
+    }
+
+    const jobResult = await enqueueJob(ANALYTICS_JOB_TYPE, { date })
+    if (!jobResult.success) {
+      return res.status(500).json({
+        error: 'Failed to queue rollup',
+        message: jobResult.error
+      })
+    }
+
+    res.status(202).json({
+      success: true,
+      date,
+      jobId: jobResult.job.id
+    })
+
+  } catch (error) {
+    console.error('Analytics rollup error:', error)
+    res.status(500).json({
+      error: 'Failed to queue rollup',
+      message: error.message
+    })
+  }
+}
+
+// AI token ledger for a month (?month=YYYY-MM, optional userId / companyId / reportId filter)
+export const getUsage = async (req, res) => {
+  try {
+    const { month, userId, companyId, reportId } = req.query
+
+    if (month && !isValidMonth(month)) {
+      return res.status(400).json({
+        error: 'Invalid month',
+        message: 'month must be in YYYY-MM format'
+      })
+    }
+
+    const filter = {}
+    if (userId) filter.userId = userId
+    if (companyId) filter.companyId = companyId
+    if (reportId) filter.reportId = reportId
+
+    const result = await getUsageSummary(filter, month || null)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json(result)
+
+  } catch (error) {
+    console.error('Get usage error:', error)
+    res.status(500).json({
+      error: 'Failed to get usage',
+      message: error.message
+    })
+  }
+}
+
+// Extraction accuracy per field and per pipeline (enhanced / legacy) from user corrections
+export const getExtractionAccuracyReport = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query)
+    if (range.error) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: range.error
+      })
+    }
+
+    const result = await getExtractionAccuracy(`${range.from}T00:00:00Z`, `${range.to}T23:59:59.999Z`)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      from: range.from,
+      to: range.to,
+      reviewedReports: result.reviewedReports,
+      byField: result.byField,
+      byPipeline: result.byPipeline,
+      byFieldAndPipeline: result.byFieldAndPipeline
+    })
+
+  } catch (error) {
+    console.error('Get extraction accuracy error:', error)
+    res.status(500).json({
+      error: 'Failed to get extraction accuracy',
+      message: error.message
+    })
+  }
+}
+
+// Most common corrections (the few-shot examples given to the extractor)
+export const getExtractionCorrections = async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20
+    const minOccurrences = parseInt(req.query.minOccurrences) || 1
+
+    const result = await getCommonCorrections({ limit, minOccurrences })
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      corrections: result.corrections
+    })
+
+  } catch (error) {
+    console.error('Get extraction corrections error:', error)
+    res.status(500).json({
+      error: 'Failed to get corrections',
+      message: error.message
+    })
+  }
+}
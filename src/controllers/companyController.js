@@ -0,0 +1,788 @@
+import {
+  createCompany as createCompanyRecord,
+  getCompanyById,
+  listCompanies as listCompanyRecords,
+  updateCompany as updateCompanyRecord,
+  deleteCompany as deleteCompanyRecord,
+  getCompanyDrivers as getCompanyDriverRecords,
+  inviteDriverToCompany,
+  getCompanyInvitations as getCompanyInvitationRecords,
+  respondToCompanyInvitation,
+  removeDriverFromCompany,
+  getCompanyReports as getCompanyReportRecords
+} from '../services/companyService.js'
+import { getUserById, getUserByEmail } from '../services/userService.js'
+import { issueCompanyApiKey, revokeCompanyApiKey, API_KEY_HEADER } from '../services/apiKeyService.js'
+import {
+  evaluateDriverRisk,
+  getCompanyRiskScores,
+  getCompanyAlerts as getCompanyAlertRecords,
+  acknowledgeAlert
+} from '../services/driverRiskService.js'
+import { getUsageSummary, checkUsageQuota, isValidMonth } from '../services/usageService.js'
+import { getOutstandingPayments, groupOutstandingByDriver } from '../services/paymentService.js'
+import { GUEST_USER } from '../config/supabase.js'
+
+const REPORT_STATUSES = ['uploaded', 'ocr_processing', 'ocr_complete', 'ai_processing', 'complete', 'error']
+const RECOMMENDATIONS = ['appeal', 'pay', 'uncertain']
+
+// System admins manage every company, fleet admins only their own
+function canAccessCompany(user, companyId) {
+  return user.role === 'system_admin' || (user.role === 'fleet_admin' && user.company_id === companyId)
+}
+
+function denyCompanyAccess(res) {
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: 'You can only manage your own company'
+  })
+}
+
+export const createCompany = async (req, res) => {
+  try {
+    const { name, contactEmail, contactPhone, address, settings } = req.body || {}
+
+    // Validation
+    if (!name || !contactEmail) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'name and contactEmail are required'
+      })
+    }
+
+    const result = await createCompanyRecord({ name, contactEmail, contactPhone, address, settings })
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Failed to create company',
+        message: result.error
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      company: result.company
+    })
+
+  } catch (error) {
+    console.error('Create company error:', error)
+    res.status(500).json({
+      error: 'Failed to create company',
+      message: error.message
+    })
+  }
+}
+
+export const listCompanies = async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query
+
+    const result = await listCompanyRecords(parseInt(limit), parseInt(offset))
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      companies: result.companies,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    })
+
+  } catch (error) {
+    console.error('List companies error:', error)
+    res.status(500).json({
+      error: 'Failed to list companies',
+      message: error.message
+    })
+  }
+}
+
+export const getCompany = async (req, res) => {
+  try {
+    const { companyId } = req.params
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const result = await getCompanyById(companyId)
+    if (!result.success) {
+      return res.status(404).json({
+        error: 'Company not found',
+        message: 'Invalid company ID'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      company: result.company
+    })
+
+  } catch (error) {
+    console.error('Get company error:', error)
+    res.status(500).json({
+      error: 'Failed to get company',
+      message: error.message
+    })
+  }
+}
+
+export const updateCompany = async (req, res) => {
+  try {
+    const { companyId } = req.params
+    const { name, contactEmail, contactPhone, address, settings } = req.body || {}
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    if (settings !== undefined && (typeof settings !== 'object' || Array.isArray(settings))) {
+      return res.status(400).json({
+        error: 'Invalid settings',
+        message: 'settings must be an object'
+      })
+    }
+
+    // The AI budget is set by system admins only
+    if (settings?.usage !== undefined && req.user.role !== 'system_admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only system admins can change usage quotas'
+      })
+    }
+
+    const result = await updateCompanyRecord(companyId, { name, contactEmail, contactPhone, address, settings })
+    if (!result.success) {
+      return res.status(404).json({
+        error: 'Failed to update company',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      company: result.company
+    })
+
+  } catch (error) {
+    console.error('Update company error:', error)
+    res.status(500).json({
+      error: 'Failed to update company',
+      message: error.message
+    })
+  }
+}
+
+export const deleteCompany = async (req, res) => {
+  try {
+    const { companyId } = req.params
+
+    const result = await deleteCompanyRecord(companyId)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Failed to delete company',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Company deleted'
+    })
+
+  } catch (error) {
+    console.error('Delete company error:', error)
+    res.status(500).json({
+      error: 'Failed to delete company',
+      message: error.message
+    })
+  }
+}
+
+export const getCompanyDrivers = async (req, res) => {
+  try {
+    const { companyId } = req.params
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const result = await getCompanyDriverRecords(companyId)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      drivers: result.drivers
+    })
+
+  } catch (error) {
+    console.error('Get company drivers error:', error)
+    res.status(500).json({
+      error: 'Failed to get company drivers',
+      message: error.message
+    })
+  }
+}
+
+// Invite a registered user; they join the company when they accept the invitation
+export const addCompanyDriver = async (req, res) => {
+  try {
+    const { companyId } = req.params
+    const { userId, email } = req.body || {}
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    if (!userId && !email) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'userId or email is required'
+      })
+    }
+
+    const userResult = userId ? await getUserById(userId) : await getUserByEmail(email)
+    if (!userResult.success || userResult.user.id === GUEST_USER.id) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No registered user matches the given userId or email'
+      })
+    }
+
+    const user = userResult.user
+    if (user.company_id && user.company_id !== companyId) {
+      return res.status(409).json({
+        error: 'User already linked',
+        message: 'User belongs to another company'
+      })
+    }
+
+    const companyResult = await getCompanyById(companyId)
+    if (!companyResult.success) {
+      return res.status(404).json({
+        error: 'Company not found',
+        message: 'Invalid company ID'
+      })
+    }
+
+    if (user.company_id === companyId) {
+      return res.status(409).json({
+        error: 'User already linked',
+        message: 'User is already a driver of this company'
+      })
+    }
+
+    const result = await inviteDriverToCompany(companyId, user.id, req.user.id)
+    if (!result.success) {
+      return res.status(result.duplicate ? 409 : 500).json({
+        error: 'Failed to add driver',
+        message: result.error
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent - the user joins the company once they accept it',
+      invitation: result.invitation
+    })
+
+  } catch (error) {
+    console.error('Add company driver error:', error)
+    res.status(500).json({
+      error: 'Failed to add driver',
+      message: error.message
+    })
+  }
+}
+
+// Pending (or all, ?status=) invitations of a company
+export const getCompanyInvitations = async (req, res) => {
+  try {
+    const { companyId } = req.params
+    const { status = 'pending' } = req.query
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const result = await getCompanyInvitationRecords({ companyId, status: status === 'all' ? null : status })
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Failed to get invitations',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      invitations: result.invitations
+    })
+
+  } catch (error) {
+    console.error('Get company invitations error:', error)
+    res.status(500).json({
+      error: 'Failed to get invitations',
+      message: error.message
+    })
+  }
+}
+
+// Pending company invitations of the current user
+export const getMyInvitations = async (req, res) => {
+  try {
+    const result = await getCompanyInvitationRecords({ userId: req.user.id, status: 'pending' })
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Failed to get invitations',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      invitations: result.invitations
+    })
+
+  } catch (error) {
+    console.error('Get my invitations error:', error)
+    res.status(500).json({
+      error: 'Failed to get invitations',
+      message: error.message
+    })
+  }
+}
+
+// Accept or decline an invitation of the current user
+function respondToInvitation(accept) {
+  return async (req, res) => {
+    try {
+      const { invitationId } = req.params
+
+      const result = await respondToCompanyInvitation(invitationId, req.user.id, accept)
+      if (!result.success) {
+        const status = result.notFound ? 404 : result.alreadyLinked ? 409 : 500
+        return res.status(status).json({
+          error: 'Failed to respond to invitation',
+          message: result.error
+        })
+      }
+
+      res.status(200).json({
+        success: true,
+        invitation: result.invitation,
+        driver: result.driver
+      })
+
+    } catch (error) {
+      console.error('Respond to invitation error:', error)
+      res.status(500).json({
+        error: 'Failed to respond to invitation',
+        message: error.message
+      })
+    }
+  }
+}
+
+export const acceptInvitation = respondToInvitation(true)
+export const declineInvitation = respondToInvitation(false)
+
+export const removeCompanyDriver = async (req, res) => {
+  try {
+    const { companyId, userId } = req.params
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const result = await removeDriverFromCompany(companyId, userId)
+    if (!result.success) {
+      return res.status(404).json({
+        error: 'Failed to remove driver',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver removed from company'
+    })
+
+  } catch (error) {
+    console.error('Remove company driver error:', error)
+    res.status(500).json({
+      error: 'Failed to remove driver',
+      message: error.message
+    })
+  }
+}
+
+export const getCompanyReports = async (req, res) => {
+  try {
+    const { companyId } = req.params
+    const { status, driverId, recommendation, from, to, limit = 50, offset = 0 } = req.query
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    if (status && !REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Supported statuses: ${REPORT_STATUSES.join(', ')}`
+      })
+    }
+
+    if (recommendation && !RECOMMENDATIONS.includes(recommendation)) {
+      return res.status(400).json({
+        error: 'Invalid recommendation',
+        message: `Supported recommendations: ${RECOMMENDATIONS.join(', ')}`
+      })
+    }
+
+    const result = await getCompanyReportRecords(companyId, {
+      status,
+      driverId,
+      recommendation,
+      from,
+      to,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    })
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      reports: result.reports,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total: result.total
+      }
+    })
+
+  } catch (error) {
+    console.error('Get company reports error:', error)
+    res.status(500).json({
+      error: 'Failed to get company reports',
+      message: error.message
+    })
+  }
+}
+
+// Issue a new API key (rotates any existing key); the plain key is only shown in this response
+export const issueApiKey = async (req, res) => {
+  try {
+    const { companyId } = req.params
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const companyResult = await getCompanyById(companyId)
+    if (!companyResult.success) {
+      return res.status(404).json({
+        error: 'Company not found',
+        message: 'Invalid company ID'
+      })
+    }
+
+    const result = await issueCompanyApiKey(companyId)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Failed to issue API key',
+        message: result.error
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      apiKey: result.apiKey,
+      keyPrefix: result.keyPrefix,
+      createdAt: result.createdAt,
+      header: API_KEY_HEADER,
+      rotated: companyResult.company.hasApiKey,
+      message: 'Store this key securely - it will not be shown again'
+    })
+
+  } catch (error) {
+    console.error('Issue API key error:', error)
+    res.status(500).json({
+      error: 'Failed to issue API key',
+      message: error.message
+    })
+  }
+}
+
+export const revokeApiKey = async (req, res) => {
+  try {
+    const { companyId } = req.params
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const result = await revokeCompanyApiKey(companyId)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Failed to revoke API key',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    })
+
+  } catch (error) {
+    console.error('Revoke API key error:', error)
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    })
+  }
+}
+
+export const getCompanyRisk = async (req, res) => {
+  try {
+    const { companyId } = req.params
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const result = await getCompanyRiskScores(companyId)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      drivers: result.scores
+    })
+
+  } catch (error) {
+    console.error('Get company risk error:', error)
+    res.status(500).json({
+      error: 'Failed to get driver risk scores',
+      message: error.message
+    })
+  }
+}
+
+// Recalculate one driver's risk on demand
+export const getDriverRisk = async (req, res) => {
+  try {
+    const { companyId, userId } = req.params
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const userResult = await getUserById(userId)
+    if (!userResult.success || userResult.user.company_id !== companyId) {
+      return res.status(404).json({
+        error: 'Driver not found',
+        message: 'Driver is not linked to this company'
+      })
+    }
+
+    const result = await evaluateDriverRisk(userId, companyId)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Failed to evaluate driver risk',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      driverId: userId,
+      risk: result.risk,
+      alert: result.alert
+    })
+
+  } catch (error) {
+    console.error('Get driver risk error:', error)
+    res.status(500).json({
+      error: 'Failed to evaluate driver risk',
+      message: error.message
+    })
+  }
+}
+
+export const getCompanyAlerts = async (req, res) => {
+  try {
+    const { companyId } = req.params
+    const { unacknowledged, limit = 50, offset = 0 } = req.query
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const result = await getCompanyAlertRecords(companyId, {
+      unacknowledgedOnly: unacknowledged === 'true',
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    })
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      alerts: result.alerts,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    })
+
+  } catch (error) {
+    console.error('Get company alerts error:', error)
+    res.status(500).json({
+      error: 'Failed to get alerts',
+      message: error.message
+    })
+  }
+}
+
+export const acknowledgeCompanyAlert = async (req, res) => {
+  try {
+    const { companyId, alertId } = req.params
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const result = await acknowledgeAlert(companyId, alertId, req.user.id)
+    if (!result.success) {
+      return res.status(404).json({
+        error: 'Alert not found',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      alert: result.alert
+    })
+
+  } catch (error) {
+    console.error('Acknowledge alert error:', error)
+    res.status(500).json({
+      error: 'Failed to acknowledge alert',
+      message: error.message
+    })
+  }
+}
+
+export const getCompanyOutstandingPayments = async (req, res) => {
+  try {
+    const { companyId } = req.params
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    const result = await getOutstandingPayments({ companyId })
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      totals: result.totals,
+      drivers: groupOutstandingByDriver(result.items),
+      items: result.items
+    })
+
+  } catch (error) {
+    console.error('Get company outstanding payments error:', error)
+    res.status(500).json({
+      error: 'Failed to get outstanding payments',
+      message: error.message
+    })
+  }
+}
+
+// AI token usage and cost of the company for a month (?month=YYYY-MM, default current month)
+export const getCompanyUsage = async (req, res) => {
+  try {
+    const { companyId } = req.params
+    const { month } = req.query
+
+    if (!canAccessCompany(req.user, companyId)) {
+      return denyCompanyAccess(res)
+    }
+
+    if (month && !isValidMonth(month)) {
+      return res.status(400).json({
+        error: 'Invalid month',
+        message: 'month must be in YYYY-MM format'
+      })
+    }
+
+    const [summaryResult, quota] = await Promise.all([
+      getUsageSummary({ companyId }, month || null),
+      checkUsageQuota({ companyId })
+    ])
+
+    if (!summaryResult.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: summaryResult.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      from: summaryResult.from,
+      to: summaryResult.to,
+      quota: {
+        limit: quota.limit,
+        spent: quota.spent,
+        exceeded: quota.exceeded,
+        action: quota.action
+      },
+      totals: summaryResult.totals,
+      byTask: summaryResult.byTask,
+      byModel: summaryResult.byModel,
+      drivers: summaryResult.byUser,
+      reports: summaryResult.byReport
+    })
+
+  } catch (error) {
+    console.error('Get company usage error:', error)
+    res.status(500).json({
+      error: 'Failed to get usage',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,328 @@
+import {
+  listChunks,
+  getChunk,
+  updateChunk,
+  deleteChunk,
+  getChunkCitations,
+  getCitationSummary,
+  getDocumentFormat,
+  extractDocumentText,
+  ingestLegalText,
+  EDITABLE_CHUNK_FIELDS,
+  SUPPORTED_EXTENSIONS
+} from '../services/legalCorpusService.js'
+
+const DEFAULT_CITATION_DAYS = 30
+const MAX_CITATION_DAYS = 366
+
+// Chunks of the knowledge base (?search=&category=&source=&enabled=true|false&limit=50&offset=0)
+export const getChunks = async (req, res) => {
+  try {
+    const { search, category, source, enabled, limit = 50, offset = 0 } = req.query
+
+    if (enabled !== undefined && enabled !== 'true' && enabled !== 'false') {
+      return res.status(400).json({
+        error: 'Invalid filter',
+        message: 'enabled must be true or false'
+      })
+    }
+
+    const result = await listChunks({
+      search,
+      category,
+      source,
+      enabled: enabled === undefined ? undefined : enabled === 'true',
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    })
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      chunks: result.chunks,
+      total: result.total
+    })
+
+  } catch (error) {
+    console.error('Get chunks error:', error)
+    res.status(500).json({
+      error: 'Failed to get chunks',
+      message: error.message
+    })
+  }
+}
+
+export const getChunkById = async (req, res) => {
+  try {
+    const result = await getChunk(req.params.chunkId)
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        error: result.notFound ? 'Chunk not found' : 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      chunk: result.chunk
+    })
+
+  } catch (error) {
+    console.error('Get chunk error:', error)
+    res.status(500).json({
+      error: 'Failed to get chunk',
+      message: error.message
+    })
+  }
+}
+
+// Edit a chunk (title, content, category, source, legalReference, enabled); text changes are re-embedded
+export const editChunk = async (req, res) => {
+  try {
+    const { legalReference, ...body } = req.body || {}
+    const updates = { ...body, legal_reference: legalReference }
+
+    const fields = EDITABLE_CHUNK_FIELDS.filter(field => updates[field] !== undefined)
+    if (fields.length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        message: 'Send at least one of: title, content, category, source, legalReference, enabled'
+      })
+    }
+
+    if (updates.enabled !== undefined && typeof updates.enabled !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid chunk',
+        message: 'enabled must be a boolean'
+      })
+    }
+
+    for (const field of ['title', 'content']) {
+      if (updates[field] !== undefined && (typeof updates[field] !== 'string' || !updates[field].trim())) {
+        return res.status(400).json({
+          error: 'Invalid chunk',
+          message: `${field} cannot be empty`
+        })
+      }
+    }
+
+    const result = await updateChunk(
+      req.params.chunkId,
+      Object.fromEntries(fields.map(field => [field, updates[field]])),
+      { userId: req.user.id }
+    )
+
+    if (!result.success) {
+      const status = result.notFound ? 404 : (result.duplicate ? 409 : 500)
+      return res.status(status).json({
+        error: result.notFound ? 'Chunk not found' : (result.duplicate ? 'Duplicate chunk' : 'Failed to update chunk'),
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      chunk: result.chunk,
+      reembedded: result.reembedded
+    })
+
+  } catch (error) {
+    console.error('Edit chunk error:', error)
+    res.status(500).json({
+      error: 'Failed to update chunk',
+      message: error.message
+    })
+  }
+}
+
+export const removeChunk = async (req, res) => {
+  try {
+    const result = await deleteChunk(req.params.chunkId)
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        error: result.notFound ? 'Chunk not found' : 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Chunk deleted'
+    })
+
+  } catch (error) {
+    console.error('Delete chunk error:', error)
+    res.status(500).json({
+      error: 'Failed to delete chunk',
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Add a ruling or other legal document: an uploaded file (`document`: .pdf, .txt, .md, .html)
+ * or `content` text, with title, category, source and legalReference.
+ * The document is chunked by section and embedded like `npm run ingest:legal`.
+ * replace=true (system admins only) deletes the stored chunks of the same source that are no longer in the document.
+ */
+export const addDocument = async (req, res) => {
+  try {
+    const { title, category, source, legalReference, content } = req.body || {}
+    const replace = req.body?.replace === true || req.body?.replace === 'true'
+
+    if (replace && req.user.role !== 'system_admin') {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Only system admins can replace a stored document'
+      })
+    }
+
+    if (!title || !category) {
+      return res.status(400).json({
+        error: 'Invalid document',
+        message: 'title and category are required'
+      })
+    }
+
+    let text
+    if (req.file) {
+      const format = getDocumentFormat(req.file.originalname)
+      if (!format) {
+        return res.status(400).json({
+          error: 'Invalid file type',
+          message: `Supported files: ${Object.keys(SUPPORTED_EXTENSIONS).join(', ')}`
+        })
+      }
+      text = await extractDocumentText(req.file.buffer, format)
+    } else if (typeof content === 'string' && content.trim()) {
+      text = await extractDocumentText(Buffer.from(content), 'text')
+    } else {
+      return res.status(400).json({
+        error: 'Invalid document',
+        message: 'Upload a document file or send its content'
+      })
+    }
+
+    const result = await ingestLegalText(text, {
+      title,
+      category,
+      // source identifies the document: re-adding it with the same source and replace=true replaces its chunks
+      source: source || req.file?.originalname || title,
+      legalReference
+    }, { prune: replace, keepSource: true, usageContext: { userId: req.user.id } })
+
+    if (!result.success) {
+      if (result.replacesSource) {
+        return res.status(409).json({
+          error: 'Replacement refused',
+          message: result.error
+        })
+      }
+      return res.status(500).json({
+        error: 'Failed to add document',
+        message: result.error
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      source: source || req.file?.originalname || title,
+      sections: result.sections,
+      chunks: result.chunks,
+      inserted: result.inserted,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      removed: result.pruned
+    })
+
+  } catch (error) {
+    console.error('Add document error:', error)
+    res.status(500).json({
+      error: 'Failed to add document',
+      message: error.message
+    })
+  }
+}
+
+// Reports whose analysis cited a chunk (?limit=50&offset=0)
+export const getCitations = async (req, res) => {
+  try {
+    const chunkResult = await getChunk(req.params.chunkId)
+    if (!chunkResult.success) {
+      return res.status(chunkResult.notFound ? 404 : 500).json({
+        error: chunkResult.notFound ? 'Chunk not found' : 'Database error',
+        message: chunkResult.error
+      })
+    }
+
+    const { limit = 50, offset = 0 } = req.query
+    const result = await getChunkCitations(req.params.chunkId, {
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    })
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      chunkId: req.params.chunkId,
+      citations: result.citations,
+      total: result.total
+    })
+
+  } catch (error) {
+    console.error('Get citations error:', error)
+    res.status(500).json({
+      error: 'Failed to get citations',
+      message: error.message
+    })
+  }
+}
+
+// Most cited chunks over the last days (?days=30&limit=20)
+export const getCitationStats = async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? DEFAULT_CITATION_DAYS : parseInt(req.query.days)
+    if (isNaN(days) || days < 1 || days > MAX_CITATION_DAYS) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        message: `days must be between 1 and ${MAX_CITATION_DAYS}`
+      })
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+    const result = await getCitationSummary(since, Math.min(parseInt(req.query.limit) || 20, 100))
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      since,
+      analyzedReports: result.analyzedReports,
+      chunks: result.chunks
+    })
+
+  } catch (error) {
+    console.error('Get citation stats error:', error)
+    res.status(500).json({
+      error: 'Failed to get citation stats',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,176 @@
+import {
+  getLawyerCases,
+  buildCaseSummary,
+  saveLawyerReview,
+  submitLawyerVerdict,
+  REVIEW_STATUSES
+} from '../services/lawyerReviewService.js'
+import { getReportById } from '../services/reportsService.js'
+import { notifyReportOwner } from '../services/notificationService.js'
+
+// Load a report assigned to the requesting lawyer, or send the error response
+async function loadAssignedCase(req, res) {
+  const reportResult = await getReportById(req.params.reportId)
+  if (!reportResult.success) {
+    res.status(404).json({
+      error: 'Case not found',
+      message: 'Invalid report ID'
+    })
+    return null
+  }
+
+  if (reportResult.report.assigned_lawyer_id !== req.user.id) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'This report is not shared with you'
+    })
+    return null
+  }
+
+  return reportResult.report
+}
+
+export const getCases = async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query
+
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`
+      })
+    }
+
+    const result = await getLawyerCases(req.user.id, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    })
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      cases: result.cases,
+      total: result.total
+    })
+
+  } catch (error) {
+    console.error('Get cases error:', error)
+    res.status(500).json({
+      error: 'Failed to get cases',
+      message: error.message
+    })
+  }
+}
+
+export const getCase = async (req, res) => {
+  try {
+    const report = await loadAssignedCase(req, res)
+    if (!report) return
+
+    res.status(200).json({
+      success: true,
+      case: {
+        ...buildCaseSummary(report),
+        file: {
+          filename: report.original_file?.filename,
+          mimetype: report.original_file?.mimetype,
+          size: report.original_file?.size
+        },
+        extractedFields: report.ocr_results?.extractedFields || {},
+        analysis: report.analysis_results,
+        appeal: report.appeal,
+        paymentDeadline: report.payment_deadline || null,
+        review: report.lawyer_review
+      }
+    })
+
+  } catch (error) {
+    console.error('Get case error:', error)
+    res.status(500).json({
+      error: 'Failed to get case',
+      message: error.message
+    })
+  }
+}
+
+// Save annotations and the assessment override without completing the review
+export const saveReview = async (req, res) => {
+  try {
+    const report = await loadAssignedCase(req, res)
+    if (!report) return
+
+    const { annotations, additionalIssues, assessmentOverride } = req.body || {}
+
+    const result = await saveLawyerReview(report, { annotations, additionalIssues, assessmentOverride })
+    if (!result.success) {
+      return res.status(result.invalidReview ? 400 : 500).json({
+        error: result.invalidReview ? 'Invalid review' : 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      reportId: report.id,
+      review: result.report.lawyer_review
+    })
+
+  } catch (error) {
+    console.error('Save review error:', error)
+    res.status(500).json({
+      error: 'Failed to save review',
+      message: error.message
+    })
+  }
+}
+
+// Complete the review and return the verdict to the driver
+export const submitVerdict = async (req, res) => {
+  try {
+    const report = await loadAssignedCase(req, res)
+    if (!report) return
+
+    const { recommendation, summary, annotations, additionalIssues, assessmentOverride } = req.body || {}
+
+    const result = await submitLawyerVerdict(report, {
+      recommendation,
+      summary,
+      annotations,
+      additionalIssues,
+      assessmentOverride
+    })
+
+    if (!result.success) {
+      return res.status(result.invalidReview ? 400 : 500).json({
+        error: result.invalidReview ? 'Invalid verdict' : 'Database error',
+        message: result.error
+      })
+    }
+
+    await notifyReportOwner(result.report, 'lawyer_review_complete', {
+      lawyerName: result.report.lawyer_review.lawyerName,
+      recommendation
+    })
+
+    res.status(200).json({
+      success: true,
+      reportId: report.id,
+      review: result.report.lawyer_review,
+      appealAssessment: result.report.analysis_results?.appealAssessment
+    })
+
+  } catch (error) {
+    console.error('Submit verdict error:', error)
+    res.status(500).json({
+      error: 'Failed to submit verdict',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,190 @@
+import {
+  getPaymentSummary,
+  markReportPaid,
+  getOutstandingPayments as getOutstandingPaymentRecords
+} from '../services/paymentService.js'
+import { storeFile, retrieveFile } from '../services/fileStorageService.js'
+import { getReportById, canAccessReport } from '../services/reportsService.js'
+
+// Load a report the requester may access, or send the error response
+async function loadAccessibleReport(req, res) {
+  const reportResult = await getReportById(req.params.reportId)
+  if (!reportResult.success) {
+    res.status(404).json({
+      error: 'Report not found',
+      message: 'Invalid report ID'
+    })
+    return null
+  }
+
+  if (!canAccessReport(req.user, reportResult.report)) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only manage payments of your own reports'
+    })
+    return null
+  }
+
+  return reportResult.report
+}
+
+export const getPayment = async (req, res) => {
+  try {
+    const report = await loadAccessibleReport(req, res)
+    if (!report) return
+
+    res.status(200).json({
+      success: true,
+      reportId: report.id,
+      payment: getPaymentSummary(report)
+    })
+
+  } catch (error) {
+    console.error('Get payment error:', error)
+    res.status(500).json({
+      error: 'Failed to get payment',
+      message: error.message
+    })
+  }
+}
+
+export const recordPayment = async (req, res) => {
+  try {
+    const report = await loadAccessibleReport(req, res)
+    if (!report) return
+
+    const { amount, paidAt, referenceNumber, method } = req.body || {}
+    const paidAmount = parseFloat(amount)
+
+    // Validation
+    if (!paidAmount || paidAmount <= 0) {
+      return res.status(400).json({
+        error: 'Invalid amount',
+        message: 'amount must be a positive number'
+      })
+    }
+
+    if (paidAt && isNaN(new Date(paidAt).getTime())) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'paidAt must be a valid date'
+      })
+    }
+
+    if (report.payment?.status === 'paid') {
+      return res.status(409).json({
+        error: 'Already paid',
+        message: 'This report is already marked as paid'
+      })
+    }
+
+    // Optional receipt (image or PDF)
+    let receipt = null
+    if (req.file) {
+      const storeResult = await storeFile(report.user_id, {
+        buffer: req.file.buffer,
+        mimetype: req.file.mimetype
+      })
+      if (!storeResult.success) {
+        return res.status(500).json({
+          error: 'Storage error',
+          message: storeResult.error
+        })
+      }
+
+      receipt = {
+        filename: req.file.originalname,
+        mimetype: req.file.mimetype,
+        size: req.file.size,
+        storage: storeResult.storage,
+        uploadedAt: new Date().toISOString()
+      }
+    }
+
+    const updateResult = await markReportPaid(report, {
+      amount: paidAmount,
+      paidAt,
+      referenceNumber,
+      method,
+      receipt
+    })
+
+    if (!updateResult.success) {
+      return res.status(500).json({
+        error: 'Failed to record payment',
+        message: updateResult.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      reportId: report.id,
+      payment: getPaymentSummary(updateResult.report)
+    })
+
+  } catch (error) {
+    console.error('Record payment error:', error)
+    res.status(500).json({
+      error: 'Failed to record payment',
+      message: error.message
+    })
+  }
+}
+
+export const getPaymentReceipt = async (req, res) => {
+  try {
+    const report = await loadAccessibleReport(req, res)
+    if (!report) return
+
+    const receipt = report.payment?.receipt
+    const fileResult = await retrieveFile(receipt?.storage)
+    if (!fileResult.success) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        message: fileResult.error
+      })
+    }
+
+    const filename = receipt.filename || `receipt-${report.id}`
+    res.setHeader('Content-Type', receipt.mimetype || 'application/octet-stream')
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(filename)}`)
+    res.status(200).send(fileResult.buffer)
+
+  } catch (error) {
+    console.error('Get receipt error:', error)
+    res.status(500).json({
+      error: 'Failed to get receipt',
+      message: error.message
+    })
+  }
+}
+
+export const getOutstandingPayments = async (req, res) => {
+  try {
+    // API-key clients see every ticket of their company
+    const scope = req.user.authType === 'api_key'
+      ? { companyId: req.user.company_id }
+      : { userId: req.user.id }
+
+    const result = await getOutstandingPaymentRecords(scope)
+    if (!result.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: result.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      totals: result.totals,
+      items: result.items
+    })
+
+  } catch (error) {
+    console.error('Get outstanding payments error:', error)
+    res.status(500).json({
+      error: 'Failed to get outstanding payments',
+      message: error.message
+    })
+  }
+}
@@ -1,13 +1,73 @@
-import { extractTextFromDocument } from '../services/ocrService.js'
-import { analyzeTrafficViolation } from '../services/aiService.js'
+import { enqueueReportOCR, enqueueReportAnalysis } from '../services/reportPipelineService.js'
+import { getJobById } from '../services/jobQueueService.js'
+import { subscribeToReportEvents, getRecentReportEvents } from '../services/reportEventsService.js'
+import { generateAppealLetter } from '../services/appealService.js'
+import { storeFile, retrieveFile, deleteFile } from '../services/fileStorageService.js'
+import { OCR_PROVIDERS } from '../services/ocrProviders/index.js'
+import { getCompanyReports } from '../services/companyService.js'
+import { getUserById, getUserByEmail } from '../services/userService.js'
+import { getDeadlinesByUrgency, formatDeadline } from '../services/deadlineService.js'
+import {
+  buildExportBlocks,
+  createPDFStream,
+  createDOCXStream,
+  EXPORT_FORMATS,
+  EXPORT_DOCUMENTS
+} from '../services/documentExportService.js'
 import {
   createReport,
-  updateReportOCR,
-  updateReportAnalysis,
   getReportById,
-  verifyReportOwnership,
+  getReportsByUserId,
+  canAccessReport,
+  isReportOwner,
   updateReportStatus
 } from '../services/reportsService.js'
+import { shareReportWithLawyer, unshareReport as unshareReportFromLawyer } from '../services/lawyerReviewService.js'
+import { sendNotification } from '../services/notificationService.js'
+import { recordFieldCorrections } from '../services/extractionFeedbackService.js'
+import {
+  checkUsageQuota,
+  recordAIUsage,
+  getAppealLetterUsageEntries,
+  getRequestPrincipal,
+  getUsageSummary
+} from '../services/usageService.js'
+import {
+  transitionAppeal,
+  validateAppealTransition,
+  canTransitionAppeal,
+  getAppealStatus,
+  getAppealSummary,
+  findAppealDocument
+} from '../services/appealLifecycleService.js'
+
+// API-key uploads must name the company driver the ticket belongs to (driverId or driverEmail)
+async function resolveCompanyDriver(companyId, { driverId, driverEmail }) {
+  if (!driverId && !driverEmail) {
+    return { success: false, status: 400, error: 'driverId or driverEmail is required when uploading with an API key' }
+  }
+
+  const userResult = driverId ? await getUserById(driverId) : await getUserByEmail(driverEmail)
+  if (!userResult.success || userResult.user.company_id !== companyId) {
+    return { success: false, status: 404, error: 'Driver not found in this company' }
+  }
+
+  return { success: true, driver: userResult.user }
+}
+
+// Check the monthly AI quota; sends 429 and returns null when it is used up and set to block
+async function checkQuotaOrReject(res, principal) {
+  const quota = await checkUsageQuota(principal)
+  if (quota.exceeded && quota.action === 'block') {
+    res.status(429).json({
+      error: 'Usage quota exceeded',
+      message: `The monthly AI usage quota of this ${quota.scope} has been used up`,
+      quota: { scope: quota.scope, limit: quota.limit, spent: quota.spent }
+    })
+    return null
+  }
+  return quota
+}
 
 export const uploadDocument = async (req, res) => {
   try {
@@ -18,8 +78,30 @@ export const uploadDocument = async (req, res) => {
       })
     }
 
-    // Get user from middleware (guest or authenticated user)
-    const userId = req.user.id
+    // Get user from middleware (guest, authenticated user, or company API key acting for a driver)
+    let userId = req.user.id
+    if (req.user.authType === 'api_key') {
+      const driverResult = await resolveCompanyDriver(req.user.company_id, req.body || {})
+      if (!driverResult.success) {
+        return res.status(driverResult.status).json({
+          error: 'Invalid driver',
+          message: driverResult.error
+        })
+      }
+      userId = driverResult.driver.id
+    }
+
+    const quota = await checkQuotaOrReject(res, { userId, companyId: req.user.company_id || null })
+    if (!quota) return
+
+    // Optional per-request OCR engine (defaults to OCR_PROVIDER)
+    const ocrProvider = req.body?.ocrProvider || req.query.ocrProvider
+    if (ocrProvider && !OCR_PROVIDERS.includes(ocrProvider)) {
+      return res.status(400).json({
+        error: 'Invalid OCR provider',
+        message: `ocrProvider must be one of ${OCR_PROVIDERS.join(', ')}`
+      })
+    }
 
     // Store file info
     const fileInfo = {
@@ -27,13 +109,24 @@ export const uploadDocument = async (req, res) => {
       mimetype: req.file.mimetype,
       size: req.file.size,
       buffer: req.file.buffer,
+      ocrProvider,
       uploadedAt: new Date().toISOString()
     }
 
     console.log(`📄 Document uploaded by user ${userId}: ${req.file.originalname} (${req.file.size} bytes)`)
 
-    // Create report in database
-    const createResult = await createReport(userId, fileInfo)
+    // Persist the original document so it can be re-processed, attached or audited later
+    const storeResult = await storeFile(userId, fileInfo)
+    if (!storeResult.success) {
+      return res.status(500).json({
+        error: 'Storage error',
+        message: storeResult.error
+      })
+    }
+    fileInfo.storage = storeResult.storage
+
+    // Create report in database (fleet drivers' reports are linked to their company)
+    const createResult = await createReport(userId, fileInfo, req.user.company_id || null)
     if (!createResult.success) {
       console.error('❌ Database error creating report:', createResult.error)
       console.error('User ID:', userId)
@@ -46,40 +139,30 @@ export const uploadDocument = async (req, res) => {
 
     const report = createResult.report
 
-    try {
-      // Process OCR immediately upon upload
-      const ocrResults = await extractTextFromDocument(fileInfo)
-      // Update report with OCR results
-      const ocrUpdateResult = await updateReportOCR(report.id, ocrResults)
-      if (!ocrUpdateResult.success) {
-        console.error('Failed to update OCR results:', ocrUpdateResult.error)
-      }
-
-      res.status(200).json({
-        success: true,
-        reportId: report.id,
-        file: {
-          name: req.file.originalname,
-          size: req.file.size,
-          type: req.file.mimetype
-        },
-        ocrResults,
-        message: 'Document uploaded and OCR processed successfully'
-      })
-
-    } catch (ocrError) {
-      console.error('OCR processing error:', ocrError)
-
-      // Update report status to error
-      await updateReportStatus(report.id, 'error', ocrError.message)
-
-      res.status(500).json({
-        error: 'OCR processing failed',
-        message: ocrError.message,
+    // OCR runs in the background job worker
+    const jobResult = await enqueueReportOCR(report.id, { ocrProvider })
+    if (!jobResult.success) {
+      await updateReportStatus(report.id, 'error', jobResult.error)
+      return res.status(500).json({
+        error: 'Failed to queue OCR',
+        message: jobResult.error,
         reportId: report.id
       })
     }
 
+    res.status(202).json({
+      success: true,
+      reportId: report.id,
+      jobId: jobResult.job.id,
+      status: report.status,
+      file: {
+        name: req.file.originalname,
+        size: req.file.size,
+        type: req.file.mimetype
+      },
+      message: 'Document uploaded, OCR processing queued'
+    })
+
   } catch (error) {
     console.error('Upload error:', error)
     res.status(500).json({
@@ -92,7 +175,6 @@ export const uploadDocument = async (req, res) => {
 export const analyzeDocument = async (req, res) => {
   try {
     const { reportId } = req.params
-    const userId = req.user.id
     
     // Get user-corrected fields from request body (if provided)
     const { correctedFields } = req.body || {}
@@ -109,7 +191,7 @@ export const analyzeDocument = async (req, res) => {
     const report = reportResult.report
 
     // Verify ownership (unless it's guest user)
-    if (userId !== report.user_id) {
+    if (!canAccessReport(req.user, report)) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only analyze your own reports'
@@ -124,72 +206,97 @@ export const analyzeDocument = async (req, res) => {
       })
     }
 
-    // Update status to processing
-    await updateReportStatus(reportId, 'ai_processing')
-
-    try {
-      // Prepare data for AI analysis
-      let analysisData = { ...report.ocr_results }
-      
-      // Use user-corrected fields if provided, otherwise use original OCR results
-      if (correctedFields) {
-        analysisData.extractedFields = { 
-          ...analysisData.extractedFields, 
-          ...correctedFields 
-        }
-        
-        // Update confidence scores for corrected fields (set to high confidence)
-        Object.keys(correctedFields).forEach(fieldName => {
-          if (correctedFields[fieldName] && correctedFields[fieldName].trim()) {
-            analysisData.confidenceScores[fieldName] = 0.95 // High confidence for user-corrected data
-          }
-        })
-        
-        
-        // Update validation completeness
-        if (analysisData.validation) {
-          const requiredFields = ['reportNumber', 'violationDate', 'violationType', 'fineAmount']
-          const correctedRequiredFields = requiredFields.filter(field => 
-            analysisData.extractedFields[field] && analysisData.extractedFields[field].toString().trim()
-          )
-          analysisData.validation.completeness = (correctedRequiredFields.length / requiredFields.length) * 100
-          analysisData.validation.isValid = correctedRequiredFields.length === requiredFields.length
-        }
-      }
+    const quota = await checkQuotaOrReject(res, { userId: report.user_id, companyId: report.company_id })
+    if (!quota) return
+
+    if (correctedFields !== undefined && (typeof correctedFields !== 'object' || Array.isArray(correctedFields))) {
+      return res.status(400).json({
+        error: 'Invalid corrected fields',
+        message: 'correctedFields must be an object of field name to value'
+      })
+    }
 
-      // AI Analysis using corrected or original OCR results
-      const analysisResults = await analyzeTrafficViolation(analysisData)
+    // Analysis runs in the background job worker (refused while the report has a job queued or running)
+    const jobResult = await enqueueReportAnalysis(reportId, correctedFields || null)
+    if (!jobResult.success) {
+      return res.status(jobResult.duplicate ? 409 : 500).json({
+        error: 'Failed to queue analysis',
+        message: jobResult.error,
+        jobId: jobResult.job?.id
+      })
+    }
 
-      // Update report with analysis results
-      const analysisUpdateResult = await updateReportAnalysis(reportId, analysisResults)
-      if (!analysisUpdateResult.success) {
-        console.error('Failed to update analysis results:', analysisUpdateResult.error)
+    // Keep the user's review of the extracted fields for accuracy tracking and extractor examples
+    // (re-analysis without corrections keeps the earlier review)
+    if (correctedFields || !report.analysis_results) {
+      const feedbackResult = await recordFieldCorrections(
+        report,
+        correctedFields || {},
+        req.user.authType === 'api_key' ? null : req.user.id
+      )
+      if (!feedbackResult.success) {
+        console.warn('⚠️ Failed to record field corrections:', feedbackResult.error)
       }
+    }
 
-      res.status(200).json({
-        success: true,
-        reportId,
-        status: 'complete',
-        analysisResults,
-        message: 'AI analysis completed successfully'
-      })
+    res.status(202).json({
+      success: true,
+      reportId,
+      jobId: jobResult.job.id,
+      status: report.status,
+      message: 'AI analysis queued'
+    })
+
+  } catch (error) {
+    console.error('Analysis error:', error)
+    res.status(500).json({
+      error: 'Analysis failed',
+      message: error.message
+    })
+  }
+}
+
+export const getJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params
 
-    } catch (analysisError) {
-      console.error('AI analysis error:', analysisError)
+    const jobResult = await getJobById(jobId)
+    if (!jobResult.success) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'Invalid job ID'
+      })
+    }
 
-      // Update report status to error
-      await updateReportStatus(reportId, 'error', analysisError.message)
+    const job = jobResult.job
 
-      res.status(500).json({
-        error: 'Analysis failed',
-        message: analysisError.message
+    // Verify ownership through the job's report
+    const reportResult = await getReportById(job.report_id)
+    if (!reportResult.success || !canAccessReport(req.user, reportResult.report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view your own jobs'
       })
     }
 
+    res.status(200).json({
+      success: true,
+      jobId: job.id,
+      type: job.type,
+      reportId: job.report_id,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      lastError: job.last_error,
+      result: job.result,
+      createdAt: job.created_at,
+      completedAt: job.completed_at
+    })
+
   } catch (error) {
-    console.error('Analysis error:', error)
+    console.error('Get job status error:', error)
     res.status(500).json({
-      error: 'Analysis failed',
+      error: 'Failed to get job status',
       message: error.message
     })
   }
@@ -198,7 +305,6 @@ export const analyzeDocument = async (req, res) => {
 export const getAnalysisResults = async (req, res) => {
   try {
     const { reportId } = req.params
-    const userId = req.user.id
 
     // Get report from database
     const reportResult = await getReportById(reportId)
@@ -212,7 +318,7 @@ export const getAnalysisResults = async (req, res) => {
     const report = reportResult.report
 
     // Verify ownership
-    if (userId !== report.user_id) {
+    if (!canAccessReport(req.user, report)) {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You can only view your own reports'
@@ -239,13 +345,621 @@ export const getAnalysisResults = async (req, res) => {
   }
 }
 
+// Heartbeat keeps proxies from closing an idle event stream
+const SSE_HEARTBEAT_MS = 15000
+
+function writeServerSentEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+}
+
+export const streamReportEvents = async (req, res) => {
+  try {
+    const { reportId } = req.params
+
+    // Get report from database
+    const reportResult = await getReportById(reportId)
+    if (!reportResult.success) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'Invalid report ID'
+      })
+    }
+
+    const report = reportResult.report
+
+    // Verify ownership
+    if (!canAccessReport(req.user, report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view your own reports'
+      })
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+
+    // Current state first, so the client can render without waiting for the next transition
+    res.write(`event: snapshot\ndata: ${JSON.stringify({
+      reportId: report.id,
+      status: report.status,
+      errorMessage: report.error_message || null,
+      timestamp: new Date().toISOString()
+    })}\n\n`)
+
+    // Replay events the client missed (since upload, or since its last event on reconnect)
+    const lastEventId = parseInt(req.headers['last-event-id']) || 0
+    getRecentReportEvents(reportId, lastEventId).forEach(event => writeServerSentEvent(res, event))
+
+    const unsubscribe = subscribeToReportEvents(reportId, event => writeServerSentEvent(res, event))
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS)
+
+    req.on('close', () => {
+      clearInterval(heartbeat)
+      unsubscribe()
+    })
+
+  } catch (error) {
+    console.error('Event stream error:', error)
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to stream report events',
+        message: error.message
+      })
+    } else {
+      res.end()
+    }
+  }
+}
+
+export const getOriginalFile = async (req, res) => {
+  try {
+    const { reportId } = req.params
+
+    // Get report from database
+    const reportResult = await getReportById(reportId)
+    if (!reportResult.success) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'Invalid report ID'
+      })
+    }
+
+    const report = reportResult.report
+
+    // Verify ownership
+    if (!canAccessReport(req.user, report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only download your own documents'
+      })
+    }
+
+    const fileResult = await retrieveFile(report.original_file?.storage)
+    if (!fileResult.success) {
+      return res.status(404).json({
+        error: 'File not found',
+        message: fileResult.error
+      })
+    }
+
+    const filename = report.original_file.filename || `${reportId}`
+    res.setHeader('Content-Type', report.original_file.mimetype || 'application/octet-stream')
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(filename)}`)
+    res.status(200).send(fileResult.buffer)
+
+  } catch (error) {
+    console.error('Get file error:', error)
+    res.status(500).json({
+      error: 'Failed to get file',
+      message: error.message
+    })
+  }
+}
+
+export const exportReportDocument = async (req, res) => {
+  try {
+    const { reportId } = req.params
+    const { format = 'pdf', document = 'summary' } = req.query
+
+    if (!EXPORT_FORMATS.includes(format) || !EXPORT_DOCUMENTS.includes(document)) {
+      return res.status(400).json({
+        error: 'Invalid export options',
+        message: `format must be one of ${EXPORT_FORMATS.join(', ')} and document one of ${EXPORT_DOCUMENTS.join(', ')}`
+      })
+    }
+
+    // Get report from database
+    const reportResult = await getReportById(reportId)
+    if (!reportResult.success) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'Invalid report ID'
+      })
+    }
+
+    const report = reportResult.report
+
+    // Verify ownership
+    if (!canAccessReport(req.user, report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only export your own reports'
+      })
+    }
+
+    if (!report.analysis_results) {
+      return res.status(400).json({
+        error: 'Analysis not completed',
+        message: 'Document must be analyzed before it can be exported'
+      })
+    }
+
+    if (document === 'appeal' && !report.appeal?.letterGenerated) {
+      return res.status(400).json({
+        error: 'Appeal letter not generated',
+        message: 'Generate an appeal letter before exporting it'
+      })
+    }
+
+    const blocks = buildExportBlocks(report, document)
+    const filename = `smarttraffic-${document}-${reportId}.${format}`
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+
+    if (format === 'docx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')
+      createDOCXStream(blocks).pipe(res)
+    } else {
+      res.setHeader('Content-Type', 'application/pdf')
+      createPDFStream(blocks).pipe(res)
+    }
+
+  } catch (error) {
+    console.error('Export error:', error)
+    res.status(500).json({
+      error: 'Export failed',
+      message: error.message
+    })
+  }
+}
+
+export const generateAppeal = async (req, res) => {
+  try {
+    const { reportId } = req.params
+    const { type, sender } = req.body || {}
+
+    // sender is optional: an object of { fullName, idNumber, address, phone, email }
+    if (sender !== undefined && sender !== null && (typeof sender !== 'object' || Array.isArray(sender))) {
+      return res.status(400).json({
+        error: 'Invalid sender',
+        message: 'sender must be an object with fullName, idNumber, address, phone and email'
+      })
+    }
+
+    // Get report from database
+    const reportResult = await getReportById(reportId)
+    if (!reportResult.success) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'Invalid report ID'
+      })
+    }
+
+    const report = reportResult.report
+
+    // Verify ownership
+    if (!canAccessReport(req.user, report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only generate appeals for your own reports'
+      })
+    }
+
+    // Check if analysis was completed
+    if (!report.analysis_results) {
+      return res.status(400).json({
+        error: 'Analysis not completed',
+        message: 'Document must be analyzed before generating an appeal letter'
+      })
+    }
+
+    // Letters can only be (re)drafted before the appeal is submitted
+    if (!canTransitionAppeal(getAppealStatus(report), 'drafted')) {
+      return res.status(409).json({
+        error: 'Invalid appeal status',
+        message: `Cannot draft a letter for an appeal that is already ${getAppealStatus(report)}`
+      })
+    }
+
+    const principal = { userId: report.user_id, companyId: report.company_id }
+    const quota = await checkQuotaOrReject(res, principal)
+    if (!quota) return
+
+    const letterResult = await generateAppealLetter(report, { type, sender, aiEnabled: quota.aiEnabled })
+    await recordAIUsage({ ...principal, reportId }, getAppealLetterUsageEntries(letterResult.letter))
+
+    const appealUpdateResult = await transitionAppeal(report, 'drafted', {
+      by: req.user.id,
+      letter: letterResult.letter
+    })
+    if (!appealUpdateResult.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: appealUpdateResult.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      reportId,
+      appeal: appealUpdateResult.appeal,
+      message: 'Appeal letter generated successfully'
+    })
+
+  } catch (error) {
+    console.error('Appeal generation error:', error)
+    res.status(500).json({
+      error: 'Appeal generation failed',
+      message: error.message
+    })
+  }
+}
+
+// Get the appeal state and history of a report
+export const getAppeal = async (req, res) => {
+  try {
+    const { reportId } = req.params
+
+    const reportResult = await getReportById(reportId)
+    if (!reportResult.success) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'Invalid report ID'
+      })
+    }
+
+    if (!canAccessReport(req.user, reportResult.report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only view appeals of your own reports'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      reportId,
+      appeal: getAppealSummary(reportResult.report)
+    })
+
+  } catch (error) {
+    console.error('Get appeal error:', error)
+    res.status(500).json({
+      error: 'Failed to get appeal',
+      message: error.message
+    })
+  }
+}
+
+// Move an appeal to its next status, with an optional note and attached documents
+export const updateAppealStatus = async (req, res) => {
+  try {
+    const { reportId } = req.params
+    const { status, note, occurredAt, courtDate } = req.body || {}
+
+    if (!status) {
+      return res.status(400).json({
+        error: 'Missing status',
+        message: 'status is required'
+      })
+    }
+
+    const reportResult = await getReportById(reportId)
+    if (!reportResult.success) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'Invalid report ID'
+      })
+    }
+
+    const report = reportResult.report
+
+    if (!canAccessReport(req.user, report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only manage appeals of your own reports'
+      })
+    }
+
+    // Drafting goes through letter generation
+    if (status === 'drafted') {
+      return res.status(400).json({
+        error: 'Invalid appeal status',
+        message: `Use POST /api/upload/appeal/${reportId} to draft an appeal letter`
+      })
+    }
+
+    // Validate before storing the documents, so a refused transition leaves no files behind
+    const validationError = validateAppealTransition(report, status, { occurredAt, courtDate })
+    if (validationError) {
+      return res.status(409).json({
+        error: 'Invalid appeal transition',
+        message: validationError
+      })
+    }
+
+    const documents = []
+    // Documents already stored are removed when the request fails afterwards
+    const removeStoredDocuments = () => Promise.all(documents.map(document => deleteFile(document.storage)))
+
+    for (const file of req.files || []) {
+      const storeResult = await storeFile(report.user_id, {
+        buffer: file.buffer,
+        mimetype: file.mimetype
+      })
+      if (!storeResult.success) {
+        await removeStoredDocuments()
+        return res.status(500).json({
+          error: 'Storage error',
+          message: storeResult.error
+        })
+      }
+
+      documents.push({
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        storage: storeResult.storage,
+        uploadedAt: new Date().toISOString()
+      })
+    }
+
+    const transitionResult = await transitionAppeal(report, status, {
+      by: req.user.id,
+      note,
+      occurredAt,
+      courtDate,
+      documents
+    })
+
+    if (!transitionResult.success) {
+      await removeStoredDocuments()
+      return res.status(transitionResult.invalidTransition ? 409 : 500).json({
+        error: transitionResult.invalidTransition ? 'Invalid appeal transition' : 'Database error',
+        message: transitionResult.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      reportId,
+      transition: transitionResult.transition,
+      appeal: getAppealSummary(transitionResult.report)
+    })
+
+  } catch (error) {
+    console.error('Appeal status error:', error)
+    res.status(500).json({
+      error: 'Failed to update appeal',
+      message: error.message
+    })
+  }
+}
+
+// Download a document attached to an appeal transition
+export const getAppealDocument = async (req, res) => {
+  try {
+    const { reportId, documentId } = req.params
+
+    const reportResult = await getReportById(reportId)
+    if (!reportResult.success) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'Invalid report ID'
+      })
+    }
+
+    if (!canAccessReport(req.user, reportResult.report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only access documents of your own reports'
+      })
+    }
+
+    const document = findAppealDocument(reportResult.report, documentId)
+    const fileResult = await retrieveFile(document?.storage)
+    if (!fileResult.success) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: document ? fileResult.error : 'Invalid document ID'
+      })
+    }
+
+    const filename = document.filename || `appeal-document-${documentId}`
+    res.setHeader('Content-Type', document.mimetype || 'application/octet-stream')
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(filename)}`)
+    res.status(200).send(fileResult.buffer)
+
+  } catch (error) {
+    console.error('Get appeal document error:', error)
+    res.status(500).json({
+      error: 'Failed to get document',
+      message: error.message
+    })
+  }
+}
+
+// Share a report with a lawyer for review (lawyerId or lawyerEmail)
+export const shareReport = async (req, res) => {
+  try {
+    const { reportId } = req.params
+    const { lawyerId, lawyerEmail, note } = req.body || {}
+
+    if (!lawyerId && !lawyerEmail) {
+      return res.status(400).json({
+        error: 'Missing lawyer',
+        message: 'lawyerId or lawyerEmail is required'
+      })
+    }
+
+    const reportResult = await getReportById(reportId)
+    if (!reportResult.success) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'Invalid report ID'
+      })
+    }
+
+    const report = reportResult.report
+
+    if (!isReportOwner(req.user, report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only share your own reports'
+      })
+    }
+
+    if (!report.analysis_results) {
+      return res.status(400).json({
+        error: 'Analysis not completed',
+        message: 'Document must be analyzed before it can be shared with a lawyer'
+      })
+    }
+
+    const lawyerResult = lawyerId ? await getUserById(lawyerId) : await getUserByEmail(lawyerEmail)
+    if (!lawyerResult.success) {
+      return res.status(404).json({
+        error: 'Lawyer not found',
+        message: 'No lawyer account matches the given lawyerId / lawyerEmail'
+      })
+    }
+
+    const lawyer = lawyerResult.user
+    const shareResult = await shareReportWithLawyer(report, lawyer, { sharedBy: req.user.id, note })
+    if (!shareResult.success) {
+      return res.status(shareResult.invalidReview ? 400 : 500).json({
+        error: shareResult.invalidReview ? 'Cannot share report' : 'Database error',
+        message: shareResult.error
+      })
+    }
+
+    await sendNotification(lawyer, 'lawyer_case_assigned', {
+      reportId,
+      reportNumber: report.ocr_results?.extractedFields?.reportNumber,
+      sharedByName: [req.user.first_name, req.user.last_name].filter(Boolean).join(' ') || req.user.companyName,
+      appealDeadline: report.appeal_deadline ? formatDeadline(report.appeal_deadline) : null,
+      note
+    }, { reportId })
+
+    res.status(200).json({
+      success: true,
+      reportId,
+      review: shareResult.report.lawyer_review
+    })
+
+  } catch (error) {
+    console.error('Share report error:', error)
+    res.status(500).json({
+      error: 'Failed to share report',
+      message: error.message
+    })
+  }
+}
+
+// Withdraw a report from its lawyer before a verdict is returned
+export const unshareReport = async (req, res) => {
+  try {
+    const { reportId } = req.params
+
+    const reportResult = await getReportById(reportId)
+    if (!reportResult.success) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'Invalid report ID'
+      })
+    }
+
+    if (!isReportOwner(req.user, reportResult.report)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only manage sharing of your own reports'
+      })
+    }
+
+    const unshareResult = await unshareReportFromLawyer(reportResult.report)
+    if (!unshareResult.success) {
+      return res.status(unshareResult.invalidReview ? 409 : 500).json({
+        error: unshareResult.invalidReview ? 'Cannot unshare report' : 'Database error',
+        message: unshareResult.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      reportId,
+      message: 'Report is no longer shared'
+    })
+
+  } catch (error) {
+    console.error('Unshare report error:', error)
+    res.status(500).json({
+      error: 'Failed to unshare report',
+      message: error.message
+    })
+  }
+}
+
+// AI usage of the current month and the quota that applies (the company's for API keys and fleet drivers)
+export const getUsage = async (req, res) => {
+  try {
+    const principal = getRequestPrincipal(req.user)
+    const quota = await checkUsageQuota(principal)
+
+    // Drivers see their own usage; API keys see the whole company
+    const summaryResult = await getUsageSummary(
+      principal.userId ? { userId: principal.userId } : { companyId: principal.companyId }
+    )
+    if (!summaryResult.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: summaryResult.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      quota: {
+        scope: quota.scope,
+        limit: quota.limit,
+        spent: quota.spent,
+        exceeded: quota.exceeded,
+        action: quota.action
+      },
+      totals: summaryResult.totals,
+      byTask: summaryResult.byTask
+    })
+
+  } catch (error) {
+    console.error('Get usage error:', error)
+    res.status(500).json({
+      error: 'Failed to get usage',
+      message: error.message
+    })
+  }
+}
+
 // New function to get user's reports list
 export const getUserReports = async (req, res) => {
   try {
-    const userId = req.user.id
     const { limit = 50, offset = 0 } = req.query
 
-    const reportsResult = await getReportsByUserId(userId, parseInt(limit), parseInt(offset))
+    // API-key clients list every report of their company
+    const reportsResult = req.user.authType === 'api_key'
+      ? await getCompanyReports(req.user.company_id, { limit: parseInt(limit), offset: parseInt(offset) })
+      : await getReportsByUserId(req.user.id, parseInt(limit), parseInt(offset))
     if (!reportsResult.success) {
       return res.status(500).json({
         error: 'Database error',
@@ -270,3 +984,35 @@ export const getUserReports = async (req, res) => {
     })
   }
 }
+
+// User's tickets with open appeal / payment deadlines, most urgent first
+export const getUserDeadlines = async (req, res) => {
+  try {
+    const includeOverdue = req.query.includeOverdue !== 'false'
+
+    // API-key clients see every ticket of their company
+    const scope = req.user.authType === 'api_key'
+      ? { companyId: req.user.company_id }
+      : { userId: req.user.id }
+
+    const deadlinesResult = await getDeadlinesByUrgency(scope, { includeOverdue })
+    if (!deadlinesResult.success) {
+      return res.status(500).json({
+        error: 'Database error',
+        message: deadlinesResult.error
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      tickets: deadlinesResult.tickets
+    })
+
+  } catch (error) {
+    console.error('Get deadlines error:', error)
+    res.status(500).json({
+      error: 'Failed to get deadlines',
+      message: error.message
+    })
+  }
+}
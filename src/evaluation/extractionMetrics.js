@@ -0,0 +1,219 @@
+// Extraction evaluation metrics - compares extracted fields against labeled ground truth
+import { normalizeHebrewText, parseTicketDate } from '../services/textPreprocessingService.js'
+
+export const EVALUATED_FIELDS = [
+  'reportNumber',
+  'violationDate',
+  'violationTime',
+  'violationType',
+  'fineAmount',
+  'location',
+  'driverName',
+  'licenseNumber',
+  'vehiclePlate',
+  'points',
+  'appealDeadline',
+  'measuredSpeed',
+  'speedLimit',
+  'enforcementDevice',
+  'roadType',
+  'deviceId'
+]
+
+// Upper bounds of the confidence calibration buckets
+const CALIBRATION_BUCKETS = [0.2, 0.4, 0.6, 0.8, 1]
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000)
+
+/**
+ * Canonical form of a field value so formatting differences are not counted as errors
+ * (15.03.2024 = 15/03/2024, 9:05 = 09:05, 1,000 = 1000, 12-345-67 = 1234567)
+ */
+export function normalizeFieldValue(field, value) {
+  if (value === null || value === undefined || typeof value === 'object') return null
+  const text = String(value).trim()
+  if (text === '' || text === 'null') return null
+
+  switch (field) {
+    case 'violationDate':
+    case 'appealDeadline': {
+      const date = parseTicketDate(text)
+      return date ? date.toISOString().slice(0, 10) : text
+    }
+    case 'violationTime': {
+      const match = text.match(/(\d{1,2})[:.](\d{2})/)
+      return match ? `${match[1].padStart(2, '0')}:${match[2]}` : text
+    }
+    case 'fineAmount':
+    case 'points':
+    case 'measuredSpeed':
+    case 'speedLimit': {
+      const number = parseFloat(text.replace(/[^\d.]/g, ''))
+      return isNaN(number) ? text : String(number)
+    }
+    case 'reportNumber':
+    case 'licenseNumber':
+    case 'vehiclePlate':
+    case 'deviceId':
+      return text.replace(/[\s\-./]/g, '')
+    default:
+      return normalizeHebrewText(text)
+        .replace(/["'״׳:,.;()\-–]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+  }
+}
+
+// Expected values are a string, a list of acceptable strings, or null when the field is absent
+function isMatch(field, predicted, expected) {
+  const acceptable = Array.isArray(expected) ? expected : [expected]
+  return acceptable.some(value => normalizeFieldValue(field, value) === predicted)
+}
+
+/**
+ * Score one pipeline's output for one fixture
+ * Returns one row per field: { field, expected, predicted, confidence, outcome }
+ * outcome: correct | wrong (a different value) | spurious (a value for an absent field) | missed | absent
+ */
+export function scoreExtraction(expectedFields, extraction) {
+  const extractedFields = extraction.extractedFields || {}
+  const confidenceScores = extraction.confidenceScores || {}
+
+  return EVALUATED_FIELDS
+    .filter(field => field in expectedFields)
+    .map(field => {
+      const expected = expectedFields[field]
+      const predicted = normalizeFieldValue(field, extractedFields[field])
+      const hasExpected = expected !== null && expected !== undefined
+
+      let outcome
+      if (predicted === null) {
+        outcome = hasExpected ? 'missed' : 'absent'
+      } else if (!hasExpected) {
+        outcome = 'spurious'
+      } else {
+        outcome = isMatch(field, predicted, expected) ? 'correct' : 'wrong'
+      }
+
+      return {
+        field,
+        expected: hasExpected ? expected : null,
+        predicted: extractedFields[field] ?? null,
+        confidence: typeof confidenceScores[field] === 'number' ? confidenceScores[field] : null,
+        outcome
+      }
+    })
+}
+
+function fieldCounts(key) {
+  return { ...key, truePositives: 0, falsePositives: 0, falseNegatives: 0 }
+}
+
+/**
+ * Precision / recall per field, micro-averaged over all fields
+ * A wrong value is both a false positive and a false negative.
+ */
+export function summarizePrecisionRecall(rows) {
+  const byField = {}
+  const overall = fieldCounts({ field: 'all' })
+
+  rows.forEach(row => {
+    const counts = [byField[row.field] ||= fieldCounts({ field: row.field }), overall]
+    counts.forEach(count => {
+      if (row.outcome === 'correct') count.truePositives++
+      if (row.outcome === 'wrong' || row.outcome === 'spurious') count.falsePositives++
+      if (row.outcome === 'wrong' || row.outcome === 'missed') count.falseNegatives++
+    })
+  })
+
+  const finish = (count) => {
+    const predicted = count.truePositives + count.falsePositives
+    const expected = count.truePositives + count.falseNegatives
+    const precision = predicted > 0 ? count.truePositives / predicted : null
+    const recall = expected > 0 ? count.truePositives / expected : null
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : (precision === null && recall === null ? null : 0)
+
+    return { ...count, precision: round(precision), recall: round(recall), f1: round(f1) }
+  }
+
+  return {
+    overall: finish(overall),
+    byField: EVALUATED_FIELDS.filter(field => byField[field]).map(field => finish(byField[field]))
+  }
+}
+
+/**
+ * Confidence calibration: how often predictions in each confidence bucket are correct
+ * expectedCalibrationError = sum over buckets of (share of predictions) * |accuracy - avg confidence|
+ */
+export function summarizeCalibration(rows) {
+  const predictions = rows.filter(row => row.outcome === 'correct' || row.outcome === 'wrong' || row.outcome === 'spurious')
+  const scored = predictions.filter(row => row.confidence !== null)
+
+  const buckets = CALIBRATION_BUCKETS.map((upper, index) => ({
+    from: index === 0 ? 0 : CALIBRATION_BUCKETS[index - 1],
+    to: upper,
+    predictions: 0,
+    correct: 0,
+    confidenceSum: 0
+  }))
+
+  scored.forEach(row => {
+    const confidence = Math.min(Math.max(row.confidence, 0), 1)
+    const bucket = buckets.find(candidate => confidence < candidate.to) || buckets[buckets.length - 1]
+    bucket.predictions++
+    bucket.confidenceSum += confidence
+    if (row.outcome === 'correct') bucket.correct++
+  })
+
+  let calibrationError = 0
+  const finishedBuckets = buckets.map(({ confidenceSum, ...bucket }) => {
+    const accuracy = bucket.predictions > 0 ? bucket.correct / bucket.predictions : null
+    const avgConfidence = bucket.predictions > 0 ? confidenceSum / bucket.predictions : null
+    if (bucket.predictions > 0) {
+      calibrationError += (bucket.predictions / scored.length) * Math.abs(accuracy - avgConfidence)
+    }
+    return { ...bucket, accuracy: round(accuracy), avgConfidence: round(avgConfidence) }
+  })
+
+  return {
+    predictions: predictions.length,
+    withoutConfidence: predictions.length - scored.length,
+    expectedCalibrationError: scored.length > 0 ? round(calibrationError) : null,
+    buckets: finishedBuckets
+  }
+}
+
+/**
+ * Compare a run against a baseline run and list the metrics that got worse by more than tolerance
+ */
+export function findRegressions(current, baseline, tolerance = 0.01) {
+  const regressions = []
+
+  for (const [pipeline, result] of Object.entries(current.pipelines)) {
+    const previous = baseline.pipelines?.[pipeline]
+    if (!previous) continue
+
+    const compare = (metric, now, before, higherIsBetter = true) => {
+      if (now === null || before === null || now === undefined || before === undefined) return
+      const change = higherIsBetter ? before - now : now - before
+      if (change > tolerance) {
+        regressions.push({ pipeline, metric, baseline: before, current: now })
+      }
+    }
+
+    compare('overall.f1', result.overall.f1, previous.overall?.f1)
+    compare('overall.precision', result.overall.precision, previous.overall?.precision)
+    compare('overall.recall', result.overall.recall, previous.overall?.recall)
+    result.byField.forEach(field => {
+      const previousField = previous.byField?.find(candidate => candidate.field === field.field)
+      compare(`${field.field}.f1`, field.f1, previousField?.f1)
+    })
+    compare('calibration.expectedCalibrationError', result.calibration.expectedCalibrationError,
+      previous.calibration?.expectedCalibrationError, false)
+  }
+
+  return regressions
+}
@@ -0,0 +1,233 @@
+// Extraction evaluation harness
+// Replays labeled Google Vision responses through preprocessing, legacy parsing and AI extraction
+// (mock LLM) and reports per-field precision / recall and confidence calibration.
+//
+// Usage: npm run eval:extraction -- [--fixtures dir] [--output report.json] [--baseline report.json]
+//                                   [--tolerance 0.01] [--verbose]
+import fs from 'fs'
+import path from 'path'
+import dotenv from 'dotenv'
+import { fileURLToPath } from 'url'
+import {
+  scoreExtraction,
+  summarizePrecisionRecall,
+  summarizeCalibration,
+  findRegressions
+} from './extractionMetrics.js'
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'extraction')
+
+const PIPELINES = ['preprocessing', 'legacy', 'ai', 'enhanced']
+
+dotenv.config()
+
+// The harness always runs against the mock LLM and never touches the database,
+// but the services refuse to load without Supabase settings
+process.env.LLM_PROVIDER = 'mock'
+process.env.SUPABASE_URL ||= 'http://localhost:54321'
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'evaluation'
+process.env.SUPABASE_ANON_KEY ||= 'evaluation'
+
+const { preprocessOCRText } = await import('../services/textPreprocessingService.js')
+const { parseOCRTextWithConfidence, fillMissingFieldsFromLegacy } = await import('../services/ocrService.js')
+const { extractFieldsWithAI } = await import('../services/aiFieldExtractionService.js')
+const { buildOCRResult } = await import('../services/ocrProviders/index.js')
+const { visionProvider, normalizePage } = await import('../services/ocrProviders/visionProvider.js')
+const { setMockFixture, clearMockFixtures } = await import('../services/llmProviders/mockProvider.js')
+
+function parseArgs(argv) {
+  const options = { fixtures: DEFAULT_FIXTURES_PATH, output: null, baseline: null, tolerance: 0.01, verbose: false }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--verbose') options.verbose = true
+    else if (arg === '--fixtures') options.fixtures = path.resolve(argv[++i])
+    else if (arg === '--output') options.output = path.resolve(argv[++i])
+    else if (arg === '--baseline') options.baseline = path.resolve(argv[++i])
+    else if (arg === '--tolerance') options.tolerance = parseFloat(argv[++i])
+    else throw new Error(`Unknown argument: ${arg}`)
+  }
+
+  if (isNaN(options.tolerance) || options.tolerance < 0) {
+    throw new Error('--tolerance must be a non-negative number')
+  }
+  return options
+}
+
+/**
+ * Load the labeled fixtures of a directory
+ * Fixture: {
+ *   name, description,
+ *   vision: Vision AnnotateImageResponse, or an array of them (one per PDF page),
+ *   expectedFields: { field: value | [acceptable values] | null (not on the ticket) },
+ *   llmResponse: the mock LLM's field_extraction response (optional - the built-in fixture otherwise),
+ *   fewShotExamples: correction examples for the extraction prompt (optional)
+ * }
+ */
+function loadFixtures(directory) {
+  if (!fs.existsSync(directory)) {
+    throw new Error(`Fixtures directory not found: ${directory}`)
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'))
+      if (!fixture.vision || !fixture.expectedFields) {
+        throw new Error(`Fixture ${file} needs "vision" and "expectedFields"`)
+      }
+      return { name: fixture.name || path.basename(file, '.json'), ...fixture }
+    })
+}
+
+// Preprocessing only detects values; the first candidate of each field is its prediction
+function preprocessingExtraction(preprocessedText) {
+  const extraction = { extractedFields: {}, confidenceScores: {} }
+
+  for (const [fieldType, detected] of Object.entries(preprocessedText.extractedValues)) {
+    const field = fieldType === 'time' ? 'violationTime' : fieldType
+    extraction.extractedFields[field] = detected.values[0]
+    extraction.confidenceScores[field] = detected.confidence
+  }
+  return extraction
+}
+
+/**
+ * Run one fixture through every pipeline, the same way extractTextFromDocument chains them
+ */
+async function runFixture(fixture) {
+  const responses = Array.isArray(fixture.vision) ? fixture.vision : [fixture.vision]
+  const ocrResult = buildOCRResult(visionProvider, responses.map((response, index) => normalizePage(response, index + 1)))
+
+  const preprocessedText = preprocessOCRText(ocrResult.text)
+  const legacy = parseOCRTextWithConfidence(ocrResult.text, ocrResult)
+
+  clearMockFixtures()
+  if (fixture.llmResponse) {
+    setMockFixture('field_extraction', fixture.llmResponse)
+  }
+  const ai = await extractFieldsWithAI(preprocessedText, ocrResult.confidence, {
+    examples: fixture.fewShotExamples || []
+  })
+
+  const extractions = {
+    preprocessing: preprocessingExtraction(preprocessedText),
+    legacy,
+    ai,
+    // Production falls back to legacy parsing when AI extraction fails
+    enhanced: ai.success ? fillMissingFieldsFromLegacy(ai, ocrResult.text, ocrResult) : legacy
+  }
+
+  const rows = {}
+  for (const pipeline of PIPELINES) {
+    rows[pipeline] = scoreExtraction(fixture.expectedFields, extractions[pipeline])
+  }
+  return { name: fixture.name, ocrConfidence: ocrResult.confidence, aiSuccess: ai.success, rows }
+}
+
+async function runEvaluation(fixtures) {
+  const results = []
+  for (const fixture of fixtures) {
+    results.push(await runFixture(fixture))
+  }
+
+  const pipelines = {}
+  for (const pipeline of PIPELINES) {
+    const rows = results.flatMap(result => result.rows[pipeline])
+    pipelines[pipeline] = {
+      ...summarizePrecisionRecall(rows),
+      calibration: summarizeCalibration(rows)
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    fixtureCount: fixtures.length,
+    pipelines,
+    // Everything a pipeline got wrong, per fixture
+    fixtures: results.map(result => ({
+      name: result.name,
+      ocrConfidence: result.ocrConfidence,
+      aiSuccess: result.aiSuccess,
+      errors: Object.fromEntries(PIPELINES.map(pipeline => [
+        pipeline,
+        result.rows[pipeline].filter(row => row.outcome !== 'correct' && row.outcome !== 'absent')
+      ]))
+    }))
+  }
+}
+
+const formatMetric = (value) => (value === null ? '   -  ' : value.toFixed(3).padStart(6))
+
+function printReport(report, verbose) {
+  console.log(`\n📊 Extraction evaluation - ${report.fixtureCount} fixture(s)`)
+
+  for (const [pipeline, result] of Object.entries(report.pipelines)) {
+    console.log(`\n${pipeline}`)
+    console.log(`  ${'field'.padEnd(18)} ${'TP'.padStart(3)} ${'FP'.padStart(3)} ${'FN'.padStart(3)}  precision  recall      f1`)
+    for (const row of [...result.byField, result.overall]) {
+      console.log(`  ${row.field.padEnd(18)} ${String(row.truePositives).padStart(3)} ${String(row.falsePositives).padStart(3)} ${String(row.falseNegatives).padStart(3)}     ${formatMetric(row.precision)}  ${formatMetric(row.recall)}  ${formatMetric(row.f1)}`)
+    }
+
+    const { calibration } = result
+    console.log(`  calibration: ECE ${formatMetric(calibration.expectedCalibrationError).trim()} over ${calibration.predictions - calibration.withoutConfidence} scored prediction(s)`)
+    calibration.buckets
+      .filter(bucket => bucket.predictions > 0)
+      .forEach(bucket => {
+        console.log(`    ${bucket.from.toFixed(1)}-${bucket.to.toFixed(1)}: ${String(bucket.predictions).padStart(3)} prediction(s), avg confidence ${formatMetric(bucket.avgConfidence)}, accuracy ${formatMetric(bucket.accuracy)}`)
+      })
+  }
+
+  if (verbose) {
+    console.log('\nErrors by fixture')
+    report.fixtures.forEach(fixture => {
+      console.log(`\n  ${fixture.name} (OCR confidence ${fixture.ocrConfidence.toFixed(3)}${fixture.aiSuccess ? '' : ', AI extraction failed'})`)
+      for (const [pipeline, errors] of Object.entries(fixture.errors)) {
+        errors.forEach(error => {
+          console.log(`    ${pipeline.padEnd(14)} ${error.field.padEnd(18)} ${error.outcome.padEnd(9)} expected ${JSON.stringify(error.expected)}, got ${JSON.stringify(error.predicted)}`)
+        })
+      }
+    })
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const fixtures = loadFixtures(options.fixtures)
+  if (fixtures.length === 0) {
+    throw new Error(`No fixtures in ${options.fixtures}`)
+  }
+
+  const report = await runEvaluation(fixtures)
+  printReport(report, options.verbose)
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(report, null, 2) + '\n')
+    console.log(`\n💾 Report written to ${options.output}`)
+  }
+
+  if (options.baseline) {
+    const baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'))
+    const regressions = findRegressions(report, baseline, options.tolerance)
+
+    if (regressions.length > 0) {
+      console.error(`\n❌ ${regressions.length} metric(s) regressed by more than ${options.tolerance}:`)
+      regressions.forEach(regression => {
+        console.error(`   ${regression.pipeline} ${regression.metric}: ${regression.baseline} -> ${regression.current}`)
+      })
+      process.exitCode = 1
+      return
+    }
+    console.log(`\n✅ No regressions against ${options.baseline}`)
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Extraction evaluation failed:', error.message)
+  process.exitCode = 1
+})
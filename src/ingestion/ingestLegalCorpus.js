@@ -0,0 +1,146 @@
+// Legal corpus ingestion - loads Hebrew legal documents into data_chunks for semantic search
+//
+// Usage: npm run ingest:legal -- <file|directory>... [--category name] [--title title] [--source id]
+//                                [--legal-reference ref] [--chunk-size 1200] [--overlap 200]
+//                                [--ocr-provider vision|tesseract] [--prune] [--dry-run]
+//
+// Directories are read recursively (.pdf, .txt, .md, .html). A manifest.json in a directory sets the
+// metadata of its files: { "file.pdf": { "title", "category", "source", "legalReference" } }.
+// Defaults: title = file name, category = parent directory name, source = path relative to the input.
+import fs from 'fs'
+import path from 'path'
+import dotenv from 'dotenv'
+import {
+  CORPUS_CONFIG,
+  SUPPORTED_EXTENSIONS,
+  ingestLegalDocument
+} from '../services/legalCorpusService.js'
+
+dotenv.config()
+
+function parseArgs(argv) {
+  const options = {
+    inputs: [],
+    metadata: {},
+    chunkSize: CORPUS_CONFIG.chunkSize,
+    overlap: CORPUS_CONFIG.chunkOverlap,
+    ocrProvider: undefined,
+    prune: false,
+    dryRun: false
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--prune') options.prune = true
+    else if (arg === '--dry-run') options.dryRun = true
+    else if (arg === '--category') options.metadata.category = argv[++i]
+    else if (arg === '--title') options.metadata.title = argv[++i]
+    else if (arg === '--source') options.metadata.source = argv[++i]
+    else if (arg === '--legal-reference') options.metadata.legalReference = argv[++i]
+    else if (arg === '--chunk-size') options.chunkSize = parseInt(argv[++i])
+    else if (arg === '--overlap') options.overlap = parseInt(argv[++i])
+    else if (arg === '--ocr-provider') options.ocrProvider = argv[++i]
+    else if (arg.startsWith('--')) throw new Error(`Unknown argument: ${arg}`)
+    else options.inputs.push(path.resolve(arg))
+  }
+
+  if (options.inputs.length === 0) {
+    throw new Error('Give at least one file or directory to ingest')
+  }
+  if (!(options.chunkSize > 0) || !(options.overlap >= 0) || options.overlap >= options.chunkSize) {
+    throw new Error('--chunk-size must be positive and larger than --overlap')
+  }
+  return options
+}
+
+function readManifest(directory) {
+  const manifestPath = path.join(directory, 'manifest.json')
+  return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {}
+}
+
+// Every supported file under an input, with the metadata its manifest gives it
+function collectDocuments(input) {
+  if (!fs.existsSync(input)) {
+    throw new Error(`Not found: ${input}`)
+  }
+
+  if (fs.statSync(input).isFile()) {
+    const directory = path.dirname(input)
+    return [{ filePath: input, root: directory, manifest: readManifest(directory)[path.basename(input)] || {} }]
+  }
+
+  const documents = []
+  const walk = (directory) => {
+    const manifest = readManifest(directory)
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(directory, entry.name)
+      if (entry.isDirectory()) {
+        walk(entryPath)
+      } else if (SUPPORTED_EXTENSIONS[path.extname(entry.name).toLowerCase()]) {
+        documents.push({ filePath: entryPath, root: input, manifest: manifest[entry.name] || {} })
+      }
+    }
+  }
+  walk(input)
+  return documents
+}
+
+function getDocumentMetadata(document, overrides) {
+  const relativePath = path.relative(document.root, document.filePath).split(path.sep).join('/')
+
+  return {
+    title: path.basename(document.filePath, path.extname(document.filePath)).replace(/[_-]+/g, ' '),
+    category: path.basename(path.dirname(document.filePath)),
+    source: relativePath,
+    ...document.manifest,
+    ...overrides
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const documents = options.inputs.flatMap(collectDocuments)
+
+  if (documents.length === 0) {
+    throw new Error(`No ${Object.keys(SUPPORTED_EXTENSIONS).join(' / ')} files found`)
+  }
+  // source identifies a document (re-runs and --prune are scoped to it)
+  if (options.metadata.source && documents.length > 1) {
+    throw new Error('--source can only be used with a single document')
+  }
+
+  console.log(`📚 Ingesting ${documents.length} document(s)${options.dryRun ? ' (dry run)' : ''}`)
+
+  const totals = { chunks: 0, inserted: 0, updated: 0, unchanged: 0, pruned: 0, embeddingTokens: 0 }
+  let failed = 0
+
+  for (const document of documents) {
+    const metadata = getDocumentMetadata(document, options.metadata)
+    const result = await ingestLegalDocument(document.filePath, metadata, options)
+
+    if (!result.success) {
+      failed++
+      console.error(`❌ ${metadata.source}: ${result.error}`)
+      continue
+    }
+
+    Object.keys(totals).forEach(key => { totals[key] += result[key] })
+    const changes = options.dryRun
+      ? ''
+      : ` - ${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged${options.prune ? `, ${result.pruned} pruned` : ''}`
+    console.log(`📄 ${metadata.source} [${metadata.category}]: ${result.sections} section(s), ${result.chunks} chunk(s)${changes}`)
+  }
+
+  console.log(options.dryRun
+    ? `\n✅ ${totals.chunks} chunk(s) (nothing stored)`
+    : `\n✅ ${totals.chunks} chunk(s): ${totals.inserted} new, ${totals.updated} updated, ${totals.unchanged} unchanged, ${totals.pruned} pruned, ${totals.embeddingTokens} embedding tokens`)
+  if (failed > 0) {
+    console.error(`❌ ${failed} document(s) failed`)
+    process.exitCode = 1
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Legal corpus ingestion failed:', error.message)
+  process.exitCode = 1
+})
@@ -1,4 +1,5 @@
 import { verifyToken, getUserById, getGuestUser } from '../services/userService.js'
+import { getCompanyByApiKey, API_KEY_HEADER } from '../services/apiKeyService.js'
 import { AUTH_CONFIG } from '../config/supabase.js'
 
 /**
@@ -6,8 +7,43 @@ import { AUTH_CONFIG } from '../config/supabase.js'
  * Supports both PoC mode (guest user) and MVP mode (full authentication)
  */
 
+// Company API key authentication (machine-to-machine integrations)
+// The request acts for the company: it can upload for the company's drivers and read company reports
+export const authenticateApiKey = async (req, res, next) => {
+  try {
+    const { success, company } = await getCompanyByApiKey(req.headers[API_KEY_HEADER])
+
+    if (!success) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid API key'
+      })
+    }
+
+    req.user = {
+      id: null,
+      role: 'company_api',
+      company_id: company.id,
+      companyName: company.name,
+      authType: 'api_key'
+    }
+    next()
+  } catch (error) {
+    console.error('API key auth error:', error)
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Authentication failed'
+    })
+  }
+}
+
 export const authenticateUser = async (req, res, next) => {
   try {
+    // A company API key takes precedence over user authentication
+    if (req.headers[API_KEY_HEADER]) {
+      return authenticateApiKey(req, res, next)
+    }
+
     // PoC Mode: Always use guest user
     if (!AUTH_CONFIG.requireAuth) {
       const { user } = getGuestUser()
@@ -58,6 +94,11 @@ export const authenticateUser = async (req, res, next) => {
 // Optional authentication - for endpoints that work with or without auth
 export const optionalAuth = async (req, res, next) => {
   try {
+    // An invalid API key is rejected rather than downgraded to the guest user
+    if (req.headers[API_KEY_HEADER]) {
+      return authenticateApiKey(req, res, next)
+    }
+
     // Always try to authenticate, but don't fail if no token
     const authHeader = req.headers.authorization
     
@@ -92,6 +133,14 @@ export const optionalAuth = async (req, res, next) => {
   }
 }
 
+// EventSource cannot send an Authorization header, so streaming endpoints accept ?token=
+export const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`
+  }
+  next()
+}
+
 // Role-based authorization middleware
 export const requireRole = (allowedRoles) => {
   return (req, res, next) => {
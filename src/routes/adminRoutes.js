@@ -0,0 +1,31 @@
+import express from 'express'
+import {
+  getStats,
+  getDailyMetrics,
+  getMetricsSummary,
+  rollupAnalytics,
+  getUsage,
+  getExtractionAccuracyReport,
+  getExtractionCorrections
+} from '../controllers/adminController.js'
+import { authenticateUser, requireAdmin } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// All admin routes require an authenticated system admin
+router.use(authenticateUser, requireAdmin)
+
+// Dashboard (?from=YYYY-MM-DD&to=YYYY-MM-DD, default last 30 days)
+router.get('/stats', getStats)
+router.get('/analytics/daily', getDailyMetrics)
+router.get('/analytics/summary', getMetricsSummary)
+router.post('/analytics/rollup', rollupAnalytics)
+
+// AI token ledger (?month=YYYY-MM)
+router.get('/usage', getUsage)
+
+// Field extraction feedback
+router.get('/extraction/accuracy', getExtractionAccuracyReport)
+router.get('/extraction/corrections', getExtractionCorrections)
+
+export default router
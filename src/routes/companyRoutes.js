@@ -0,0 +1,67 @@
+import express from 'express'
+import {
+  createCompany,
+  listCompanies,
+  getCompany,
+  updateCompany,
+  deleteCompany,
+  getCompanyDrivers,
+  addCompanyDriver,
+  removeCompanyDriver,
+  getCompanyInvitations,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getCompanyReports,
+  issueApiKey,
+  revokeApiKey,
+  getCompanyRisk,
+  getDriverRisk,
+  getCompanyAlerts,
+  acknowledgeCompanyAlert,
+  getCompanyOutstandingPayments,
+  getCompanyUsage
+} from '../controllers/companyController.js'
+import { authenticateUser, requireAdmin, requireFleetAdmin } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Company invitations of the current user (any authenticated user - registered before the fleet admin check)
+router.get('/invitations', authenticateUser, getMyInvitations)
+router.post('/invitations/:invitationId/accept', authenticateUser, acceptInvitation)
+router.post('/invitations/:invitationId/decline', authenticateUser, declineInvitation)
+
+// All other company routes require an authenticated fleet admin or system admin
+router.use(authenticateUser, requireFleetAdmin)
+
+// Company CRUD (create, list and delete are system admin only)
+router.post('/', requireAdmin, createCompany)
+router.get('/', requireAdmin, listCompanies)
+router.get('/:companyId', getCompany)
+router.put('/:companyId', updateCompany)
+router.delete('/:companyId', requireAdmin, deleteCompany)
+
+// Company drivers
+router.get('/:companyId/drivers', getCompanyDrivers)
+router.post('/:companyId/drivers', addCompanyDriver)
+router.get('/:companyId/invitations', getCompanyInvitations)
+router.delete('/:companyId/drivers/:userId', removeCompanyDriver)
+
+// Reports of all company drivers (filters: status, driverId, recommendation, from, to)
+router.get('/:companyId/reports', getCompanyReports)
+
+// Unpaid tickets of all company drivers, with late-payment surcharges
+router.get('/:companyId/payments/outstanding', getCompanyOutstandingPayments)
+router.get('/:companyId/usage', getCompanyUsage)
+
+// Driver risk scores and threshold alerts
+router.get('/:companyId/risk', getCompanyRisk)
+router.get('/:companyId/drivers/:userId/risk', getDriverRisk)
+router.get('/:companyId/alerts', getCompanyAlerts)
+router.post('/:companyId/alerts/:alertId/acknowledge', acknowledgeCompanyAlert)
+
+// Integration API key (issue/rotate and revoke)
+router.post('/:companyId/api-key', issueApiKey)
+router.delete('/:companyId/api-key', revokeApiKey)
+
+export default router
@@ -0,0 +1,43 @@
+import express from 'express'
+import multer from 'multer'
+import {
+  getChunks,
+  getChunkById,
+  editChunk,
+  removeChunk,
+  addDocument,
+  getCitations,
+  getCitationStats
+} from '../controllers/knowledgeBaseController.js'
+import { authenticateUser, requireRole, requireAdmin } from '../middleware/auth.js'
+import { getDocumentFormat } from '../services/legalCorpusService.js'
+
+const router = express.Router()
+
+// Legal documents for the knowledge base (PDF, text, Markdown, HTML)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (getDocumentFormat(file.originalname)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only PDF, TXT, MD and HTML files are allowed.'), false)
+    }
+  }
+})
+
+// The legal corpus is managed by lawyers and system admins
+router.use(authenticateUser, requireRole(['lawyer', 'system_admin']))
+
+router.get('/chunks', getChunks)
+router.get('/chunks/:chunkId', getChunkById)
+router.patch('/chunks/:chunkId', editChunk)
+router.delete('/chunks/:chunkId', requireAdmin, removeChunk)
+router.get('/chunks/:chunkId/citations', getCitations)
+router.post('/documents', upload.single('document'), addDocument)
+router.get('/citations', getCitationStats)
+
+export default router
@@ -0,0 +1,21 @@
+import express from 'express'
+import {
+  getCases,
+  getCase,
+  saveReview,
+  submitVerdict
+} from '../controllers/lawyerController.js'
+import { authenticateUser, requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// All lawyer routes require an authenticated lawyer
+router.use(authenticateUser, requireRole(['lawyer']))
+
+// Assigned cases queue and review
+router.get('/cases', getCases)
+router.get('/cases/:reportId', getCase)
+router.put('/cases/:reportId/review', saveReview)
+router.post('/cases/:reportId/verdict', submitVerdict)
+
+export default router
@@ -0,0 +1,35 @@
+import express from 'express'
+import multer from 'multer'
+import {
+  getPayment,
+  recordPayment,
+  getPaymentReceipt,
+  getOutstandingPayments
+} from '../controllers/paymentController.js'
+import { optionalAuth } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Configure multer for payment receipts
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf']
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG, and PDF receipts are allowed.'), false)
+    }
+  }
+})
+
+// Payment Routes (guest, authenticated user or company API key)
+router.get('/outstanding', optionalAuth, getOutstandingPayments)
+router.get('/:reportId', optionalAuth, getPayment)
+router.post('/:reportId', optionalAuth, upload.single('receipt'), recordPayment)
+router.get('/:reportId/receipt', optionalAuth, getPaymentReceipt)
+
+export default router
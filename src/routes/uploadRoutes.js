@@ -1,7 +1,24 @@
 import express from 'express'
 import multer from 'multer'
-import { uploadDocument, analyzeDocument, getAnalysisResults, getUserReports } from '../controllers/uploadController.js'
-import { optionalAuth } from '../middleware/auth.js'
+import {
+  uploadDocument,
+  analyzeDocument,
+  getAnalysisResults,
+  getUserReports,
+  generateAppeal,
+  getAppeal,
+  updateAppealStatus,
+  getAppealDocument,
+  shareReport,
+  unshareReport,
+  getUsage,
+  exportReportDocument,
+  getOriginalFile,
+  getJobStatus,
+  streamReportEvents,
+  getUserDeadlines
+} from '../controllers/uploadController.js'
+import { optionalAuth, authenticateUser, tokenFromQuery } from '../middleware/auth.js'
 
 const router = express.Router()
 
@@ -26,8 +43,20 @@ const upload = multer({
 // Upload Routes (all require user context - guest or authenticated)
 router.post('/document', optionalAuth, upload.single('document'), uploadDocument)
 router.post('/analyze/:reportId', optionalAuth, analyzeDocument)
+router.get('/appeal/:reportId', optionalAuth, getAppeal)
+router.post('/appeal/:reportId', optionalAuth, generateAppeal)
+router.post('/appeal/:reportId/status', optionalAuth, upload.array('documents', 5), updateAppealStatus)
+router.get('/appeal/:reportId/documents/:documentId', optionalAuth, getAppealDocument)
 router.get('/results/:reportId', optionalAuth, getAnalysisResults)
+router.get('/jobs/:jobId', optionalAuth, getJobStatus)
+router.get('/events/:reportId', tokenFromQuery, optionalAuth, streamReportEvents)
+router.get('/export/:reportId', optionalAuth, exportReportDocument)
+router.get('/file/:reportId', authenticateUser, getOriginalFile)
+router.post('/share/:reportId', authenticateUser, shareReport)
+router.delete('/share/:reportId', authenticateUser, unshareReport)
 router.get('/reports', optionalAuth, getUserReports)
+router.get('/deadlines', optionalAuth, getUserDeadlines)
+router.get('/usage', optionalAuth, getUsage)
 
 // Test route
 router.get('/test', (req, res) => {
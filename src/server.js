@@ -10,10 +10,21 @@ import { fileURLToPath } from 'url'
 // Import routes
 import uploadRoutes from './routes/uploadRoutes.js'
 import authRoutes from './routes/authRoutes.js'
+import companyRoutes from './routes/companyRoutes.js'
+import paymentRoutes from './routes/paymentRoutes.js'
+import lawyerRoutes from './routes/lawyerRoutes.js'
+import adminRoutes from './routes/adminRoutes.js'
+import knowledgeBaseRoutes from './routes/knowledgeBaseRoutes.js'
 
 // Import startup service
 import { runStartupTests } from './services/startupService.js'
 
+// Import background job worker (pipeline handlers register on import)
+import { startJobWorker } from './services/jobQueueService.js'
+import './services/reportPipelineService.js'
+import { startDeadlineScheduler } from './services/deadlineService.js'
+import { startAnalyticsScheduler } from './services/analyticsService.js'
+
 // Load environment variables
 dotenv.config()
 
@@ -60,6 +71,11 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/upload', uploadRoutes)
 app.use('/api/auth', authRoutes)
+app.use('/api/companies', companyRoutes)
+app.use('/api/payments', paymentRoutes)
+app.use('/api/lawyer', lawyerRoutes)
+app.use('/api/admin', adminRoutes)
+app.use('/api/knowledge-base', knowledgeBaseRoutes)
 
 // Serve static files from the public directory (frontend build)
 app.use(express.static(path.join(__dirname, '../public')))
@@ -104,6 +120,15 @@ app.listen(PORT, async () => {
   
   // Test external connections
   await runStartupTests()
+
+  // Start processing queued OCR / analysis jobs
+  await startJobWorker()
+
+  // Appeal / payment deadline reminders
+  await startDeadlineScheduler()
+
+  // Daily analytics rollups for the admin dashboard
+  await startAnalyticsScheduler()
 })
 
 export default app
\ No newline at end of file
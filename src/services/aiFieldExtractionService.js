@@ -1,15 +1,10 @@
 // AI-Based Field Extraction Service
-// Uses OpenAI to extract structured fields from preprocessed OCR text
+// Uses the configured LLM provider to extract structured fields from preprocessed OCR text
 
-import OpenAI from 'openai'
-import dotenv from 'dotenv'
-
-dotenv.config()
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-})
+import { createJSONCompletion } from './llmProviders/index.js'
+import { getFewShotExamples } from './extractionFeedbackService.js'
+import { checkScheduledFine } from './offenseCatalogueService.js'
+import { normalizeEnforcementDevice, detectRoadType } from './textPreprocessingService.js'
 
 /**
  * Field definitions for traffic violation tickets
@@ -27,9 +22,9 @@ const FIELD_DEFINITIONS = {
       validation: "valid date format"
     },
     violationType: {
-      description: "סוג העבירה, סעיף חוקי, מהירות בפועל ומהירות מותרת אם רלוונטי",
-      examples: ["תקנה 54(א) - עבירת מהירות 76/50 קמ״ש", "סעיף 68א - חניה אסורה", "6536 - מהירות עירונית"],
-      validation: "detailed violation description with speeds if applicable"
+      description: "סוג העבירה, סעיף חוקי וסמל עבירה כפי שמופיעים בדוח",
+      examples: ["תקנה 54(א) - נהיגה במהירות מופרזת", "סעיף 68א - חניה אסורה", "6536 - מהירות עירונית"],
+      validation: "violation description with legal section / offense code"
     },
     fineAmount: {
       description: "סכום הקנס בשקלים (מספר בלבד)",
@@ -72,14 +67,54 @@ const FIELD_DEFINITIONS = {
       description: "מועד אחרון לערעור בפורמט DD/MM/YYYY",
       examples: ["15/03/2024", "30/12/2023", "07/08/2024"],
       validation: "valid date format"
+    },
+    measuredSpeed: {
+      description: "המהירות שנמדדה בקמ״ש (מספר בלבד) - בעבירות מהירות",
+      examples: ["76", "112", "135"],
+      validation: "speed in km/h"
+    },
+    speedLimit: {
+      description: "המהירות המותרת בקמ״ש (מספר בלבד) - בעבירות מהירות",
+      examples: ["50", "90", "110"],
+      validation: "speed in km/h"
+    },
+    enforcementDevice: {
+      description: "אמצעי האכיפה: camera (מצלמה), laser (לייזר / ממל״ז) או radar (מכ״ם)",
+      examples: ["camera", "laser", "radar"],
+      validation: "camera / laser / radar"
+    },
+    roadType: {
+      description: "סוג הדרך: urban (דרך עירונית) או interurban (דרך בינעירונית)",
+      examples: ["urban", "interurban"],
+      validation: "urban / interurban"
+    },
+    deviceId: {
+      description: "מספר המכשיר או המצלמה שביצעו את המדידה",
+      examples: ["A3-1234", "20457"],
+      validation: "device identifier"
     }
   }
 }
 
+// Corrections users made to earlier extractions, formatted as prompt examples
+function formatCorrectionExamples(examples) {
+  if (examples.length === 0) return ''
+
+  const lines = examples.map(example => example.originalValue === null
+    ? `- ${example.field}: לא חולץ, הערך הנכון היה "${example.correctedValue}" (${example.count} פעמים)`
+    : `- ${example.field}: חולץ "${example.originalValue}", הערך הנכון היה "${example.correctedValue}" (${example.count} פעמים)`)
+
+  return `
+תיקונים נפוצים שמשתמשים ביצעו בחילוצים קודמים (למד מהם את הפורמטים האמיתיים של הדוחות):
+${lines.join('\n')}
+`
+}
+
 /**
  * Create the system prompt for field extraction
+ * examples: common user corrections ({ field, originalValue, correctedValue, count }) used as few-shot examples
  */
-function createFieldExtractionPrompt() {
+function createFieldExtractionPrompt(examples = []) {
   const requiredFields = Object.entries(FIELD_DEFINITIONS.required)
     .map(([key, def]) => `- ${key}: ${def.description} (דוגמאות: ${def.examples.join(', ')})`)
     .join('\n')
@@ -105,9 +140,9 @@ ${optionalFields}
 6. חפש מידע גם בשורות סמוכות - לפעמים הערך נמצא בשורה הבאה
 7. עבור תאריכים - וודא שהפורמט תקין ומתאים לישראל
 8. עבור סכומים - החזר רק את המספר ללא סמלי מטבע
-9. עבור violationType - חלץ מידע מפורט כולל: סעיף חוקי, סמל עבירה, מהירות בפועל ומותרת אם רלוונטי
-10. חפש ביטויים כמו "במהירות של X קמ״ש", "מהירות מירבית Y קמ״ש", "סמל עבירה: XXXX"
-
+9. עבור violationType - חלץ את תיאור העבירה, הסעיף החוקי וסמל העבירה
+10. בעבירות מהירות - החזר את המהירויות בשדות measuredSpeed ו-speedLimit ולא בתוך violationType. חפש ביטויים כמו "במהירות של X קמ״ש", "מהירות מירבית Y קמ״ש", "X/Y קמ״ש", "סמל עבירה: XXXX"
+${formatCorrectionExamples(examples)}
 החזר תשובה בפורמט JSON בלבד עם המבנה הבא:
 {
   "extractedFields": {
@@ -120,7 +155,12 @@ ${optionalFields}
     "driverName": "value או null",
     "licenseNumber": "value או null",
     "points": "value או null",
-    "vehiclePlate": "value או null"
+    "vehiclePlate": "value או null",
+    "measuredSpeed": "value או null",
+    "speedLimit": "value או null",
+    "enforcementDevice": "camera/laser/radar או null",
+    "roadType": "urban/interurban או null",
+    "deviceId": "value או null"
   },
   "confidenceScores": {
     "reportNumber": 0.0-1.0,
@@ -134,9 +174,10 @@ ${optionalFields}
 }
 
 /**
- * Extract fields using OpenAI with structured output
+ * Extract fields using the LLM with structured output
+ * options.examples: few-shot correction examples to use instead of the stored ones
  */
-export async function extractFieldsWithAI(preprocessedText, ocrConfidence = 0.8) {
+export async function extractFieldsWithAI(preprocessedText, ocrConfidence = 0.8, options = {}) {
   try {
     const { correctedText, extractedValues, detectedFields } = preprocessedText
     
@@ -152,12 +193,12 @@ ${JSON.stringify(detectedFields, null, 2)}
 ${JSON.stringify(extractedValues, null, 2)}
 `
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await createJSONCompletion({
+      task: 'field_extraction',
       messages: [
         {
           role: "system",
-          content: createFieldExtractionPrompt()
+          content: createFieldExtractionPrompt(options.examples || await getFewShotExamples())
         },
         {
           role: "user", 
@@ -165,11 +206,10 @@ ${JSON.stringify(extractedValues, null, 2)}
         }
       ],
       temperature: 0.1, // Low temperature for consistent extraction
-      max_tokens: 1500,
-      response_format: { type: "json_object" }
+      maxTokens: 1500
     })
 
-    const aiResponse = JSON.parse(completion.choices[0].message.content)
+    const aiResponse = completion.data
     
     // Validate and enhance the response
     const validatedFields = validateAIExtraction(aiResponse)
@@ -183,7 +223,7 @@ ${JSON.stringify(extractedValues, null, 2)}
       confidenceScores: finalResult.confidenceScores,
       processingNotes: finalResult.processingNotes,
       aiUsage: {
-        model: "gpt-4o-mini",
+        model: completion.model,
         promptTokens: completion.usage.prompt_tokens,
         completionTokens: completion.usage.completion_tokens,
         totalTokens: completion.usage.total_tokens
@@ -236,6 +276,14 @@ function validateAIExtraction(aiResponse) {
     }
   }
 
+  // A measured speed at or below the limit means one of the two was misread
+  const { measuredSpeed, speedLimit } = validated.extractedFields
+  if (measuredSpeed && speedLimit && parseInt(measuredSpeed) <= parseInt(speedLimit)) {
+    validated.processingNotes.push(`Measured speed ${measuredSpeed} is not above the limit ${speedLimit}`)
+    validated.confidenceScores.measuredSpeed = Math.min(validated.confidenceScores.measuredSpeed, 0.3)
+    validated.confidenceScores.speedLimit = Math.min(validated.confidenceScores.speedLimit, 0.3)
+  }
+
   return validated
 }
 
@@ -281,6 +329,35 @@ function validateFieldValue(fieldName, value, fieldDef) {
       }
       return { isValid: true, normalizedValue: points.toString(), confidence: 0.85 }
 
+    case 'measuredSpeed':
+    case 'speedLimit':
+      const speed = parseInt(value.toString().replace(/[^\d]/g, ''))
+      if (isNaN(speed) || speed < 10 || speed > 300) {
+        return { isValid: false, reason: 'Invalid speed' }
+      }
+      return { isValid: true, normalizedValue: speed.toString(), confidence: 0.9 }
+
+    case 'enforcementDevice':
+      const device = normalizeEnforcementDevice(value)
+      if (!device) {
+        return { isValid: false, reason: 'Unknown enforcement device' }
+      }
+      return { isValid: true, normalizedValue: device, confidence: 0.85 }
+
+    case 'roadType':
+      const roadType = detectRoadType(value)
+      if (!roadType) {
+        return { isValid: false, reason: 'Unknown road type' }
+      }
+      return { isValid: true, normalizedValue: roadType, confidence: 0.85 }
+
+    case 'deviceId':
+      const deviceId = value.toString().trim()
+      if (!/^[A-Za-z0-9][A-Za-z0-9-]{1,29}$/.test(deviceId)) {
+        return { isValid: false, reason: 'Invalid device ID' }
+      }
+      return { isValid: true, normalizedValue: deviceId, confidence: 0.8 }
+
     default:
       // For text fields, just clean and validate length
       const cleaned = value.trim()
@@ -325,6 +402,7 @@ function combineExtractionResults(aiResults, preprocessingResults, ocrConfidence
 
 /**
  * Check if required fields are present with sufficient confidence
+ * fineCheck compares the printed fine with the offense schedule (null when the offense is not catalogued)
  */
 export function validateRequiredFields(extractionResult, minConfidence = 0.7) {
   const { extractedFields, confidenceScores } = extractionResult
@@ -355,6 +433,7 @@ export function validateRequiredFields(extractionResult, minConfidence = 0.7) {
   }
 
   validation.completeness = (validFields / requiredFieldNames.length) * 100
+  validation.fineCheck = checkScheduledFine(extractedFields)
 
   return validation
 }
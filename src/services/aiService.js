@@ -1,53 +1,65 @@
-// AI Service - Enhanced with real OpenAI integration for appeal analysis
-import OpenAI from 'openai'
-import dotenv from 'dotenv'
+// AI Service - Enhanced with real LLM integration for appeal analysis
 import { searchSimilarLegalCases } from './semanticSearchService.js'
+import { createJSONCompletion } from './llmProviders/index.js'
+import { lookupOffense, analyzeSpeed } from './offenseCatalogueService.js'
 
-dotenv.config()
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-})
-
-export const analyzeTrafficViolation = async (ocrResults) => {
+// options.onProgress(step, details) is called as each analysis step finishes
+// options.aiEnabled: false skips the LLM (usage quota exceeded) and uses the fallback analysis
+export const analyzeTrafficViolation = async (ocrResults, options = {}) => {
   const { extractedFields, confidenceScores, validation } = ocrResults
+  const onProgress = options.onProgress || (() => {})
+
+  if (options.aiEnabled === false) {
+    console.warn('⚠️ AI usage quota exceeded, using fallback analysis')
+    const fallbackAnalysis = createFallbackAnalysis(extractedFields, confidenceScores)
+    onProgress('analysis_complete', { pipeline: 'fallback', recommendation: fallbackAnalysis.appealAssessment.recommendation, reason: 'quota_exceeded' })
+    return fallbackAnalysis
+  }
 
   // Check if we have sufficient data for analysis
   if (!validation.isValid && validation.completeness < 60) {
     console.warn('⚠️ Insufficient data for AI analysis, using fallback')
-    return createFallbackAnalysis(extractedFields, confidenceScores)
+    const fallbackAnalysis = createFallbackAnalysis(extractedFields, confidenceScores)
+    onProgress('analysis_complete', { pipeline: 'fallback', recommendation: fallbackAnalysis.appealAssessment.recommendation })
+    return fallbackAnalysis
   }
 
   try {
-    // Use enhanced AI analysis with OpenAI
-    const enhancedAnalysis = await performEnhancedAnalysis(extractedFields, confidenceScores, validation)
+    // Use enhanced AI analysis with the configured LLM
+    const enhancedAnalysis = await performEnhancedAnalysis(extractedFields, confidenceScores, validation, onProgress)
+    onProgress('analysis_complete', { pipeline: 'enhanced', recommendation: enhancedAnalysis.appealAssessment?.recommendation })
     return enhancedAnalysis
   } catch (error) {
     console.error('❌ Enhanced AI analysis failed:', error)
     console.log('🔄 Falling back to mock analysis')
-    return createFallbackAnalysis(extractedFields, confidenceScores)
+    const fallbackAnalysis = createFallbackAnalysis(extractedFields, confidenceScores)
+    onProgress('analysis_complete', { pipeline: 'fallback', recommendation: fallbackAnalysis.appealAssessment.recommendation, reason: error.message })
+    return fallbackAnalysis
   }
 }
 
-// Enhanced AI analysis using OpenAI
-async function performEnhancedAnalysis(extractedFields, confidenceScores, validation) {
+// Enhanced AI analysis using the configured LLM
+async function performEnhancedAnalysis(extractedFields, confidenceScores, validation, onProgress) {
   // Step 1: Search for similar legal cases/precedents
   const legalSearchResult = await searchSimilarLegalCases(extractedFields)
+  onProgress('legal_chunks_found', { count: legalSearchResult.chunks.length })
 
   console.log('🔍 Legal chunks summary:', legalSearchResult.chunks.map(chunk => ({
     title: chunk.title,
     category: chunk.category,
+    matchedBy: chunk.matchedBy,
     contentLength: chunk.content?.length || 0
   })))
-  // Step 2: Create enhanced analysis prompt with legal context
-  const analysisPrompt = createAnalysisPrompt(extractedFields, confidenceScores, validation, legalSearchResult)
+  // Step 2: Create enhanced analysis prompt with legal context and the offense schedule
+  const offenseSchedule = lookupOffense(extractedFields)
+  const speedAnalysis = analyzeSpeed(extractedFields)
+  const analysisPrompt = createAnalysisPrompt(extractedFields, confidenceScores, validation, legalSearchResult, offenseSchedule, speedAnalysis)
 
-  console.log('🔍 AI Analysis Debug - Sending prompt to OpenAI:')
+  console.log('🔍 AI Analysis Debug - Sending prompt to LLM:')
   console.log('  - Legal context chunks:', legalSearchResult?.chunks?.length || 0)
 
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
+  const completion = await createJSONCompletion({
+    task: 'violation_analysis',
     messages: [
       {
         role: "system",
@@ -67,31 +79,41 @@ async function performEnhancedAnalysis(extractedFields, confidenceScores, valida
       }
     ],
     temperature: 0.3,
-    max_tokens: 2000,
-    response_format: { type: "json_object" }
+    maxTokens: 2000
   })
 
-  const aiResponse = JSON.parse(completion.choices[0].message.content)
+  const aiResponse = completion.data
 
 
   // Process and validate AI response
-  return processAIAnalysisResponse(aiResponse, extractedFields, completion.usage)
+  return processAIAnalysisResponse(aiResponse, extractedFields, completion, legalSearchResult, offenseSchedule, speedAnalysis)
 }
 
 // Create fallback analysis when AI fails or data is insufficient
 function createFallbackAnalysis(extractedFields, confidenceScores) {
+  const offenseSchedule = lookupOffense(extractedFields)
+  const speedAnalysis = analyzeSpeed(extractedFields)
+
   const analysisResults = {
     // Legal Analysis
     legalAnalysis: {
-      section: extractedFields.violationType || 'לא זוהה',
+      section: offenseSchedule.found ? offenseSchedule.offense.section : (extractedFields.violationType || 'לא זוהה'),
       violationType: extractedFields.violationType || 'עבירת תנועה',
       severity: calculateSeverity(extractedFields),
-      points: parseInt(extractedFields.points) || estimatePoints(extractedFields),
-      fineAmount: parseInt(extractedFields.fineAmount) || 0
+      points: estimatePoints(extractedFields),
+      fineAmount: parseInt(extractedFields.fineAmount) || offenseSchedule.fine || 0
     },
 
+    // Offense catalogue facts (fine, points, court-only) and the printed fine check
+    offenseSchedule,
+
+    // Margin over the limit, measurement tolerance and tier of speeding tickets (null otherwise)
+    speedAnalysis,
+
     // Technical Issues Found
     technicalIssues: [
+      ...getScheduleIssues(offenseSchedule),
+      ...getSpeedIssues(speedAnalysis),
       {
         type: 'date_inconsistency',
         severity: 'medium',
@@ -149,9 +171,11 @@ function createFallbackAnalysis(extractedFields, confidenceScores) {
 
 // Helper function to calculate violation severity
 const calculateSeverity = (fields) => {
-  const speedDiff = parseInt(fields.measuredSpeed) - parseInt(fields.speedLimit)
-  const points = parseInt(fields.points) || 0
+  const speedDiff = analyzeSpeed(fields)?.excess || 0
+  const offenseSchedule = lookupOffense(fields)
+  const points = offenseSchedule.points ?? (parseInt(fields.points) || 0)
 
+  if (offenseSchedule.courtOnly) return 'high'
   if (speedDiff > 30 || points >= 8) return 'high'
   if (speedDiff > 15 || points >= 4) return 'medium'
   return 'low'
@@ -167,9 +191,90 @@ export const assessAppealProbability = (technicalIssues, legalAnalysis) => {
   return 'low'
 }
 
-// Create analysis prompt for OpenAI
-function createAnalysisPrompt(extractedFields, confidenceScores, validation, legalSearchResult) {
+// Issue types raised by the catalogue and speed checks rather than the model
+const DETERMINISTIC_ISSUE_TYPES = ['fine_mismatch', 'speed_within_tolerance', 'speed_tier_within_tolerance']
+
+// Technical issue raised when the printed fine does not match the offense schedule
+function getScheduleIssues(offenseSchedule) {
+  if (!offenseSchedule.found || offenseSchedule.fineCheck.status !== 'mismatch') return []
+
+  const { printedFine, expectedFines, reason } = offenseSchedule.fineCheck
+  return [{
+    type: 'fine_mismatch',
+    severity: 'high',
+    description: reason === 'court_only'
+      ? `העבירה (${offenseSchedule.offense.section}) מחייבת הזמנה לדין, אך בדוח נקבע קנס של ${printedFine} ש"ח`
+      : `הקנס בדוח (${printedFine} ש"ח) אינו תואם ללוח הקנסות עבור ${offenseSchedule.offense.section} (${expectedFines.join(' / ')} ש"ח)`,
+    impact: 'דוח שנקבע בו קנס שגוי עלול להיות פגום'
+  }]
+}
+
+// Technical issues of the speed measurement
+function getSpeedIssues(speedAnalysis) {
+  if (!speedAnalysis) return []
+
+  const { measuredSpeed, speedLimit, tolerance, tier, adjustedTier } = speedAnalysis
+  if (speedAnalysis.withinTolerance) {
+    return [{
+      type: 'speed_within_tolerance',
+      severity: 'high',
+      description: `המהירות שנמדדה (${measuredSpeed} קמ"ש) חורגת מהמהירות המותרת (${speedLimit} קמ"ש) בפחות מסטיית המדידה (${tolerance.deduction} קמ"ש)`,
+      impact: 'לאחר ניכוי סטיית המדידה לא נותרה חריגה מהמהירות המותרת'
+    }]
+  }
+  if (speedAnalysis.tierChangesWithinTolerance) {
+    return [{
+      type: 'speed_tier_within_tolerance',
+      severity: 'medium',
+      description: `ניכוי סטיית מדידה של ${tolerance.deduction} קמ"ש מוריד את החריגה ל-${tolerance.adjustedExcess} קמ"ש, מתחת לסף המדרגה (${tier.excessFrom} קמ"ש)`,
+      impact: adjustedTier?.fine
+        ? `עשוי להפחית את הקנס ל-${adjustedTier.fine} ש"ח ואת הנקודות ל-${adjustedTier.points}`
+        : 'עשוי להפחית את העונש למדרגה נמוכה יותר'
+    }]
+  }
+  return []
+}
+
+// Speed analysis facts for the analysis prompt
+function formatSpeedAnalysis(speedAnalysis) {
+  const devices = { camera: 'מצלמה', laser: 'לייזר', radar: 'מכ"ם' }
+  const roadTypes = { urban: 'עירונית', interurban: 'בינעירונית' }
+  const { measuredSpeed, speedLimit, excess, excessPercent, tolerance, tier, roadType, enforcementDevice, deviceId } = speedAnalysis
+
+  const lines = [
+    `- מהירות נמדדת: ${measuredSpeed} קמ"ש, מהירות מותרת: ${speedLimit} קמ"ש (חריגה של ${excess} קמ"ש, ${excessPercent}%)`,
+    `- לאחר ניכוי סטיית מדידה של ${tolerance.deduction} קמ"ש: ${tolerance.adjustedSpeed} קמ"ש (חריגה של ${tolerance.adjustedExcess} קמ"ש)`,
+    `- דרך: ${roadTypes[roadType] || 'לא זוהה'}, אמצעי אכיפה: ${devices[enforcementDevice] || 'לא זוהה'}${deviceId ? `, מספר מכשיר ${deviceId}` : ''}`
+  ]
+  if (tier) {
+    lines.push(`- מדרגת חריגה: ${tier.excessFrom}${tier.excessTo ? `-${tier.excessTo}` : '+'} קמ"ש${tier.courtOnly ? ' (הזמנה לדין)' : ''}${speedAnalysis.marginToNextTier ? `, ${speedAnalysis.marginToNextTier} קמ"ש מתחת למדרגה הבאה` : ''}`)
+  }
+  if (speedAnalysis.withinTolerance) lines.push('- החריגה נמצאת בתחום סטיית המדידה')
+  else if (speedAnalysis.tierChangesWithinTolerance) lines.push('- ניכוי סטיית המדידה מוריד את העבירה למדרגה נמוכה יותר')
+
+  return lines.join('\n')
+}
+
+// Offense catalogue facts for the analysis prompt
+function formatOffenseSchedule(offenseSchedule) {
+  if (!offenseSchedule?.found) return 'העבירה לא נמצאה בלוח הקנסות.'
+
+  const { offense, fine, points, courtOnly, fineCheck } = offenseSchedule
+  const lines = [
+    `- עבירה: ${offense.description} (${offense.section})`,
+    `- קנס לפי הלוח: ${fine !== null ? `${fine} ש"ח` : (fineCheck.expectedFines.length > 0 ? fineCheck.expectedFines.join(' / ') + ' ש"ח (לפי מדרגת העבירה)' : 'לא קבוע')}`,
+    `- נקודות לפי הלוח: ${points !== null ? points : 'לא ידוע'}`
+  ]
+  if (courtOnly) lines.push('- עבירה שדינה הזמנה לדין (ללא ברירת קנס)')
+  if (fineCheck.status === 'mismatch') lines.push(`- הקנס שבדוח (${fineCheck.printedFine} ש"ח) אינו תואם ללוח הקנסות`)
+
+  return lines.join('\n')
+}
+
+// Create analysis prompt for the LLM
+function createAnalysisPrompt(extractedFields, confidenceScores, validation, legalSearchResult, offenseSchedule, speedAnalysis) {
   const legalContext = legalSearchResult?.legalContext || 'אין מידע משפטי רלוונטי זמין.'
+  const appliedReference = legalSearchResult?.appliedReference
 
   return `נתח את דוח התנועה הבא והמלץ האם כדאי להגיש ערעור:
 
@@ -194,9 +299,17 @@ ${Object.entries(confidenceScores).map(([field, score]) =>
 
 תקפות הנתונים: ${validation.completeness.toFixed(1)}% שלמות
 
+לוח הקנסות והנקודות (עובדות - השתמש בהן ל-points ול-fineAmount):
+${formatOffenseSchedule(offenseSchedule)}
+${speedAnalysis ? `
+ניתוח מהירות (עובדות מחושבות - אל תחשב מחדש):
+${formatSpeedAnalysis(speedAnalysis)}
+` : ''}
 מידע משפטי רלוונטי מבסיס הידע:
 ${legalContext}
-
+${appliedReference ? `
+הדוח ניתן לפי ${appliedReference}. בסס את "section" ואת הניתוח המשפטי על הקטע המסומן [הסעיף שלפיו ניתן הדוח] וצטט אותו.
+` : ''}
 החזר ניתוח בפורמט JSON הבא:
 {
   "legalAnalysis": {
@@ -231,19 +344,42 @@ ${legalContext}
 }
 
 // Process AI analysis response
-function processAIAnalysisResponse(aiResponse, extractedFields, usage) {
+function processAIAnalysisResponse(aiResponse, extractedFields, completion, legalSearchResult, offenseSchedule, speedAnalysis) {
+  const legalAnalysis = aiResponse.legalAnalysis || {
+    section: extractedFields.violationType || 'לא זוהה',
+    violationType: extractedFields.violationType || 'עבירת תנועה',
+    severity: 'medium',
+    points: parseInt(extractedFields.points) || 0,
+    fineAmount: parseInt(extractedFields.fineAmount) || 0
+  }
+
+  // Cite the rule the ticket was issued under when the model did not name one
+  const appliedReference = legalSearchResult?.appliedReference
+  if (appliedReference && (!aiResponse.legalAnalysis?.section || aiResponse.legalAnalysis.section === 'לא זוהה')) {
+    legalAnalysis.section = appliedReference
+  }
+
+  // Scheduled points are facts, not estimates
+  if (offenseSchedule?.points !== null && offenseSchedule?.points !== undefined) {
+    legalAnalysis.points = offenseSchedule.points
+  }
+
   return {
     // Legal Analysis
-    legalAnalysis: aiResponse.legalAnalysis || {
-      section: extractedFields.violationType || 'לא זוהה',
-      violationType: extractedFields.violationType || 'עבירת תנועה',
-      severity: 'medium',
-      points: parseInt(extractedFields.points) || 0,
-      fineAmount: parseInt(extractedFields.fineAmount) || 0
-    },
+    legalAnalysis,
 
-    // Technical Issues Found
-    technicalIssues: aiResponse.technicalIssues || [],
+    // Offense catalogue facts (fine, points, court-only) and the printed fine check
+    offenseSchedule,
+
+    // Margin over the limit, measurement tolerance and tier of speeding tickets (null otherwise)
+    speedAnalysis,
+
+    // Technical Issues Found (the deterministic checks replace the model's version of them)
+    technicalIssues: [
+      ...getScheduleIssues(offenseSchedule),
+      ...getSpeedIssues(speedAnalysis),
+      ...(aiResponse.technicalIssues || []).filter(issue => !DETERMINISTIC_ISSUE_TYPES.includes(issue.type))
+    ],
 
     // Appeal Assessment
     appealAssessment: aiResponse.appealAssessment || {
@@ -262,20 +398,53 @@ function processAIAnalysisResponse(aiResponse, extractedFields, usage) {
       recommendations: ['התייעץ עם עורך דין']
     },
 
+    // Legal chunks the analysis was grounded on (used later for appeal letters)
+    legalContext: summarizeLegalChunks(legalSearchResult),
+
     // Processing Metadata
     processingInfo: {
-      aiModel: 'GPT-4o-mini',
+      aiModel: completion.model,
       processingTime: '2-4s',
       rulesApplied: ['traffic_law_2024', 'appeal_precedents', 'technical_validation'],
       processedAt: new Date().toISOString(),
-      aiUsage: usage,
+      aiUsage: completion.usage,
+      embeddingUsage: legalSearchResult?.embeddingUsage,
+      rerankModel: legalSearchResult?.rerankModel,
+      rerankUsage: legalSearchResult?.rerankUsage,
       analysisType: 'enhanced'
     }
   }
 }
 
-// Estimate points when not explicitly found
-function estimatePoints(extractedFields) {
+// Keep only the chunk metadata needed to cite sources (content stays in data_chunks)
+function summarizeLegalChunks(legalSearchResult) {
+  return {
+    searchQuery: legalSearchResult?.searchQuery || '',
+    appliedReference: legalSearchResult?.appliedReference || null,
+    retrieval: legalSearchResult?.metadata ? {
+      references: legalSearchResult.metadata.references,
+      candidates: legalSearchResult.metadata.candidates,
+      reranked: legalSearchResult.metadata.reranked
+    } : undefined,
+    chunks: (legalSearchResult?.chunks || []).map(chunk => ({
+      id: chunk.id,
+      title: chunk.title,
+      category: chunk.category,
+      source: chunk.source,
+      legal_reference: chunk.legal_reference,
+      similarity: chunk.similarity,
+      score: chunk.score,
+      matchedBy: chunk.matchedBy
+    }))
+  }
+}
+
+// Points of the offense: the schedule when the offense is catalogued, then the printed points, then an estimate
+export function estimatePoints(extractedFields) {
+  const offenseSchedule = lookupOffense(extractedFields)
+  if (offenseSchedule.points !== null && offenseSchedule.points !== undefined) return offenseSchedule.points
+  if (parseInt(extractedFields.points)) return parseInt(extractedFields.points)
+
   const fineAmount = parseInt(extractedFields.fineAmount) || 0
   const violationType = extractedFields.violationType || ''
 
@@ -298,6 +467,13 @@ export const generateLegalRecommendations = (analysisResults) => {
       case 'date_inconsistency':
         recommendations.push('בדוק התאמת תאריכים ברישומים השונים')
         break
+      case 'fine_mismatch':
+        recommendations.push('השווה את הקנס בדוח ללוח הקנסות ובקש את ביטול הדוח')
+        break
+      case 'speed_within_tolerance':
+      case 'speed_tier_within_tolerance':
+        recommendations.push('בקש את נתוני המדידה ואת סטיית המדידה המותרת של המכשיר')
+        break
       default:
         recommendations.push('בדוק את הנושא עם עורך דין מתמחה')
     }
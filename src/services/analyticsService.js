@@ -0,0 +1,338 @@
+import { supabase } from '../config/supabase.js'
+import dotenv from 'dotenv'
+import { registerJobHandler, enqueueJob } from './jobQueueService.js'
+
+dotenv.config()
+
+/**
+ * Analytics Service - Daily processing metrics for the admin dashboard
+ * A daily rollup job stores one `analytics` row per date:
+ *   metrics:     { total, byStatus, complete, error, inProgress, successRate, errorRate, recommendations }
+ *   performance: { avgOcrConfidence, avgPipelineLatencyMs, avgOcrTimeMs, tokens, *Samples }
+ * The current day is never rolled up; it is computed live when requested. Reports that change after
+ * their day was rolled up (e.g. finishing processing late) get the day rolled up again.
+ */
+
+export const ANALYTICS_CONFIG = {
+  rollupCheckIntervalMs: parseInt(process.env.ANALYTICS_ROLLUP_CHECK_INTERVAL_MS) || 60 * 60 * 1000,
+  // Missing rollups within this many past days are filled on each check
+  backfillDays: parseInt(process.env.ANALYTICS_BACKFILL_DAYS) || 7
+}
+
+export const ANALYTICS_JOB_TYPE = 'analytics_rollup'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// Reports are read in pages (the API returns at most 1000 rows per request)
+const REPORT_PAGE_SIZE = 1000
+const RECOMMENDATIONS = ['appeal', 'pay', 'uncertain']
+
+// Only the processing metadata is needed, not the OCR text
+const REPORT_METRIC_COLUMNS = [
+  'status',
+  'created_at',
+  'completed_at',
+  'ocr_info:ocr_results->processingInfo',
+  'ocr_ai:ocr_results->aiExtraction',
+  'analysis_info:analysis_results->processingInfo',
+  'assessment:analysis_results->appealAssessment'
+].join(', ')
+
+let schedulerTimer = null
+
+export function toDateString(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+function addDays(dateString, days) {
+  return toDateString(new Date(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS))
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+}
+
+function round(value, digits = 2) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits
+}
+
+// Metrics of a single report row (selected with REPORT_METRIC_COLUMNS)
+export function getReportMetrics(report) {
+  const ocrConfidence = parseFloat(report.ocr_info?.ocrConfidence)
+  const ocrTimeMs = parseInt(report.ocr_info?.processingTime)
+  const latencyMs = report.status === 'complete' && report.completed_at
+    ? new Date(report.completed_at).getTime() - new Date(report.created_at).getTime()
+    : null
+
+  return {
+    status: report.status,
+    ocrConfidence: isNaN(ocrConfidence) ? null : ocrConfidence,
+    ocrTimeMs: isNaN(ocrTimeMs) ? null : ocrTimeMs,
+    latencyMs: latencyMs !== null && latencyMs >= 0 ? latencyMs : null,
+    recommendation: report.assessment?.recommendation || null,
+    tokens: {
+      extraction: report.ocr_ai?.aiUsage?.totalTokens || 0,
+      analysis: report.analysis_info?.aiUsage?.total_tokens || 0,
+      embedding: report.analysis_info?.embeddingUsage?.total_tokens || 0
+    }
+  }
+}
+
+/**
+ * Aggregate report rows into the { metrics, performance } stored per date
+ */
+export function summarizeReports(reports) {
+  const rows = reports.map(getReportMetrics)
+
+  const byStatus = {}
+  const recommendations = Object.fromEntries(RECOMMENDATIONS.map(recommendation => [recommendation, 0]))
+  const tokens = { extraction: 0, analysis: 0, embedding: 0 }
+
+  rows.forEach(row => {
+    byStatus[row.status] = (byStatus[row.status] || 0) + 1
+    if (row.recommendation) {
+      recommendations[row.recommendation] = (recommendations[row.recommendation] || 0) + 1
+    }
+    tokens.extraction += row.tokens.extraction
+    tokens.analysis += row.tokens.analysis
+    tokens.embedding += row.tokens.embedding
+  })
+
+  const complete = byStatus.complete || 0
+  const error = byStatus.error || 0
+  const finished = complete + error
+
+  const ocrConfidences = rows.map(row => row.ocrConfidence).filter(value => value !== null)
+  const ocrTimes = rows.map(row => row.ocrTimeMs).filter(value => value !== null)
+  const latencies = rows.map(row => row.latencyMs).filter(value => value !== null)
+
+  return {
+    metrics: {
+      total: rows.length,
+      byStatus,
+      complete,
+      error,
+      inProgress: rows.length - finished,
+      successRate: finished > 0 ? round(complete / finished, 4) : null,
+      errorRate: finished > 0 ? round(error / finished, 4) : null,
+      recommendations
+    },
+    performance: {
+      avgOcrConfidence: round(average(ocrConfidences), 4),
+      ocrConfidenceSamples: ocrConfidences.length,
+      avgOcrTimeMs: round(average(ocrTimes), 0),
+      ocrTimeSamples: ocrTimes.length,
+      avgPipelineLatencyMs: round(average(latencies), 0),
+      latencySamples: latencies.length,
+      tokens: { ...tokens, total: tokens.extraction + tokens.analysis + tokens.embedding }
+    }
+  }
+}
+
+// Compute the metrics of reports created on a date ('YYYY-MM-DD', UTC)
+export const computeDailyAnalytics = async (date) => {
+  try {
+    const reports = []
+    for (let offset = 0; ; offset += REPORT_PAGE_SIZE) {
+      const { data: page, error } = await supabase
+        .from('reports')
+        .select(REPORT_METRIC_COLUMNS)
+        .gte('created_at', `${date}T00:00:00Z`)
+        .lt('created_at', `${addDays(date, 1)}T00:00:00Z`)
+        .order('id', { ascending: true })
+        .range(offset, offset + REPORT_PAGE_SIZE - 1)
+
+      if (error) {
+        return { success: false, error: error.message }
+      }
+
+      reports.push(...page)
+      if (page.length < REPORT_PAGE_SIZE) break
+    }
+
+    return { success: true, date, ...summarizeReports(reports) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Compute and store the analytics row of a date (replaces an earlier rollup of the same date)
+export const rollupDailyAnalytics = async (date) => {
+  try {
+    const dailyResult = await computeDailyAnalytics(date)
+    if (!dailyResult.success) {
+      return dailyResult
+    }
+
+    const { error } = await supabase
+      .from('analytics')
+      .upsert([
+        {
+          date,
+          metrics: dailyResult.metrics,
+          performance: dailyResult.performance,
+          created_at: new Date().toISOString()
+        }
+      ], { onConflict: 'date' })
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, date, metrics: dailyResult.metrics, performance: dailyResult.performance }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Daily analytics between two dates (inclusive), oldest first
+ * Days without a rollup yet (including today) are computed live and marked `live: true`
+ */
+export const getDailyAnalytics = async (from, to) => {
+  try {
+    const { data: rows, error } = await supabase
+      .from('analytics')
+      .select('date, metrics, performance')
+      .gte('date', from)
+      .lte('date', to)
+      .order('date', { ascending: true })
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    const stored = new Map(rows.map(row => [row.date, row]))
+    const days = []
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      if (stored.has(date)) {
+        days.push({ ...stored.get(date), live: false })
+        continue
+      }
+
+      const dailyResult = await computeDailyAnalytics(date)
+      if (!dailyResult.success) {
+        return dailyResult
+      }
+      days.push({ date, metrics: dailyResult.metrics, performance: dailyResult.performance, live: true })
+    }
+
+    return { success: true, days }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Combine daily rows into totals for the whole range (averages weighted by their sample counts)
+export function summarizeDays(days) {
+  const weighted = (avgKey, samplesKey) => {
+    const samples = days.reduce((sum, day) => sum + (day.performance[samplesKey] || 0), 0)
+    if (samples === 0) return null
+    return days.reduce((sum, day) => sum + (day.performance[avgKey] || 0) * (day.performance[samplesKey] || 0), 0) / samples
+  }
+
+  const sum = (read) => days.reduce((total, day) => total + (read(day) || 0), 0)
+
+  const complete = sum(day => day.metrics.complete)
+  const error = sum(day => day.metrics.error)
+  const finished = complete + error
+  const recommendations = Object.fromEntries(
+    RECOMMENDATIONS.map(recommendation => [recommendation, sum(day => day.metrics.recommendations?.[recommendation])])
+  )
+  const tokens = {
+    extraction: sum(day => day.performance.tokens?.extraction),
+    analysis: sum(day => day.performance.tokens?.analysis),
+    embedding: sum(day => day.performance.tokens?.embedding)
+  }
+
+  return {
+    total: sum(day => day.metrics.total),
+    complete,
+    error,
+    inProgress: sum(day => day.metrics.inProgress),
+    successRate: finished > 0 ? round(complete / finished, 4) : null,
+    errorRate: finished > 0 ? round(error / finished, 4) : null,
+    avgOcrConfidence: round(weighted('avgOcrConfidence', 'ocrConfidenceSamples'), 4),
+    avgOcrTimeMs: round(weighted('avgOcrTimeMs', 'ocrTimeSamples'), 0),
+    avgPipelineLatencyMs: round(weighted('avgPipelineLatencyMs', 'latencySamples'), 0),
+    recommendations,
+    tokens: { ...tokens, total: tokens.extraction + tokens.analysis + tokens.embedding }
+  }
+}
+
+// Whether reports of a rolled-up day changed after its rollup (e.g. were still processing then)
+async function hasReportsChangedSince(date, rolledUpAt) {
+  const { count, error } = await supabase
+    .from('reports')
+    .select('id', { count: 'exact', head: true })
+    .gte('created_at', `${date}T00:00:00Z`)
+    .lt('created_at', `${addDays(date, 1)}T00:00:00Z`)
+    .gt('updated_at', rolledUpAt)
+
+  if (error) {
+    throw new Error(error.message)
+  }
+  return count > 0
+}
+
+// Queue rollups for past days that have no analytics row yet, or whose reports changed since their rollup
+export const enqueueMissingRollups = async (now = new Date()) => {
+  try {
+    const yesterday = addDays(toDateString(now), -1)
+    const firstDay = addDays(yesterday, -(ANALYTICS_CONFIG.backfillDays - 1))
+
+    const [{ data: rows, error }, { data: pendingJobs, error: jobsError }] = await Promise.all([
+      supabase.from('analytics').select('date, created_at').gte('date', firstDay).lte('date', yesterday),
+      supabase.from('jobs').select('payload').eq('type', ANALYTICS_JOB_TYPE).in('status', ['queued', 'running'])
+    ])
+
+    if (error || jobsError) {
+      return { success: false, error: (error || jobsError).message }
+    }
+
+    const rolledUpAt = new Map(rows.map(row => [row.date, row.created_at]))
+    const pending = new Set(pendingJobs.map(job => job.payload?.date))
+
+    const queued = []
+    for (let date = firstDay; date <= yesterday; date = addDays(date, 1)) {
+      if (pending.has(date)) continue
+      if (rolledUpAt.has(date) && !(await hasReportsChangedSince(date, rolledUpAt.get(date)))) continue
+
+      const jobResult = await enqueueJob(ANALYTICS_JOB_TYPE, { date })
+      if (jobResult.success) queued.push(date)
+    }
+
+    return { success: true, queued }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Daily rollup job
+registerJobHandler(ANALYTICS_JOB_TYPE, {
+  async process(job) {
+    const rollupResult = await rollupDailyAnalytics(job.payload.date)
+    if (!rollupResult.success) {
+      throw new Error(`Failed to roll up analytics: ${rollupResult.error}`)
+    }
+
+    console.log(`📊 Analytics rolled up for ${job.payload.date} (${rollupResult.metrics.total} reports)`)
+    return { date: job.payload.date, total: rollupResult.metrics.total }
+  }
+})
+
+// Periodically queue rollups for finished days
+export async function startAnalyticsScheduler() {
+  if (schedulerTimer) return
+
+  await enqueueMissingRollups()
+  schedulerTimer = setInterval(enqueueMissingRollups, ANALYTICS_CONFIG.rollupCheckIntervalMs)
+  schedulerTimer.unref()
+}
+
+export function stopAnalyticsScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer)
+    schedulerTimer = null
+  }
+}
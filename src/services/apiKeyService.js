@@ -0,0 +1,108 @@
+import { supabase } from '../config/supabase.js'
+import crypto from 'crypto'
+
+/**
+ * API Key Service - Company API keys for machine-to-machine integrations
+ * Only a SHA-256 hash of each key is stored (companies.api_key); the plain key is
+ * returned once when issued. Issuing a new key replaces (rotates) the previous one.
+ */
+
+export const API_KEY_HEADER = 'x-api-key'
+const API_KEY_PREFIX = 'stk_'
+
+export function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex')
+}
+
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+}
+
+// Issue a new key for a company, invalidating any previous key
+export const issueCompanyApiKey = async (companyId) => {
+  try {
+    const apiKey = generateApiKey()
+    // Enough of the key to recognise it in the dashboard, never enough to use it
+    const keyPrefix = apiKey.slice(0, API_KEY_PREFIX.length + 6)
+    const createdAt = new Date().toISOString()
+
+    const { data: company, error } = await supabase
+      .from('companies')
+      .update({
+        api_key: hashApiKey(apiKey),
+        api_key_prefix: keyPrefix,
+        api_key_created_at: createdAt,
+        api_key_last_used_at: null,
+        updated_at: createdAt
+      })
+      .eq('id', companyId)
+      .select('id')
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    console.log(`🔑 API key issued for company ${company.id} (${keyPrefix}…)`)
+    return { success: true, apiKey, keyPrefix, createdAt }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Revoke the company's key
+export const revokeCompanyApiKey = async (companyId) => {
+  try {
+    const { error } = await supabase
+      .from('companies')
+      .update({
+        api_key: null,
+        api_key_prefix: null,
+        api_key_created_at: null,
+        api_key_last_used_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    console.log(`🔑 API key revoked for company ${companyId}`)
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Resolve the company a key belongs to
+export const getCompanyByApiKey = async (apiKey) => {
+  try {
+    if (!apiKey || !apiKey.startsWith(API_KEY_PREFIX)) {
+      return { success: false, error: 'Invalid API key' }
+    }
+
+    const { data: company, error } = await supabase
+      .from('companies')
+      .select('id, name')
+      .eq('api_key', hashApiKey(apiKey))
+      .single()
+
+    if (error || !company) {
+      return { success: false, error: 'Invalid API key' }
+    }
+
+    // Usage tracking should never block the request
+    supabase
+      .from('companies')
+      .update({ api_key_last_used_at: new Date().toISOString() })
+      .eq('id', company.id)
+      .then(({ error: usageError }) => {
+        if (usageError) console.warn('⚠️ Failed to record API key usage:', usageError.message)
+      })
+
+    return { success: true, company }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
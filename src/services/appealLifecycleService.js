@@ -0,0 +1,174 @@
+import { v4 as uuidv4 } from 'uuid'
+import { updateReportAppeal } from './reportsService.js'
+import { startPaymentWorkflow, updateReportPayment } from './paymentService.js'
+
+/**
+ * Appeal Lifecycle Service - State machine on the reports.appeal column
+ * appeal: { status, letterGenerated, letter, submittedAt, respondedAt, courtDate, updatedAt,
+ *           history: [{ id, from, to, at, occurredAt, by, note, documents }] }
+ */
+
+export const APPEAL_STATUSES = [
+  'not_started',
+  'drafted',
+  'submitted',
+  'awaiting_response',
+  'accepted',
+  'rejected',
+  'court_scheduled'
+]
+
+// Allowed next statuses for each status
+export const APPEAL_TRANSITIONS = {
+  // Letters written outside the system can be submitted without a draft
+  not_started: ['drafted', 'submitted'],
+  // Re-drafting replaces the letter
+  drafted: ['drafted', 'submitted'],
+  submitted: ['awaiting_response', 'accepted', 'rejected', 'court_scheduled'],
+  awaiting_response: ['accepted', 'rejected', 'court_scheduled'],
+  // A rejected cancellation request can still be taken to court (בקשה להישפט)
+  rejected: ['court_scheduled'],
+  court_scheduled: ['accepted', 'rejected'],
+  accepted: []
+}
+
+const RESPONSE_STATUSES = ['accepted', 'rejected', 'court_scheduled']
+
+export function getAppealStatus(report) {
+  return report.appeal?.status || 'not_started'
+}
+
+export function canTransitionAppeal(from, to) {
+  return (APPEAL_TRANSITIONS[from] || []).includes(to)
+}
+
+// Appeal state with the statuses it can move to next
+export function getAppealSummary(report) {
+  const appeal = report.appeal || { status: 'not_started', letterGenerated: false }
+  const status = getAppealStatus(report)
+
+  return {
+    ...appeal,
+    status,
+    history: appeal.history || [],
+    allowedTransitions: APPEAL_TRANSITIONS[status] || []
+  }
+}
+
+// Find an attached document across the appeal history
+export function findAppealDocument(report, documentId) {
+  for (const entry of report.appeal?.history || []) {
+    const document = (entry.documents || []).find(doc => doc.id === documentId)
+    if (document) return document
+  }
+  return null
+}
+
+/**
+ * Validate a requested transition
+ * details: { occurredAt, courtDate }
+ * Returns an error message or null
+ */
+export function validateAppealTransition(report, to, details = {}) {
+  const from = getAppealStatus(report)
+
+  if (!APPEAL_STATUSES.includes(to)) {
+    return `Unknown appeal status: ${to}. Must be one of: ${APPEAL_STATUSES.join(', ')}`
+  }
+
+  if (!canTransitionAppeal(from, to)) {
+    const allowed = APPEAL_TRANSITIONS[from] || []
+    return `Cannot move appeal from ${from} to ${to}` +
+      (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : ` (${from} is final)`)
+  }
+
+  if (to === 'drafted' && !details.letter) {
+    return 'A drafted appeal requires a generated letter'
+  }
+
+  if (details.occurredAt && isNaN(new Date(details.occurredAt).getTime())) {
+    return 'occurredAt must be a valid date'
+  }
+
+  if (to === 'court_scheduled') {
+    if (!details.courtDate) return 'courtDate is required when a court hearing is scheduled'
+    if (isNaN(new Date(details.courtDate).getTime())) return 'courtDate must be a valid date'
+  }
+
+  return null
+}
+
+// Accepted appeals cancel the fine; rejected ones move the ticket to payment
+async function applyAppealOutcome(report, status) {
+  if (report.payment?.status === 'paid') return
+
+  if (status === 'accepted') {
+    await updateReportPayment(report.id, {
+      ...report.payment,
+      required: false,
+      reason: 'appeal_accepted',
+      updatedAt: new Date().toISOString()
+    })
+  } else if (status === 'rejected') {
+    await startPaymentWorkflow(report, 'appeal_rejected')
+  }
+}
+
+/**
+ * Move a report's appeal to a new status
+ * details: { by, note, documents, occurredAt, courtDate, letter }
+ */
+export const transitionAppeal = async (report, to, details = {}) => {
+  try {
+    const validationError = validateAppealTransition(report, to, details)
+    if (validationError) {
+      return { success: false, invalidTransition: true, error: validationError }
+    }
+
+    const now = new Date().toISOString()
+    const occurredAt = details.occurredAt ? new Date(details.occurredAt).toISOString() : now
+    const current = report.appeal || {}
+
+    const entry = {
+      id: uuidv4(),
+      from: getAppealStatus(report),
+      to,
+      at: now,
+      occurredAt,
+      by: details.by || null,
+      note: details.note || null,
+      documents: (details.documents || []).map(document => ({ id: uuidv4(), ...document }))
+    }
+
+    const appeal = {
+      ...current,
+      status: to,
+      history: [...(current.history || []), entry],
+      updatedAt: now
+    }
+
+    if (to === 'drafted') {
+      appeal.letterGenerated = true
+      appeal.letter = details.letter
+    } else if (to === 'submitted') {
+      appeal.submittedAt = occurredAt
+    } else if (RESPONSE_STATUSES.includes(to)) {
+      appeal.respondedAt = occurredAt
+    }
+
+    if (to === 'court_scheduled') {
+      appeal.courtDate = new Date(details.courtDate).toISOString()
+    }
+
+    const updateResult = await updateReportAppeal(report.id, appeal)
+    if (!updateResult.success) {
+      return updateResult
+    }
+
+    await applyAppealOutcome(updateResult.report, to)
+
+    return { success: true, report: updateResult.report, appeal, transition: entry }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
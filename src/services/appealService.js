@@ -0,0 +1,251 @@
+// Appeal Service - Generates formal Hebrew appeal / request-for-trial letters
+import { createJSONCompletion } from './llmProviders/index.js'
+
+/**
+ * Supported letter types
+ * cancellation - בקשה לביטול הדוח (פנייה לתובע)
+ * trial - בקשה להישפט (העברת הדיון לבית המשפט לתעבורה)
+ */
+export const APPEAL_LETTER_TYPES = {
+  cancellation: {
+    title: 'בקשה לביטול דוח',
+    recipient: 'מרכז פניות נהגים - משטרת ישראל'
+  },
+  trial: {
+    title: 'בקשה להישפט',
+    recipient: 'מרכז פניות נהגים - משטרת ישראל'
+  }
+}
+
+/**
+ * Main function: generate an appeal letter from a report's stored OCR and analysis results
+ * options: { type, sender, aiEnabled }
+ */
+export async function generateAppealLetter(report, options = {}) {
+  const letterType = APPEAL_LETTER_TYPES[options.type] ? options.type : 'cancellation'
+  const extractedFields = report.ocr_results?.extractedFields || {}
+  const analysisResults = report.analysis_results || {}
+  const sender = buildSenderDetails(extractedFields, options.sender)
+
+  // Usage quota exceeded: template letter without the LLM
+  if (options.aiEnabled === false) {
+    return {
+      success: true,
+      letter: createTemplateLetter(letterType, extractedFields, analysisResults, sender, 'AI usage quota exceeded')
+    }
+  }
+
+  try {
+    const prompt = createAppealLetterPrompt(letterType, extractedFields, analysisResults, sender)
+
+    const completion = await createJSONCompletion({
+      task: 'appeal_letter',
+      messages: [
+        {
+          role: "system",
+          content: `אתה עורך דין ישראלי המתמחה בדיני תעבורה. תפקידך לנסח מכתבי ${APPEAL_LETTER_TYPES[letterType].title} בשפה משפטית רשמית ועניינית.
+
+כללים:
+1. הסתמך אך ורק על העובדות והטענות שסופקו - אל תמציא עובדות, תאריכים או פסקי דין
+2. כתוב בגוף ראשון בשם הנהג
+3. החזר תשובה בפורמט JSON עם המבנה הנדרש`
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      temperature: 0.3,
+      maxTokens: 2000
+    })
+
+    const aiResponse = completion.data
+
+    return {
+      success: true,
+      letter: buildLetter(letterType, aiResponse, extractedFields, analysisResults, sender, {
+        aiModel: completion.model,
+        aiUsage: completion.usage,
+        generationType: 'ai'
+      })
+    }
+  } catch (error) {
+    console.error('❌ AI appeal letter generation failed:', error)
+    console.log('🔄 Falling back to template appeal letter')
+
+    return {
+      success: true,
+      letter: createTemplateLetter(letterType, extractedFields, analysisResults, sender, error.message)
+    }
+  }
+}
+
+// Merge sender details provided by the user with what was extracted from the ticket
+function buildSenderDetails(extractedFields, sender) {
+  sender = sender || {}
+  return {
+    fullName: sender.fullName || extractedFields.driverName || '',
+    idNumber: sender.idNumber || '',
+    address: sender.address || '',
+    phone: sender.phone || '',
+    email: sender.email || ''
+  }
+}
+
+// Collect the legal references cited by the chunks retrieved during analysis
+function getLegalReferences(analysisResults) {
+  const chunks = analysisResults.legalContext?.chunks || []
+  const references = chunks
+    .map(chunk => chunk.legal_reference)
+    .filter(Boolean)
+
+  return [...new Set(references)]
+}
+
+// Create appeal letter prompt for the LLM
+function createAppealLetterPrompt(letterType, extractedFields, analysisResults, sender) {
+  const technicalIssues = analysisResults.technicalIssues || []
+  const appealAssessment = analysisResults.appealAssessment || {}
+  const legalChunks = analysisResults.legalContext?.chunks || []
+
+  return `נסח ${APPEAL_LETTER_TYPES[letterType].title} עבור דוח התנועה הבא.
+
+פרטי הדוח:
+- מספר דוח: ${extractedFields.reportNumber || 'לא זוהה'}
+- תאריך עבירה: ${extractedFields.violationDate || 'לא זוהה'}
+- שעה: ${extractedFields.violationTime || 'לא זוהה'}
+- סוג עבירה: ${extractedFields.violationType || 'לא זוהה'}
+- מיקום: ${extractedFields.location || 'לא זוהה'}
+- סכום קנס: ${extractedFields.fineAmount || 'לא זוהה'} ש"ח
+- נקודות: ${extractedFields.points || 'לא זוהה'}${extractedFields.vehiclePlate ? `
+- מספר רכב: ${extractedFields.vehiclePlate}` : ''}
+
+פרטי המבקש:
+- שם: ${sender.fullName || 'לא צוין'}${sender.idNumber ? `
+- ת.ז.: ${sender.idNumber}` : ''}
+
+ליקויים שנמצאו בניתוח הדוח:
+${technicalIssues.length > 0
+    ? technicalIssues.map((issue, index) => `${index + 1}. ${issue.description} (השפעה: ${issue.impact || 'לא צוין'})`).join('\n')
+    : 'לא נמצאו ליקויים טכניים ספציפיים.'}
+
+הערכת סיכויי הערעור:
+- המלצה: ${appealAssessment.recommendation || 'uncertain'}
+- נימוק: ${appealAssessment.reasoning || 'לא צוין'}
+
+מקורות משפטיים רלוונטיים:
+${legalChunks.length > 0
+    ? legalChunks.map(chunk => `- ${chunk.title}${chunk.legal_reference ? ` (${chunk.legal_reference})` : ''}`).join('\n')
+    : 'אין מקורות משפטיים זמינים.'}
+
+החזר את המכתב בפורמט JSON הבא:
+{
+  "subject": "שורת הנדון",
+  "opening": "פסקת פתיחה המציגה את המבקש ואת הבקשה",
+  "facts": ["עובדות המקרה"],
+  "arguments": ["טענות המבקש, אחת לכל ליקוי"],
+  "requests": ["הבקשות המפורשות מהרשות"],
+  "closing": "פסקת סיום"
+}`
+}
+
+// Assemble the stored letter object from its sections
+function buildLetter(letterType, sections, extractedFields, analysisResults, sender, generationInfo) {
+  const letterTypeInfo = APPEAL_LETTER_TYPES[letterType]
+  const letter = {
+    type: letterType,
+    title: letterTypeInfo.title,
+    recipient: letterTypeInfo.recipient,
+    date: new Date().toLocaleDateString('he-IL'),
+    subject: sections.subject || `הנדון: ${letterTypeInfo.title} - דוח מס' ${extractedFields.reportNumber || ''}`.trim(),
+    opening: sections.opening || '',
+    facts: Array.isArray(sections.facts) ? sections.facts : [],
+    arguments: Array.isArray(sections.arguments) ? sections.arguments : [],
+    requests: Array.isArray(sections.requests) ? sections.requests : [],
+    closing: sections.closing || '',
+    legalReferences: getLegalReferences(analysisResults),
+    sender,
+    generationInfo: {
+      ...generationInfo,
+      generatedAt: new Date().toISOString()
+    }
+  }
+
+  letter.fullText = formatLetterText(letter)
+  return letter
+}
+
+// Create template letter when AI generation fails
+function createTemplateLetter(letterType, extractedFields, analysisResults, sender, errorMessage) {
+  const technicalIssues = analysisResults.technicalIssues || []
+  const reportNumber = extractedFields.reportNumber || ''
+
+  const sections = {
+    subject: `הנדון: ${APPEAL_LETTER_TYPES[letterType].title} - דוח מס' ${reportNumber}`.trim(),
+    opening: letterType === 'trial'
+      ? `אני הח"מ, ${sender.fullName || 'הנהג'}, מבקש בזאת להישפט בגין הדוח שבנדון, בהתאם לסעיף 229 לחוק סדר הדין הפלילי.`
+      : `אני הח"מ, ${sender.fullName || 'הנהג'}, מבקש בזאת לבטל את הדוח שבנדון מהנימוקים המפורטים להלן.`,
+    facts: [
+      `ביום ${extractedFields.violationDate || '___'}${extractedFields.violationTime ? ` בשעה ${extractedFields.violationTime}` : ''} נרשם לי דוח בגין ${extractedFields.violationType || 'עבירת תנועה'}${extractedFields.location ? ` ב${extractedFields.location}` : ''}.`,
+      `סכום הקנס שנקבע בדוח הוא ${extractedFields.fineAmount || '___'} ש"ח.`
+    ],
+    arguments: technicalIssues.map(issue =>
+      `${issue.description}${issue.impact ? ` - ${issue.impact}` : ''}.`
+    ),
+    requests: letterType === 'trial'
+      ? ['לזמן אותי לדיון בבית המשפט לתעבורה', 'להעביר לידי את חומר הראיות בתיק, לרבות תעודות כיול של מכשיר המדידה']
+      : ['לבטל את הדוח שבנדון', 'לחלופין, להמיר את הדוח לאזהרה', 'להעביר לידי את חומר הראיות בתיק, לרבות תעודות כיול של מכשיר המדידה'],
+    closing: 'אודה לטיפולכם ולמתן תשובה בכתב.'
+  }
+
+  return buildLetter(letterType, sections, extractedFields, analysisResults, sender, {
+    aiModel: null,
+    generationType: 'template',
+    fallbackReason: errorMessage
+  })
+}
+
+// Render the letter sections as plain text, ready to paste or print
+function formatLetterText(letter) {
+  const parts = [
+    letter.date,
+    '',
+    'לכבוד',
+    letter.recipient,
+    '',
+    letter.subject,
+    '',
+    letter.opening
+  ]
+
+  if (letter.facts.length > 0) {
+    parts.push('', 'העובדות:', ...letter.facts.map((fact, index) => `${index + 1}. ${fact}`))
+  }
+
+  if (letter.arguments.length > 0) {
+    parts.push('', 'טענותיי:', ...letter.arguments.map((argument, index) => `${index + 1}. ${argument}`))
+  }
+
+  if (letter.legalReferences.length > 0) {
+    parts.push('', 'אסמכתאות משפטיות:', ...letter.legalReferences.map(reference => `- ${reference}`))
+  }
+
+  if (letter.requests.length > 0) {
+    parts.push('', 'לאור האמור, אבקש:', ...letter.requests.map((request, index) => `${index + 1}. ${request}`))
+  }
+
+  parts.push('', letter.closing, '', 'בכבוד רב,', letter.sender.fullName || '')
+
+  const contactDetails = [
+    letter.sender.idNumber && `ת.ז. ${letter.sender.idNumber}`,
+    letter.sender.address,
+    letter.sender.phone,
+    letter.sender.email
+  ].filter(Boolean)
+
+  if (contactDetails.length > 0) {
+    parts.push(contactDetails.join(' | '))
+  }
+
+  return parts.join('\n').trim()
+}
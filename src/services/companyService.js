@@ -0,0 +1,399 @@
+import { supabase } from '../config/supabase.js'
+import { v4 as uuidv4 } from 'uuid'
+
+/**
+ * Company Service - Fleet companies, their drivers and their drivers' reports
+ */
+
+export const DEFAULT_COMPANY_SETTINGS = {
+  autoUpload: false,
+  notifications: {
+    email: true,
+    whatsapp: false,
+    riskThreshold: 10
+  },
+  // Monthly AI cost limit in USD and block | degrade; null falls back to USAGE_COMPANY_MONTHLY_LIMIT_USD / USAGE_QUOTA_ACTION
+  usage: {
+    monthlyCostLimit: null,
+    exceededAction: null
+  }
+}
+
+// Columns exposed for company drivers (never the password hash)
+const DRIVER_COLUMNS = 'id, email, first_name, last_name, role, phone, license_number, company_id, created_at'
+
+// Remove the API key from company responses
+function sanitizeCompany(company) {
+  const { api_key, ...companyWithoutKey } = company
+  return { ...companyWithoutKey, hasApiKey: Boolean(api_key) }
+}
+
+// Merge a settings patch over existing settings (notifications and usage are merged one level deep)
+export function mergeCompanySettings(currentSettings = {}, settingsPatch = {}) {
+  const base = { ...DEFAULT_COMPANY_SETTINGS, ...currentSettings }
+  return {
+    ...base,
+    ...settingsPatch,
+    notifications: {
+      ...DEFAULT_COMPANY_SETTINGS.notifications,
+      ...base.notifications,
+      ...(settingsPatch.notifications || {})
+    },
+    usage: {
+      ...DEFAULT_COMPANY_SETTINGS.usage,
+      ...base.usage,
+      ...(settingsPatch.usage || {})
+    }
+  }
+}
+
+// Create new company
+export const createCompany = async (companyData) => {
+  try {
+    const { name, contactEmail, contactPhone, address, settings } = companyData
+
+    const { data: company, error } = await supabase
+      .from('companies')
+      .insert([
+        {
+          id: uuidv4(),
+          name,
+          contact_email: contactEmail,
+          contact_phone: contactPhone || null,
+          address: address || null,
+          settings: mergeCompanySettings({}, settings),
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    console.log('✅ Company created successfully:', company.id)
+    return { success: true, company: sanitizeCompany(company) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Get company by ID
+export const getCompanyById = async (companyId) => {
+  try {
+    const { data: company, error } = await supabase
+      .from('companies')
+      .select('*')
+      .eq('id', companyId)
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, company: sanitizeCompany(company) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// List all companies
+export const listCompanies = async (limit = 50, offset = 0) => {
+  try {
+    const { data: companies, error } = await supabase
+      .from('companies')
+      .select('*')
+      .order('name', { ascending: true })
+      .range(offset, offset + limit - 1)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, companies: companies.map(sanitizeCompany) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Update company details and settings
+export const updateCompany = async (companyId, updateData) => {
+  try {
+    const currentResult = await getCompanyById(companyId)
+    if (!currentResult.success) {
+      return currentResult
+    }
+
+    const updates = { updated_at: new Date().toISOString() }
+
+    if (updateData.name !== undefined) updates.name = updateData.name
+    if (updateData.contactEmail !== undefined) updates.contact_email = updateData.contactEmail
+    if (updateData.contactPhone !== undefined) updates.contact_phone = updateData.contactPhone
+    if (updateData.address !== undefined) updates.address = updateData.address
+    if (updateData.settings !== undefined) {
+      updates.settings = mergeCompanySettings(currentResult.company.settings, updateData.settings)
+    }
+
+    const { data: company, error } = await supabase
+      .from('companies')
+      .update(updates)
+      .eq('id', companyId)
+      .select()
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, company: sanitizeCompany(company) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Delete company (drivers are unlinked first, their reports keep their history)
+export const deleteCompany = async (companyId) => {
+  try {
+    const { error: unlinkError } = await supabase
+      .from('users')
+      .update({ company_id: null, updated_at: new Date().toISOString() })
+      .eq('company_id', companyId)
+
+    if (unlinkError) {
+      return { success: false, error: unlinkError.message }
+    }
+
+    const { error: reportsError } = await supabase
+      .from('reports')
+      .update({ company_id: null })
+      .eq('company_id', companyId)
+
+    if (reportsError) {
+      return { success: false, error: reportsError.message }
+    }
+
+    const { error } = await supabase
+      .from('companies')
+      .delete()
+      .eq('id', companyId)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Get all users linked to a company
+export const getCompanyDrivers = async (companyId) => {
+  try {
+    const { data: drivers, error } = await supabase
+      .from('users')
+      .select(DRIVER_COLUMNS)
+      .eq('company_id', companyId)
+      .order('last_name', { ascending: true })
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, drivers }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Link a user to a company (only after they accepted an invitation)
+// Reports filed before joining stay personal; new reports take the company at upload.
+export const addDriverToCompany = async (companyId, userId) => {
+  try {
+    const { data: drivers, error } = await supabase
+      .from('users')
+      .update({ company_id: companyId, updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .is('company_id', null)
+      .select(DRIVER_COLUMNS)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    if (drivers.length === 0) {
+      return { success: false, alreadyLinked: true, error: 'User already belongs to a company' }
+    }
+
+    return { success: true, driver: drivers[0] }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Invite a registered user to join a company as a driver
+ * The user is linked only when they accept (respondToCompanyInvitation).
+ */
+export const inviteDriverToCompany = async (companyId, userId, invitedBy) => {
+  try {
+    const { data: invitation, error } = await supabase
+      .from('company_invitations')
+      .insert([
+        {
+          id: uuidv4(),
+          company_id: companyId,
+          user_id: userId,
+          invited_by: invitedBy,
+          status: 'pending'
+        }
+      ])
+      .select()
+      .single()
+
+    if (error) {
+      // One pending invitation per user and company (unique index)
+      if (error.code === '23505') {
+        return { success: false, duplicate: true, error: 'User already has a pending invitation to this company' }
+      }
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, invitation }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Invitations of a company, or of a user (filters: { companyId, userId, status })
+export const getCompanyInvitations = async (filters = {}) => {
+  try {
+    const { companyId, userId, status } = filters
+
+    let query = supabase
+      .from('company_invitations')
+      .select('*, company:companies(id, name)')
+
+    if (companyId) query = query.eq('company_id', companyId)
+    if (userId) query = query.eq('user_id', userId)
+    if (status) query = query.eq('status', status)
+
+    const { data: invitations, error } = await query.order('created_at', { ascending: false })
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, invitations }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Accept or decline a pending invitation of the user
+ * Accepting links the user to the company; returns { invitation, driver }
+ */
+export const respondToCompanyInvitation = async (invitationId, userId, accept) => {
+  try {
+    const { data: invitation, error } = await supabase
+      .from('company_invitations')
+      .select('*')
+      .eq('id', invitationId)
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .maybeSingle()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    if (!invitation) {
+      return { success: false, notFound: true, error: 'No pending invitation found' }
+    }
+
+    let driver = null
+    if (accept) {
+      const linkResult = await addDriverToCompany(invitation.company_id, userId)
+      if (!linkResult.success) {
+        return linkResult
+      }
+      driver = linkResult.driver
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('company_invitations')
+      .update({ status: accept ? 'accepted' : 'declined', responded_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .select()
+      .single()
+
+    if (updateError) {
+      return { success: false, error: updateError.message }
+    }
+
+    return { success: true, invitation: updated, driver }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Unlink a user from a company (reports filed while employed stay with the company)
+export const removeDriverFromCompany = async (companyId, userId) => {
+  try {
+    const { data: drivers, error } = await supabase
+      .from('users')
+      .update({ company_id: null, updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .eq('company_id', companyId)
+      .select('id')
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    if (drivers.length === 0) {
+      return { success: false, error: 'User is not linked to this company' }
+    }
+
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Get the reports of all company drivers
+ * filters: { status, driverId, recommendation, from, to, limit, offset }
+ */
+export const getCompanyReports = async (companyId, filters = {}) => {
+  try {
+    const { status, driverId, recommendation, from, to, limit = 50, offset = 0 } = filters
+
+    // reports has two foreign keys to users (user_id, assigned_lawyer_id): name the one to embed
+    let query = supabase
+      .from('reports')
+      .select(`*, driver:users!user_id(${DRIVER_COLUMNS})`, { count: 'exact' })
+      .eq('company_id', companyId)
+
+    if (status) query = query.eq('status', status)
+    if (driverId) query = query.eq('user_id', driverId)
+    if (recommendation) query = query.eq('analysis_results->appealAssessment->>recommendation', recommendation)
+    if (from) query = query.gte('created_at', from)
+    if (to) query = query.lte('created_at', to)
+
+    const { data: reports, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, reports, total: count }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
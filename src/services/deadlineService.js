@@ -0,0 +1,293 @@
+import { supabase } from '../config/supabase.js'
+import { NOTIFICATION_CONFIG } from '../config/notifications.js'
+import { parseTicketDate } from './textPreprocessingService.js'
+import { notifyReportOwner, hasNotificationBeenSent } from './notificationService.js'
+
+/**
+ * Deadline Service - Appeal and payment deadlines for tickets
+ * Deadlines are stored as real dates (reports.appeal_deadline / payment_deadline).
+ * When the ticket does not print a deadline it is computed from the violation date:
+ * Israeli rules allow 90 days to pay, request a trial or ask for cancellation.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const DEADLINE_RULES = {
+  appealDays: 90,
+  paymentDays: 90
+}
+
+// Deadlines at or under these many days are flagged in the urgency list
+const URGENCY_LEVELS = [
+  { level: 'overdue', maxDays: -1 },
+  { level: 'critical', maxDays: 7 },
+  { level: 'soon', maxDays: 30 }
+]
+
+// Appeal deadline no longer matters once the appeal has been submitted
+const APPEAL_OPEN_STATUSES = ['not_started', 'drafted']
+
+let schedulerTimer = null
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+function startOfDayUTC(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS)
+}
+
+export function formatDeadline(dateString) {
+  const [year, month, day] = dateString.split('-')
+  return `${day}/${month}/${year}`
+}
+
+export function getDaysLeft(dateString, now = new Date()) {
+  return Math.round((new Date(`${dateString}T00:00:00Z`).getTime() - startOfDayUTC(now).getTime()) / DAY_MS)
+}
+
+export function getUrgency(daysLeft) {
+  const match = URGENCY_LEVELS.find(urgency => daysLeft <= urgency.maxDays)
+  return match ? match.level : 'normal'
+}
+
+/**
+ * Compute a report's deadlines from its extracted fields
+ * Returns { appeal, payment } as { date: 'YYYY-MM-DD', source } or null when no date is known
+ * source: 'ticket' (printed deadline) | 'violation_date' (computed) | 'upload_date' (computed, violation date unreadable)
+ */
+export function computeReportDeadlines(extractedFields = {}, uploadedAt = null) {
+  // The extracted appealDeadline also covers "pay by" phrases, so it applies to both deadlines
+  const printedDeadline = parseTicketDate(extractedFields.appealDeadline)
+  if (printedDeadline) {
+    const deadline = { date: toDateString(printedDeadline), source: 'ticket' }
+    return { appeal: deadline, payment: { ...deadline } }
+  }
+
+  const violationDate = parseTicketDate(extractedFields.violationDate)
+  const baseDate = violationDate || (uploadedAt ? startOfDayUTC(new Date(uploadedAt)) : null)
+  if (!baseDate) {
+    return { appeal: null, payment: null }
+  }
+
+  const source = violationDate ? 'violation_date' : 'upload_date'
+  return {
+    appeal: { date: toDateString(addDays(baseDate, DEADLINE_RULES.appealDays)), source },
+    payment: { date: toDateString(addDays(baseDate, DEADLINE_RULES.paymentDays)), source }
+  }
+}
+
+// Compute and store a report's deadlines
+export const updateReportDeadlines = async (reportId, extractedFields, uploadedAt = null) => {
+  try {
+    const deadlines = computeReportDeadlines(extractedFields, uploadedAt)
+
+    const { error } = await supabase
+      .from('reports')
+      .update({
+        appeal_deadline: deadlines.appeal?.date || null,
+        payment_deadline: deadlines.payment?.date || null,
+        // 'unknown' marks reports already processed without any usable date
+        deadline_source: deadlines.appeal?.source || 'unknown'
+      })
+      .eq('id', reportId)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, deadlines }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Deadline entries of a report that still need action
+function getOpenDeadlines(report, now) {
+  const deadlines = []
+
+  if (report.appeal_deadline && APPEAL_OPEN_STATUSES.includes(report.appeal?.status || 'not_started')) {
+    const daysLeft = getDaysLeft(report.appeal_deadline, now)
+    deadlines.push({ type: 'appeal', date: report.appeal_deadline, daysLeft, urgency: getUrgency(daysLeft) })
+  }
+
+  if (report.payment_deadline && report.payment?.status !== 'paid') {
+    const daysLeft = getDaysLeft(report.payment_deadline, now)
+    deadlines.push({ type: 'payment', date: report.payment_deadline, daysLeft, urgency: getUrgency(daysLeft) })
+  }
+
+  return deadlines
+}
+
+// Upcoming first (soonest at the top), then overdue (most recently missed first)
+function compareUrgency(a, b) {
+  const aOverdue = a.nextDeadline.daysLeft < 0
+  const bOverdue = b.nextDeadline.daysLeft < 0
+  if (aOverdue !== bOverdue) return aOverdue ? 1 : -1
+  return aOverdue
+    ? b.nextDeadline.daysLeft - a.nextDeadline.daysLeft
+    : a.nextDeadline.daysLeft - b.nextDeadline.daysLeft
+}
+
+/**
+ * Tickets with open deadlines ordered by urgency
+ * scope: { userId } or { companyId }; options: { includeOverdue }
+ */
+export const getDeadlinesByUrgency = async (scope, options = {}) => {
+  try {
+    const { includeOverdue = true } = options
+    const now = new Date()
+
+    let query = supabase
+      .from('reports')
+      .select('id, user_id, company_id, status, original_file, ocr_results, analysis_results, appeal, payment, appeal_deadline, payment_deadline, deadline_source, created_at')
+      .or('appeal_deadline.not.is.null,payment_deadline.not.is.null')
+
+    query = scope.companyId ? query.eq('company_id', scope.companyId) : query.eq('user_id', scope.userId)
+
+    const { data: reports, error } = await query
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    const tickets = reports
+      .map(report => {
+        const deadlines = getOpenDeadlines(report, now)
+        if (deadlines.length === 0) return null
+
+        const upcoming = deadlines.filter(deadline => deadline.daysLeft >= 0)
+        const nextDeadline = upcoming.length > 0
+          ? upcoming.reduce((soonest, deadline) => (deadline.daysLeft < soonest.daysLeft ? deadline : soonest))
+          : deadlines.reduce((latest, deadline) => (deadline.daysLeft > latest.daysLeft ? deadline : latest))
+
+        return {
+          reportId: report.id,
+          userId: report.user_id,
+          status: report.status,
+          reportNumber: report.ocr_results?.extractedFields?.reportNumber || null,
+          violationType: report.ocr_results?.extractedFields?.violationType || null,
+          fineAmount: report.ocr_results?.extractedFields?.fineAmount || null,
+          recommendation: report.analysis_results?.appealAssessment?.recommendation || null,
+          deadlineSource: report.deadline_source,
+          deadlines,
+          nextDeadline
+        }
+      })
+      .filter(Boolean)
+      .filter(ticket => includeOverdue || ticket.nextDeadline.daysLeft >= 0)
+      .sort(compareUrgency)
+
+    return { success: true, tickets }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Send reminders for deadlines falling within one of the configured reminder windows
+ * (each window is sent at most once per report and deadline type)
+ */
+export const sendDeadlineReminders = async (now = new Date()) => {
+  try {
+    const reminderDays = NOTIFICATION_CONFIG.deadlineReminderDays
+    if (reminderDays.length === 0) {
+      return { success: true, sent: 0 }
+    }
+
+    const today = toDateString(startOfDayUTC(now))
+    const lastDay = toDateString(addDays(startOfDayUTC(now), Math.max(...reminderDays)))
+
+    const { data: reports, error } = await supabase
+      .from('reports')
+      .select('id, user_id, ocr_results, original_file, appeal, payment, appeal_deadline, payment_deadline')
+      .or(`and(appeal_deadline.gte.${today},appeal_deadline.lte.${lastDay}),and(payment_deadline.gte.${today},payment_deadline.lte.${lastDay})`)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    let sent = 0
+
+    for (const report of reports) {
+      // Appeal and payment deadlines are often the same day - remind once per window
+      const deadlines = getOpenDeadlines(report, now).filter(deadline => deadline.daysLeft >= 0)
+      const remindedDates = new Set()
+
+      for (const deadline of deadlines) {
+        const reminderWindow = reminderDays.find(days => deadline.daysLeft <= days)
+        if (reminderWindow === undefined || remindedDates.has(deadline.date)) continue
+
+        const dedupeKey = `${deadline.type}_deadline:${report.id}:${reminderWindow}`
+        if (await hasNotificationBeenSent(dedupeKey)) continue
+
+        const notificationType = deadlines.some(other => other.type === 'appeal' && other.date === deadline.date)
+          ? 'appeal_deadline'
+          : 'payment_deadline'
+
+        await notifyReportOwner(report, notificationType, {
+          deadline: formatDeadline(deadline.date),
+          daysLeft: deadline.daysLeft
+        }, { dedupeKey })
+
+        remindedDates.add(deadline.date)
+        sent++
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`⏰ Sent ${sent} deadline reminder(s)`)
+    }
+    return { success: true, sent }
+  } catch (error) {
+    console.error('❌ Deadline reminder error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Fill deadlines for analyzed reports created before deadlines were stored
+export const backfillReportDeadlines = async (limit = 500) => {
+  try {
+    const { data: reports, error } = await supabase
+      .from('reports')
+      .select('id, ocr_results, created_at')
+      .is('deadline_source', null)
+      .not('ocr_results', 'is', null)
+      .limit(limit)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    for (const report of reports) {
+      await updateReportDeadlines(report.id, report.ocr_results.extractedFields || {}, report.created_at)
+    }
+
+    if (reports.length > 0) {
+      console.log(`📅 Computed deadlines for ${reports.length} existing report(s)`)
+    }
+    return { success: true, updated: reports.length }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Periodically look for upcoming deadlines and send reminders
+export async function startDeadlineScheduler() {
+  if (schedulerTimer) return
+
+  await backfillReportDeadlines()
+  sendDeadlineReminders()
+  schedulerTimer = setInterval(sendDeadlineReminders, NOTIFICATION_CONFIG.deadlineCheckIntervalMs)
+  schedulerTimer.unref()
+}
+
+export function stopDeadlineScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer)
+    schedulerTimer = null
+  }
+}
@@ -0,0 +1,412 @@
+// Document Export Service - Renders analysis summaries and appeal letters as PDF/DOCX
+import PDFDocument from 'pdfkit'
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  AlignmentType,
+  CharacterSet
+} from 'docx'
+import bidiFactory from 'bidi-js'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Fonts are bundled with the backend so exports never depend on system fonts
+const FONTS = {
+  regular: path.join(__dirname, '../assets/fonts/DejaVuSans.ttf'),
+  bold: path.join(__dirname, '../assets/fonts/DejaVuSans-Bold.ttf')
+}
+
+// The regular face is embedded in DOCX files, so Hebrew renders without the font installed (bold is synthesized)
+const DOCX_FONT = 'DejaVu Sans'
+let docxFontData = null
+
+function getDOCXFonts() {
+  docxFontData = docxFontData || fs.readFileSync(FONTS.regular)
+  return [{ name: DOCX_FONT, data: docxFontData, characterSet: CharacterSet.HEBREW }]
+}
+
+const bidi = bidiFactory()
+
+/**
+ * Hebrew labels for the extracted ticket fields
+ */
+const FIELD_LABELS = {
+  reportNumber: 'מספר דוח',
+  violationDate: 'תאריך עבירה',
+  violationTime: 'שעת עבירה',
+  violationType: 'סוג עבירה',
+  fineAmount: 'סכום קנס (ש"ח)',
+  points: 'נקודות',
+  location: 'מיקום',
+  driverName: 'שם הנהג',
+  licenseNumber: 'מספר רישיון',
+  vehiclePlate: 'מספר רכב',
+  appealDeadline: 'מועד אחרון לערעור'
+}
+
+const RECOMMENDATION_LABELS = {
+  appeal: 'מומלץ להגיש ערעור',
+  pay: 'מומלץ לשלם את הקנס',
+  uncertain: 'לא ניתן להכריע - מומלץ להתייעץ עם עורך דין'
+}
+
+const LEVEL_LABELS = {
+  high: 'גבוהה',
+  medium: 'בינונית',
+  low: 'נמוכה'
+}
+
+export const EXPORT_FORMATS = ['pdf', 'docx']
+export const EXPORT_DOCUMENTS = ['summary', 'appeal']
+
+/**
+ * Build a format-neutral list of blocks (headings, paragraphs, key/value rows)
+ * that both the PDF and DOCX renderers consume
+ */
+export function buildExportBlocks(report, documentType = 'summary') {
+  if (documentType === 'appeal') {
+    return buildAppealBlocks(report)
+  }
+  return buildSummaryBlocks(report)
+}
+
+function buildSummaryBlocks(report) {
+  const extractedFields = report.ocr_results?.extractedFields || {}
+  const analysisResults = report.analysis_results || {}
+  const appealAssessment = analysisResults.appealAssessment || {}
+  const technicalIssues = analysisResults.technicalIssues || []
+  const legalReferences = getLegalReferences(analysisResults)
+
+  const blocks = [
+    { type: 'title', text: 'סיכום ניתוח דוח תנועה' },
+    { type: 'paragraph', text: `הופק בתאריך ${new Date().toLocaleDateString('he-IL')}` },
+    { type: 'heading', text: 'פרטי הדוח' }
+  ]
+
+  Object.entries(FIELD_LABELS).forEach(([field, label]) => {
+    if (extractedFields[field]) {
+      blocks.push({ type: 'field', label, value: String(extractedFields[field]) })
+    }
+  })
+
+  blocks.push({ type: 'heading', text: 'הערכת ערעור' })
+  blocks.push({
+    type: 'field',
+    label: 'המלצה',
+    value: RECOMMENDATION_LABELS[appealAssessment.recommendation] || RECOMMENDATION_LABELS.uncertain
+  })
+  if (appealAssessment.probability) {
+    blocks.push({ type: 'field', label: 'סיכויי הצלחה', value: LEVEL_LABELS[appealAssessment.probability] || appealAssessment.probability })
+  }
+  if (typeof appealAssessment.confidence === 'number') {
+    blocks.push({ type: 'field', label: 'רמת ביטחון', value: `${Math.round(appealAssessment.confidence * 100)}%` })
+  }
+  if (appealAssessment.reasoning) {
+    blocks.push({ type: 'paragraph', text: appealAssessment.reasoning })
+  }
+
+  blocks.push({ type: 'heading', text: 'ליקויים טכניים' })
+  if (technicalIssues.length === 0) {
+    blocks.push({ type: 'paragraph', text: 'לא נמצאו ליקויים טכניים.' })
+  }
+  technicalIssues.forEach(issue => {
+    const severity = LEVEL_LABELS[issue.severity] ? ` (חומרה ${LEVEL_LABELS[issue.severity]})` : ''
+    blocks.push({ type: 'listItem', text: `${issue.description}${severity}${issue.impact ? ` - ${issue.impact}` : ''}` })
+  })
+
+  const recommendations = analysisResults.detailedAnalysis?.recommendations || []
+  if (recommendations.length > 0) {
+    blocks.push({ type: 'heading', text: 'המלצות לפעולה' })
+    recommendations.forEach(recommendation => blocks.push({ type: 'listItem', text: recommendation }))
+  }
+
+  blocks.push({ type: 'heading', text: 'אסמכתאות משפטיות' })
+  if (legalReferences.length === 0) {
+    blocks.push({ type: 'paragraph', text: 'לא אותרו אסמכתאות משפטיות רלוונטיות.' })
+  }
+  legalReferences.forEach(reference => blocks.push({ type: 'listItem', text: reference }))
+
+  blocks.push({
+    type: 'note',
+    text: 'מסמך זה הופק באופן אוטומטי ואינו מהווה ייעוץ משפטי.'
+  })
+
+  return blocks
+}
+
+function buildAppealBlocks(report) {
+  const letter = report.appeal?.letter
+  if (!letter) {
+    return []
+  }
+
+  const blocks = [
+    { type: 'paragraph', text: letter.date },
+    { type: 'paragraph', text: 'לכבוד' },
+    { type: 'paragraph', text: letter.recipient },
+    { type: 'title', text: letter.subject }
+  ]
+
+  if (letter.opening) {
+    blocks.push({ type: 'paragraph', text: letter.opening })
+  }
+
+  const sections = [
+    ['העובדות', letter.facts],
+    ['טענותיי', letter.arguments],
+    ['אסמכתאות משפטיות', letter.legalReferences],
+    ['לאור האמור, אבקש', letter.requests]
+  ]
+
+  sections.forEach(([heading, items]) => {
+    if (items && items.length > 0) {
+      blocks.push({ type: 'heading', text: heading })
+      items.forEach((item, index) => blocks.push({ type: 'listItem', text: `${index + 1}. ${item}`, numbered: true }))
+    }
+  })
+
+  if (letter.closing) {
+    blocks.push({ type: 'paragraph', text: letter.closing })
+  }
+
+  blocks.push({ type: 'paragraph', text: 'בכבוד רב,' })
+  blocks.push({ type: 'paragraph', text: letter.sender?.fullName || '' })
+
+  const contactDetails = [
+    letter.sender?.idNumber && `ת.ז. ${letter.sender.idNumber}`,
+    letter.sender?.address,
+    letter.sender?.phone,
+    letter.sender?.email
+  ].filter(Boolean)
+
+  if (contactDetails.length > 0) {
+    blocks.push({ type: 'paragraph', text: contactDetails.join(' | ') })
+  }
+
+  return blocks
+}
+
+// Collect the distinct legal references of the chunks retrieved during analysis
+function getLegalReferences(analysisResults) {
+  const chunks = analysisResults.legalContext?.chunks || []
+  const references = chunks
+    .map(chunk => chunk.legal_reference ? `${chunk.legal_reference}${chunk.title ? ` - ${chunk.title}` : ''}` : null)
+    .filter(Boolean)
+
+  return [...new Set(references)]
+}
+
+/**
+ * Convert a logical-order line into visual order for the PDF renderer
+ * (RTL runs reordered and brackets mirrored; numbers and Latin keep their order)
+ */
+function toVisualOrder(line) {
+  const embeddingLevels = bidi.getEmbeddingLevels(line, 'rtl')
+  return bidi.getReorderedString(line, embeddingLevels)
+}
+
+// fontkit reverses any run whose first letter is RTL, so such visual tokens
+// are handed over pre-reversed to come out in the intended visual order
+const RTL_LETTER = /[\u0590-\u05FF]/
+const LTR_LETTER = /[A-Za-z\u00C0-\u024F]/
+
+function prepareVisualToken(token) {
+  const reversed = token.split('').reverse().join('')
+  const firstLetter = reversed.split('').find(char => RTL_LETTER.test(char) || LTR_LETTER.test(char))
+  return firstLetter && RTL_LETTER.test(firstLetter) ? reversed : token
+}
+
+/**
+ * Wrap text into lines in logical order, measured with the current PDF font
+ */
+function wrapLogicalText(doc, text, width) {
+  const lines = []
+
+  String(text).split('\n').forEach(paragraph => {
+    const words = paragraph.split(/\s+/).filter(Boolean)
+    let currentLine = ''
+
+    words.forEach(word => {
+      const candidate = currentLine ? `${currentLine} ${word}` : word
+      if (currentLine && doc.widthOfString(candidate) > width) {
+        lines.push(currentLine)
+        currentLine = word
+      } else {
+        currentLine = candidate
+      }
+    })
+
+    lines.push(currentLine)
+  })
+
+  return lines
+}
+
+// Draw one line token by token at explicit positions (pdfkit lays words out left to right)
+function drawVisualLine(doc, line, x, width, align) {
+  const tokens = toVisualOrder(line).split(' ').filter(Boolean)
+  const spaceWidth = doc.widthOfString(' ')
+  const tokenWidths = tokens.map(token => doc.widthOfString(token))
+  const lineWidth = tokenWidths.reduce((sum, tokenWidth) => sum + tokenWidth, 0) + spaceWidth * Math.max(tokens.length - 1, 0)
+  const y = doc.y
+
+  let cursor = align === 'center' ? x + (width - lineWidth) / 2 : x + width - lineWidth
+  tokens.forEach((token, index) => {
+    doc.text(prepareVisualToken(token), cursor, y, { lineBreak: false })
+    cursor += tokenWidths[index] + spaceWidth
+  })
+
+  doc.x = x
+  doc.y = y + doc.currentLineHeight(true)
+}
+
+function writeRTLText(doc, text, options = {}) {
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right - (options.indent || 0)
+
+  wrapLogicalText(doc, text, width).forEach(line => {
+    // Start a new page when the next line would overflow the bottom margin
+    if (doc.y + doc.currentLineHeight(true) > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage()
+    }
+    drawVisualLine(doc, line, doc.page.margins.left, width, options.align || 'right')
+  })
+}
+
+/**
+ * Render export blocks as a PDF document stream
+ */
+export function createPDFStream(blocks) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 56, bottom: 56, left: 56, right: 56 },
+    info: { Title: 'SmartTraffic', Producer: 'SmartTraffic' }
+  })
+
+  doc.registerFont('Hebrew', FONTS.regular)
+  doc.registerFont('Hebrew-Bold', FONTS.bold)
+
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'title':
+        doc.font('Hebrew-Bold').fontSize(18)
+        writeRTLText(doc, block.text, { align: 'center' })
+        doc.moveDown(0.8)
+        break
+
+      case 'heading':
+        doc.moveDown(0.6)
+        doc.font('Hebrew-Bold').fontSize(14)
+        writeRTLText(doc, block.text)
+        doc.moveDown(0.3)
+        break
+
+      case 'field':
+        doc.font('Hebrew').fontSize(11)
+        writeRTLText(doc, `${block.label}: ${block.value}`)
+        break
+
+      case 'listItem':
+        doc.font('Hebrew').fontSize(11)
+        writeRTLText(doc, block.numbered ? block.text : `• ${block.text}`, { indent: 12 })
+        doc.moveDown(0.2)
+        break
+
+      case 'note':
+        doc.moveDown(1)
+        doc.font('Hebrew').fontSize(9).fillColor('#666666')
+        writeRTLText(doc, block.text, { align: 'center' })
+        doc.fillColor('#000000')
+        break
+
+      default:
+        doc.font('Hebrew').fontSize(11)
+        writeRTLText(doc, block.text)
+        doc.moveDown(0.4)
+    }
+  })
+
+  doc.end()
+  return doc
+}
+
+function createDOCXRun(text, options = {}) {
+  return new TextRun({
+    text,
+    rightToLeft: true,
+    font: DOCX_FONT,
+    ...options
+  })
+}
+
+/**
+ * Render export blocks as a DOCX document stream
+ */
+export function createDOCXStream(blocks) {
+  const paragraphs = blocks.map(block => {
+    switch (block.type) {
+      case 'title':
+        return new Paragraph({
+          bidirectional: true,
+          alignment: AlignmentType.CENTER,
+          heading: HeadingLevel.TITLE,
+          children: [createDOCXRun(block.text, { bold: true, size: 36 })]
+        })
+
+      case 'heading':
+        return new Paragraph({
+          bidirectional: true,
+          heading: HeadingLevel.HEADING_2,
+          spacing: { before: 240, after: 120 },
+          children: [createDOCXRun(block.text, { bold: true, size: 28 })]
+        })
+
+      case 'field':
+        return new Paragraph({
+          bidirectional: true,
+          children: [
+            createDOCXRun(`${block.label}: `, { bold: true }),
+            createDOCXRun(block.value)
+          ]
+        })
+
+      case 'listItem':
+        return new Paragraph({
+          bidirectional: true,
+          bullet: block.numbered ? undefined : { level: 0 },
+          children: [createDOCXRun(block.text)]
+        })
+
+      case 'note':
+        return new Paragraph({
+          bidirectional: true,
+          alignment: AlignmentType.CENTER,
+          spacing: { before: 360 },
+          children: [createDOCXRun(block.text, { size: 18, color: '666666' })]
+        })
+
+      default:
+        return new Paragraph({
+          bidirectional: true,
+          spacing: { after: 120 },
+          children: [createDOCXRun(block.text)]
+        })
+    }
+  })
+
+  const doc = new Document({
+    creator: 'SmartTraffic',
+    title: 'SmartTraffic',
+    fonts: getDOCXFonts(),
+    sections: [{ children: paragraphs }]
+  })
+
+  return Packer.toStream(doc)
+}
@@ -0,0 +1,314 @@
+import { supabase } from '../config/supabase.js'
+import { v4 as uuidv4 } from 'uuid'
+import { estimatePoints } from './aiService.js'
+import { parseTicketDate } from './textPreprocessingService.js'
+import { DEFAULT_COMPANY_SETTINGS } from './companyService.js'
+
+/**
+ * Driver Risk Service - Per-driver risk scores for fleet companies
+ * Accumulates points, fines and violation severity over rolling windows and raises
+ * a fleet alert when a driver's score crosses the company's riskThreshold.
+ *
+ * riskScore = points (24 months) + severity weights (12 months) + 1 per ₪1,000 of fines (12 months)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const RISK_CONFIG = {
+  windows: {
+    last90Days: 90,
+    last12Months: 365,
+    last24Months: 730
+  },
+  severityWeights: { low: 0, medium: 1, high: 3 },
+  finePerScorePoint: 1000
+}
+
+// Israeli points system (שיטת הניקוד) milestones, counted over two years
+export const LICENSE_POINT_MILESTONES = [
+  { points: 12, action: 'driving_course', description: 'חובת קורס נהיגה מונעת' },
+  { points: 22, action: 'license_review', description: 'פסילת רישיון עד מעבר מבחן' },
+  { points: 36, action: 'license_suspension', description: 'פסילת רישיון לשלושה חודשים' }
+]
+
+// Points, fine and severity of a single analyzed report
+export function getReportRiskFactors(report) {
+  const extractedFields = report.ocr_results?.extractedFields || {}
+  const legalAnalysis = report.analysis_results?.legalAnalysis || {}
+
+  const date = parseTicketDate(extractedFields.violationDate) || new Date(report.created_at)
+
+  return {
+    reportId: report.id,
+    date,
+    points: parseInt(legalAnalysis.points) || parseInt(extractedFields.points) || estimatePoints(extractedFields),
+    fineAmount: parseInt(legalAnalysis.fineAmount) || parseInt(extractedFields.fineAmount) || 0,
+    severity: RISK_CONFIG.severityWeights[legalAnalysis.severity] !== undefined ? legalAnalysis.severity : 'medium',
+    violationType: legalAnalysis.violationType || extractedFields.violationType || null
+  }
+}
+
+function summarizeWindow(factors, days, now) {
+  const windowStart = now.getTime() - days * DAY_MS
+  const inWindow = factors.filter(factor => factor.date.getTime() >= windowStart)
+
+  return {
+    violations: inWindow.length,
+    points: inWindow.reduce((sum, factor) => sum + factor.points, 0),
+    fines: inWindow.reduce((sum, factor) => sum + factor.fineAmount, 0),
+    severity: {
+      low: inWindow.filter(factor => factor.severity === 'low').length,
+      medium: inWindow.filter(factor => factor.severity === 'medium').length,
+      high: inWindow.filter(factor => factor.severity === 'high').length
+    }
+  }
+}
+
+export function getRiskLevel(score, threshold) {
+  if (score >= threshold) return 'high'
+  if (score >= threshold * 0.7) return 'elevated'
+  return 'low'
+}
+
+// Compute a driver's risk from their analyzed reports
+export function calculateDriverRisk(reports, threshold, now = new Date()) {
+  const factors = reports.map(getReportRiskFactors)
+
+  const windows = {}
+  Object.entries(RISK_CONFIG.windows).forEach(([name, days]) => {
+    windows[name] = summarizeWindow(factors, days, now)
+  })
+
+  const { last12Months, last24Months } = windows
+  const severityScore = Object.entries(last12Months.severity)
+    .reduce((sum, [severity, count]) => sum + RISK_CONFIG.severityWeights[severity] * count, 0)
+  const fineScore = Math.floor(last12Months.fines / RISK_CONFIG.finePerScorePoint)
+  const score = last24Months.points + severityScore + fineScore
+
+  const reachedMilestones = LICENSE_POINT_MILESTONES.filter(milestone => last24Months.points >= milestone.points)
+  const nextMilestone = LICENSE_POINT_MILESTONES.find(milestone => last24Months.points < milestone.points)
+
+  return {
+    score,
+    threshold,
+    level: getRiskLevel(score, threshold),
+    breakdown: {
+      points: last24Months.points,
+      severity: severityScore,
+      fines: fineScore
+    },
+    windows,
+    licenseStatus: {
+      points: last24Months.points,
+      reached: reachedMilestones.map(milestone => milestone.action),
+      next: nextMilestone
+        ? { ...nextMilestone, pointsRemaining: nextMilestone.points - last24Months.points }
+        : null
+    },
+    reportsConsidered: factors.length,
+    calculatedAt: now.toISOString()
+  }
+}
+
+async function getCompanyRiskThreshold(companyId) {
+  const { data: company, error } = await supabase
+    .from('companies')
+    .select('settings')
+    .eq('id', companyId)
+    .single()
+
+  if (error) {
+    throw new Error(`Company not found: ${error.message}`)
+  }
+
+  return company.settings?.notifications?.riskThreshold ?? DEFAULT_COMPANY_SETTINGS.notifications.riskThreshold
+}
+
+// Open threshold alert of a driver, if any
+async function findOpenRiskAlert(companyId, userId) {
+  const { data: alert, error } = await supabase
+    .from('fleet_alerts')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('user_id', userId)
+    .eq('type', 'risk_threshold')
+    .is('resolved_at', null)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to load risk alert: ${error.message}`)
+  }
+
+  return alert
+}
+
+// Raise the threshold alert, or return the driver's open one
+// (unique index on open alerts, so retried or concurrent evaluations never duplicate it;
+// notifications are de-duplicated by alert id)
+async function createRiskAlert(companyId, userId, risk) {
+  const { data: alert, error } = await supabase
+    .from('fleet_alerts')
+    .insert([
+      {
+        id: uuidv4(),
+        company_id: companyId,
+        user_id: userId,
+        type: 'risk_threshold',
+        severity: risk.licenseStatus.reached.length > 0 ? 'critical' : 'high',
+        title: `Driver risk score ${risk.score} crossed the threshold of ${risk.threshold}`,
+        payload: {
+          score: risk.score,
+          threshold: risk.threshold,
+          breakdown: risk.breakdown,
+          licenseStatus: risk.licenseStatus
+        },
+        created_at: new Date().toISOString()
+      }
+    ])
+    .select()
+    .single()
+
+  if (error) {
+    if (error.code === '23505') return findOpenRiskAlert(companyId, userId)
+    throw new Error(`Failed to create risk alert: ${error.message}`)
+  }
+
+  console.log(`🚨 Risk alert for driver ${userId} (company ${companyId}): score ${risk.score} >= ${risk.threshold}`)
+  return alert
+}
+
+// Close the driver's open threshold alert once the score is back below the threshold
+async function resolveRiskAlerts(companyId, userId) {
+  const { error } = await supabase
+    .from('fleet_alerts')
+    .update({ resolved_at: new Date().toISOString() })
+    .eq('company_id', companyId)
+    .eq('user_id', userId)
+    .eq('type', 'risk_threshold')
+    .is('resolved_at', null)
+
+  if (error) {
+    throw new Error(`Failed to resolve risk alerts: ${error.message}`)
+  }
+}
+
+/**
+ * Recalculate a driver's risk, store it, and raise an alert if the threshold was crossed
+ * (an alert fires once per crossing: the score must drop below the threshold to resolve and re-arm it)
+ * The alert is handled before the score is stored, so a failed evaluation can be retried without losing it.
+ */
+export const evaluateDriverRisk = async (userId, companyId) => {
+  try {
+    const { data: reports, error } = await supabase
+      .from('reports')
+      .select('id, created_at, ocr_results, analysis_results')
+      .eq('user_id', userId)
+      .eq('company_id', companyId)
+      .eq('status', 'complete')
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    const threshold = await getCompanyRiskThreshold(companyId)
+    const risk = calculateDriverRisk(reports, threshold)
+
+    let alert = null
+    if (risk.score >= threshold) {
+      alert = await createRiskAlert(companyId, userId, risk)
+    } else {
+      await resolveRiskAlerts(companyId, userId)
+    }
+
+    const { error: upsertError } = await supabase
+      .from('driver_risk_scores')
+      .upsert({
+        user_id: userId,
+        company_id: companyId,
+        score: risk.score,
+        level: risk.level,
+        points: risk.breakdown.points,
+        details: risk,
+        updated_at: new Date().toISOString()
+      })
+
+    if (upsertError) {
+      return { success: false, error: upsertError.message }
+    }
+
+    return { success: true, risk, alert }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Stored risk scores of all company drivers, highest first
+export const getCompanyRiskScores = async (companyId) => {
+  try {
+    const { data: scores, error } = await supabase
+      .from('driver_risk_scores')
+      .select('*, driver:users(id, email, first_name, last_name, license_number)')
+      .eq('company_id', companyId)
+      .order('score', { ascending: false })
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, scores }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Company alerts, newest first (optionally only unacknowledged)
+export const getCompanyAlerts = async (companyId, options = {}) => {
+  try {
+    const { unacknowledgedOnly = false, limit = 50, offset = 0 } = options
+
+    // user_id and acknowledged_by both reference users: embed the driver explicitly
+    let query = supabase
+      .from('fleet_alerts')
+      .select('*, driver:users!user_id(id, email, first_name, last_name)')
+      .eq('company_id', companyId)
+
+    if (unacknowledgedOnly) {
+      query = query.is('acknowledged_at', null)
+    }
+
+    const { data: alerts, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, alerts }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+export const acknowledgeAlert = async (companyId, alertId, userId) => {
+  try {
+    const { data: alert, error } = await supabase
+      .from('fleet_alerts')
+      .update({
+        acknowledged_at: new Date().toISOString(),
+        acknowledged_by: userId
+      })
+      .eq('id', alertId)
+      .eq('company_id', companyId)
+      .select()
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, alert }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
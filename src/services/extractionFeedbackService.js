@@ -0,0 +1,256 @@
+import { supabase } from '../config/supabase.js'
+import dotenv from 'dotenv'
+import { v4 as uuidv4 } from 'uuid'
+
+dotenv.config()
+
+/**
+ * Extraction Feedback Service - Learns from the fields users correct before analysis
+ * Each analysis request is a review of the extracted fields: one `field_corrections` row per field,
+ * with `corrected` false when the user kept the extracted value. The rows give per-field and
+ * per-pipeline accuracy, and the most common corrections become few-shot examples for the extractor.
+ */
+
+export const FEEDBACK_CONFIG = {
+  fewShotExamples: parseInt(process.env.EXTRACTION_FEWSHOT_EXAMPLES) || 8,
+  // A correction must repeat this often before it is used as an example
+  minOccurrences: parseInt(process.env.EXTRACTION_FEWSHOT_MIN_OCCURRENCES) || 2,
+  windowDays: parseInt(process.env.EXTRACTION_FEWSHOT_WINDOW_DAYS) || 180,
+  cacheTtlMs: 10 * 60 * 1000
+}
+
+// Personal details are never aggregated or sent to the LLM as examples
+const PERSONAL_FIELDS = ['driverName', 'licenseNumber', 'vehiclePlate', 'idNumber']
+
+// field_corrections grows by one row per field of every analyzed report: it is read in pages
+const CORRECTIONS_PAGE_SIZE = 1000
+
+let examplesCache = { examples: null, loadedAt: 0 }
+
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null
+  if (typeof value === 'object') return null
+  const text = String(value).trim()
+  return text === '' ? null : text
+}
+
+/**
+ * One review row per field extracted or corrected on a report
+ */
+export function buildFieldReviews(report, correctedFields = {}, userId = null) {
+  const ocrResults = report.ocr_results || {}
+  const extractedFields = ocrResults.extractedFields || {}
+  const confidenceScores = ocrResults.confidenceScores || {}
+  const corrections = correctedFields || {}
+
+  const fields = new Set([
+    ...Object.keys(extractedFields),
+    ...Object.keys(corrections).filter(field => normalizeValue(corrections[field]) !== null)
+  ])
+
+  return [...fields].map(field => {
+    const originalValue = normalizeValue(extractedFields[field])
+    const correctedValue = field in corrections ? normalizeValue(corrections[field]) : originalValue
+    const corrected = correctedValue !== null && correctedValue !== originalValue
+
+    return {
+      report_id: report.id,
+      user_id: userId,
+      field,
+      original_value: originalValue,
+      corrected_value: corrected ? correctedValue : null,
+      corrected,
+      confidence: typeof confidenceScores[field] === 'number' ? confidenceScores[field] : null,
+      pipeline: ocrResults.processingInfo?.pipeline || null,
+      ocr_provider: ocrResults.processingInfo?.ocrProvider || null
+    }
+  })
+}
+
+// Store the review of a report's fields (a later review of the same report replaces it)
+export const recordFieldCorrections = async (report, correctedFields, userId = null) => {
+  try {
+    if (!report.ocr_results) {
+      return { success: true, recorded: 0 }
+    }
+
+    const reviews = buildFieldReviews(report, correctedFields, userId)
+
+    const { error: deleteError } = await supabase
+      .from('field_corrections')
+      .delete()
+      .eq('report_id', report.id)
+
+    if (deleteError) {
+      return { success: false, error: deleteError.message }
+    }
+
+    if (reviews.length === 0) {
+      return { success: true, recorded: 0, corrected: 0 }
+    }
+
+    const now = new Date().toISOString()
+    const { error } = await supabase
+      .from('field_corrections')
+      .insert(reviews.map(review => ({ id: uuidv4(), ...review, created_at: now })))
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return {
+      success: true,
+      recorded: reviews.length,
+      corrected: reviews.filter(review => review.corrected).length
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+function accuracyGroup(key) {
+  return { ...key, reviewed: 0, corrected: 0, missed: 0, confidenceSum: 0, confidenceCount: 0 }
+}
+
+function finishGroup({ confidenceSum, confidenceCount, ...group }) {
+  return {
+    ...group,
+    accuracy: group.reviewed > 0 ? Math.round(((group.reviewed - group.corrected) / group.reviewed) * 10000) / 10000 : null,
+    avgConfidence: confidenceCount > 0 ? Math.round((confidenceSum / confidenceCount) * 10000) / 10000 : null
+  }
+}
+
+/**
+ * Aggregate review rows into accuracy per field, per pipeline and per field and pipeline
+ * missed = the extractor returned nothing and the user filled the field in
+ */
+export function summarizeFieldAccuracy(rows) {
+  const byField = {}
+  const byPipeline = {}
+  const byFieldAndPipeline = {}
+
+  rows.forEach(row => {
+    const pipeline = row.pipeline || 'unknown'
+    const groups = [
+      byField[row.field] ||= accuracyGroup({ field: row.field }),
+      byPipeline[pipeline] ||= accuracyGroup({ pipeline }),
+      byFieldAndPipeline[`${row.field}:${pipeline}`] ||= accuracyGroup({ field: row.field, pipeline })
+    ]
+
+    groups.forEach(group => {
+      group.reviewed++
+      if (row.corrected) group.corrected++
+      if (row.corrected && row.original_value === null) group.missed++
+      if (row.confidence !== null && row.confidence !== undefined) {
+        group.confidenceSum += Number(row.confidence)
+        group.confidenceCount++
+      }
+    })
+  })
+
+  const byAccuracy = (a, b) => (a.accuracy ?? 1) - (b.accuracy ?? 1)
+
+  return {
+    reviewedReports: new Set(rows.map(row => row.report_id)).size,
+    byField: Object.values(byField).map(finishGroup).sort(byAccuracy),
+    byPipeline: Object.values(byPipeline).map(finishGroup).sort(byAccuracy),
+    byFieldAndPipeline: Object.values(byFieldAndPipeline).map(finishGroup).sort(byAccuracy)
+  }
+}
+
+// Read every row of a query page by page (the API returns at most 1000 rows per request)
+async function selectAllRows(buildQuery) {
+  const rows = []
+  for (let offset = 0; ; offset += CORRECTIONS_PAGE_SIZE) {
+    const { data: page, error } = await buildQuery()
+      .order('id', { ascending: true })
+      .range(offset, offset + CORRECTIONS_PAGE_SIZE - 1)
+
+    if (error) {
+      throw new Error(error.message)
+    }
+
+    rows.push(...page)
+    if (page.length < CORRECTIONS_PAGE_SIZE) return rows
+  }
+}
+
+// Field accuracy for reviews created between two ISO timestamps
+export const getExtractionAccuracy = async (from, to) => {
+  try {
+    const rows = await selectAllRows(() => supabase
+      .from('field_corrections')
+      .select('report_id, field, original_value, corrected, confidence, pipeline')
+      .gte('created_at', from)
+      .lte('created_at', to))
+
+    return { success: true, ...summarizeFieldAccuracy(rows) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Most frequent (field, extracted value → corrected value) pairs of the last windowDays
+ * options: { limit, minOccurrences }
+ */
+export const getCommonCorrections = async (options = {}) => {
+  try {
+    const { limit = FEEDBACK_CONFIG.fewShotExamples, minOccurrences = FEEDBACK_CONFIG.minOccurrences } = options
+    const since = new Date(Date.now() - FEEDBACK_CONFIG.windowDays * 24 * 60 * 60 * 1000).toISOString()
+
+    const rows = await selectAllRows(() => supabase
+      .from('field_corrections')
+      .select('field, original_value, corrected_value, pipeline')
+      .eq('corrected', true)
+      .not('field', 'in', `(${PERSONAL_FIELDS.join(',')})`)
+      .gte('created_at', since))
+
+    const groups = {}
+    rows.forEach(row => {
+      const key = JSON.stringify([row.field, row.original_value, row.corrected_value])
+      if (!groups[key]) {
+        groups[key] = {
+          field: row.field,
+          originalValue: row.original_value,
+          correctedValue: row.corrected_value,
+          count: 0,
+          pipelines: {}
+        }
+      }
+      groups[key].count++
+      groups[key].pipelines[row.pipeline || 'unknown'] = (groups[key].pipelines[row.pipeline || 'unknown'] || 0) + 1
+    })
+
+    const corrections = Object.values(groups)
+      .filter(group => group.count >= minOccurrences)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit)
+
+    return { success: true, corrections }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Few-shot examples for the extraction prompt (cached; empty when unavailable)
+ */
+export async function getFewShotExamples() {
+  if (examplesCache.examples && Date.now() - examplesCache.loadedAt < FEEDBACK_CONFIG.cacheTtlMs) {
+    return examplesCache.examples
+  }
+
+  const result = await getCommonCorrections()
+  if (!result.success) {
+    console.warn('⚠️ Failed to load extraction examples:', result.error)
+    return examplesCache.examples || []
+  }
+
+  examplesCache = { examples: result.corrections, loadedAt: Date.now() }
+  return result.corrections
+}
+
+export function clearFewShotCache() {
+  examplesCache = { examples: null, loadedAt: 0 }
+}
@@ -0,0 +1,220 @@
+// File Storage Service - Persists original uploaded documents
+// Drivers: local disk (dev/tests), Supabase Storage, S3-compatible object storage
+import fs from 'fs/promises'
+import path from 'path'
+import dotenv from 'dotenv'
+import { v4 as uuidv4 } from 'uuid'
+import { supabase } from '../config/supabase.js'
+
+dotenv.config()
+
+export const STORAGE_CONFIG = {
+  driver: process.env.FILE_STORAGE_DRIVER || 'local',
+  localPath: process.env.FILE_STORAGE_PATH || path.join(process.cwd(), 'uploads'),
+  bucket: process.env.FILE_STORAGE_BUCKET || 'documents',
+  s3: {
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  }
+}
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+}
+
+/**
+ * Local disk driver
+ */
+const localDriver = {
+  resolvePath(key) {
+    const basePath = path.resolve(STORAGE_CONFIG.localPath)
+    const filePath = path.resolve(basePath, key)
+
+    // Keys are generated by us, but never allow escaping the storage directory
+    if (!filePath.startsWith(basePath + path.sep)) {
+      throw new Error('Invalid storage key')
+    }
+    return filePath
+  },
+
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(filePath, buffer)
+  },
+
+  async get(key) {
+    return fs.readFile(this.resolvePath(key))
+  },
+
+  async remove(key) {
+    await fs.rm(this.resolvePath(key), { force: true })
+  }
+}
+
+/**
+ * Supabase Storage driver
+ */
+const supabaseDriver = {
+  async put(key, buffer, mimetype) {
+    const { error } = await supabase.storage
+      .from(STORAGE_CONFIG.bucket)
+      .upload(key, buffer, { contentType: mimetype, upsert: false })
+
+    if (error) {
+      throw new Error(error.message)
+    }
+  },
+
+  async get(key, bucket) {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .download(key)
+
+    if (error) {
+      throw new Error(error.message)
+    }
+    return Buffer.from(await data.arrayBuffer())
+  },
+
+  async remove(key, bucket) {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .remove([key])
+
+    if (error) {
+      throw new Error(error.message)
+    }
+  }
+}
+
+/**
+ * S3-compatible driver (AWS S3, MinIO, Cloudflare R2...)
+ * The SDK is only loaded when this driver is selected
+ */
+let s3Client = null
+async function getS3Client() {
+  if (!s3Client) {
+    const { S3Client } = await import('@aws-sdk/client-s3')
+    s3Client = new S3Client({
+      region: STORAGE_CONFIG.s3.region,
+      endpoint: STORAGE_CONFIG.s3.endpoint,
+      forcePathStyle: Boolean(STORAGE_CONFIG.s3.endpoint),
+      credentials: STORAGE_CONFIG.s3.accessKeyId
+        ? {
+            accessKeyId: STORAGE_CONFIG.s3.accessKeyId,
+            secretAccessKey: STORAGE_CONFIG.s3.secretAccessKey
+          }
+        : undefined
+    })
+  }
+  return s3Client
+}
+
+const s3Driver = {
+  async put(key, buffer, mimetype) {
+    const { PutObjectCommand } = await import('@aws-sdk/client-s3')
+    const client = await getS3Client()
+    await client.send(new PutObjectCommand({
+      Bucket: STORAGE_CONFIG.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: mimetype
+    }))
+  },
+
+  async get(key, bucket) {
+    const { GetObjectCommand } = await import('@aws-sdk/client-s3')
+    const client = await getS3Client()
+    const response = await client.send(new GetObjectCommand({
+      Bucket: bucket,
+      Key: key
+    }))
+    return Buffer.from(await response.Body.transformToByteArray())
+  },
+
+  async remove(key, bucket) {
+    const { DeleteObjectCommand } = await import('@aws-sdk/client-s3')
+    const client = await getS3Client()
+    await client.send(new DeleteObjectCommand({
+      Bucket: bucket,
+      Key: key
+    }))
+  }
+}
+
+const DRIVERS = {
+  local: localDriver,
+  supabase: supabaseDriver,
+  s3: s3Driver
+}
+
+function getDriver(name) {
+  const driver = DRIVERS[name]
+  if (!driver) {
+    throw new Error(`Unknown file storage driver: ${name}`)
+  }
+  return driver
+}
+
+// Build a unique storage key grouped by user
+export function buildStorageKey(userId, mimetype) {
+  const extension = EXTENSIONS[mimetype] || ''
+  return `${userId}/${uuidv4()}${extension}`
+}
+
+// Store an uploaded document with the configured driver
+export const storeFile = async (userId, fileInfo) => {
+  try {
+    const driverName = STORAGE_CONFIG.driver
+    const key = buildStorageKey(userId, fileInfo.mimetype)
+
+    await getDriver(driverName).put(key, fileInfo.buffer, fileInfo.mimetype)
+
+    console.log(`💾 Stored file (${driverName}): ${key}`)
+    return {
+      success: true,
+      storage: {
+        driver: driverName,
+        key,
+        bucket: driverName === 'local' ? null : STORAGE_CONFIG.bucket
+      }
+    }
+  } catch (error) {
+    console.error('❌ Failed to store document:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Retrieve a stored document using the driver and bucket it was saved with
+export const retrieveFile = async (storage) => {
+  try {
+    if (!storage?.key) {
+      return { success: false, error: 'No stored file for this report' }
+    }
+
+    const buffer = await getDriver(storage.driver || STORAGE_CONFIG.driver).get(storage.key, storage.bucket || STORAGE_CONFIG.bucket)
+    return { success: true, buffer }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Delete a stored document
+export const deleteFile = async (storage) => {
+  try {
+    if (!storage?.key) {
+      return { success: true }
+    }
+
+    await getDriver(storage.driver || STORAGE_CONFIG.driver).remove(storage.key, storage.bucket || STORAGE_CONFIG.bucket)
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
@@ -0,0 +1,274 @@
+import { supabase } from '../config/supabase.js'
+import { v4 as uuidv4 } from 'uuid'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+/**
+ * Job Queue Service - Persistent background jobs processed by an in-process worker
+ * Jobs live in the `jobs` table so they survive restarts; failed attempts are
+ * retried with exponential backoff until max_attempts is reached.
+ */
+
+export const JOB_CONFIG = {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+  backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 5000,
+  // A running job whose lock is older than this is considered abandoned (e.g. after a crash)
+  staleLockMs: parseInt(process.env.JOB_STALE_LOCK_MS) || 10 * 60 * 1000
+}
+
+const handlers = new Map()
+let activeJobs = 0
+let pollTimer = null
+let polling = false
+let lastPollError = null
+
+// Register the function that processes jobs of a given type
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler)
+}
+
+// Add a job to the queue
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  try {
+    const { data: job, error } = await supabase
+      .from('jobs')
+      .insert([
+        {
+          id: uuidv4(),
+          type,
+          report_id: options.reportId || null,
+          payload,
+          status: 'queued',
+          attempts: 0,
+          max_attempts: options.maxAttempts || JOB_CONFIG.maxAttempts,
+          run_at: new Date().toISOString(),
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single()
+
+    if (error) {
+      // Unique index on the active OCR / analysis job of a report
+      if (error.code === '23505') {
+        return { success: false, duplicate: true, error: 'A job for this report is already queued or running' }
+      }
+      return { success: false, error: error.message }
+    }
+
+    console.log(`📥 Job queued: ${type} (${job.id})`)
+
+    // Pick the job up right away instead of waiting for the next poll
+    if (pollTimer) {
+      setImmediate(pollJobs)
+    }
+
+    return { success: true, job }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Get job by ID
+export const getJobById = async (jobId) => {
+  try {
+    const { data: job, error } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', jobId)
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, job }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Queued or running jobs of a report (optionally only of the given types)
+export const getActiveReportJobs = async (reportId, types = null) => {
+  try {
+    let query = supabase
+      .from('jobs')
+      .select('id, type, status, attempts, created_at')
+      .eq('report_id', reportId)
+      .in('status', ['queued', 'running'])
+
+    if (types) query = query.in('type', types)
+
+    const { data: jobs, error } = await query.order('created_at', { ascending: true })
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, jobs }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Atomically claim a queued job (only one worker wins the status transition)
+async function claimJob(job) {
+  const { data, error } = await supabase
+    .from('jobs')
+    .update({
+      status: 'running',
+      attempts: job.attempts + 1,
+      locked_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+    .eq('status', 'queued')
+    .select()
+
+  if (error || !data || data.length === 0) {
+    return null
+  }
+  return data[0]
+}
+
+async function completeJob(job, result) {
+  await supabase
+    .from('jobs')
+    .update({
+      status: 'completed',
+      result: result || null,
+      last_error: null,
+      locked_at: null,
+      completed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+}
+
+async function failJob(job, error) {
+  const willRetry = job.attempts < job.max_attempts
+  const delay = JOB_CONFIG.backoffBaseMs * Math.pow(2, job.attempts - 1)
+
+  await supabase
+    .from('jobs')
+    .update({
+      status: willRetry ? 'queued' : 'failed',
+      last_error: error.message,
+      locked_at: null,
+      run_at: willRetry ? new Date(Date.now() + delay).toISOString() : job.run_at,
+      completed_at: willRetry ? null : new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+
+  return willRetry
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type)
+  activeJobs++
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`)
+    }
+
+    const result = await handler.process(job)
+    await completeJob(job, result)
+    console.log(`✅ Job completed: ${job.type} (${job.id})`)
+  } catch (error) {
+    const willRetry = await failJob(job, error)
+
+    if (willRetry) {
+      console.warn(`⚠️ Job ${job.type} (${job.id}) failed on attempt ${job.attempts}/${job.max_attempts}, retrying: ${error.message}`)
+    } else {
+      console.error(`❌ Job ${job.type} (${job.id}) failed permanently: ${error.message}`)
+      if (handler?.onFailure) {
+        await handler.onFailure(job, error)
+      }
+    }
+  } finally {
+    activeJobs--
+    if (pollTimer) {
+      setImmediate(pollJobs)
+    }
+  }
+}
+
+// Fetch due jobs and start as many as the concurrency limit allows
+async function pollJobs() {
+  if (polling || activeJobs >= JOB_CONFIG.concurrency) return
+  polling = true
+
+  try {
+    const { data: jobs, error } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('status', 'queued')
+      .lte('run_at', new Date().toISOString())
+      .order('run_at', { ascending: true })
+      .limit(JOB_CONFIG.concurrency - activeJobs)
+
+    if (error) {
+      // Avoid flooding the log with the same error on every poll
+      if (error.message !== lastPollError) {
+        console.error('❌ Job polling failed:', error.message)
+        lastPollError = error.message
+      }
+      return
+    }
+    lastPollError = null
+
+    for (const job of jobs) {
+      const claimedJob = await claimJob(job)
+      if (claimedJob) {
+        runJob(claimedJob)
+      }
+    }
+  } catch (error) {
+    console.error('❌ Job polling error:', error)
+  } finally {
+    polling = false
+  }
+}
+
+// Requeue jobs left in `running` by a worker that died mid-job
+async function recoverStaleJobs() {
+  const staleBefore = new Date(Date.now() - JOB_CONFIG.staleLockMs).toISOString()
+
+  const { data, error } = await supabase
+    .from('jobs')
+    .update({
+      status: 'queued',
+      locked_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('status', 'running')
+    .lt('locked_at', staleBefore)
+    .select('id')
+
+  if (!error && data?.length > 0) {
+    console.log(`🔄 Requeued ${data.length} stale job(s)`)
+  }
+}
+
+// Start the in-process worker
+export async function startJobWorker() {
+  if (pollTimer) return
+
+  await recoverStaleJobs()
+  pollTimer = setInterval(pollJobs, JOB_CONFIG.pollIntervalMs)
+  console.log(`⚙️  Job worker started (concurrency: ${JOB_CONFIG.concurrency})`)
+}
+
+// Stop polling for new jobs (running jobs are allowed to finish)
+export function stopJobWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer)
+    pollTimer = null
+  }
+}
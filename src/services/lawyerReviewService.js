@@ -0,0 +1,287 @@
+import { supabase } from '../config/supabase.js'
+import { startPaymentWorkflow } from './paymentService.js'
+
+/**
+ * Lawyer Review Service - Human review of the AI analysis by a lawyer
+ * Drivers share a report with a lawyer (reports.assigned_lawyer_id); the review is kept in reports.lawyer_review:
+ * lawyer_review: { status: assigned | in_review | completed, lawyerId, lawyerName, sharedBy, sharedAt, note,
+ *                  annotations: [{ issueIndex, agrees, comment }], additionalIssues, assessmentOverride,
+ *                  verdict: { recommendation, summary, returnedAt }, updatedAt }
+ */
+
+export const REVIEW_STATUSES = ['assigned', 'in_review', 'completed']
+
+const RECOMMENDATIONS = ['appeal', 'pay', 'uncertain']
+const PROBABILITIES = ['high', 'medium', 'low']
+const IMPACTS = ['high', 'medium', 'low']
+
+const updateReportReview = async (reportId, fields) => {
+  try {
+    const { data: report, error } = await supabase
+      .from('reports')
+      .update({
+        ...fields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', reportId)
+      .select()
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, report }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Short case entry for the lawyer's queue
+export function buildCaseSummary(report) {
+  const extractedFields = report.ocr_results?.extractedFields || {}
+  const review = report.lawyer_review || {}
+
+  return {
+    reportId: report.id,
+    userId: report.user_id,
+    reportStatus: report.status,
+    reportNumber: extractedFields.reportNumber || null,
+    violationType: extractedFields.violationType || null,
+    violationDate: extractedFields.violationDate || null,
+    fineAmount: extractedFields.fineAmount || null,
+    aiRecommendation: report.analysis_results?.appealAssessment?.recommendation || null,
+    appealStatus: report.appeal?.status || 'not_started',
+    appealDeadline: report.appeal_deadline || null,
+    reviewStatus: review.status || null,
+    sharedAt: review.sharedAt || null,
+    note: review.note || null
+  }
+}
+
+/**
+ * Share a report with a lawyer (replaces any earlier assignment that was not completed)
+ * options: { sharedBy, note }
+ */
+export const shareReportWithLawyer = async (report, lawyer, options = {}) => {
+  if (lawyer.role !== 'lawyer') {
+    return { success: false, invalidReview: true, error: 'Reports can only be shared with lawyer accounts' }
+  }
+
+  if (report.lawyer_review?.status === 'completed' && report.assigned_lawyer_id === lawyer.id) {
+    return { success: false, invalidReview: true, error: 'This lawyer has already reviewed the report' }
+  }
+
+  return updateReportReview(report.id, {
+    assigned_lawyer_id: lawyer.id,
+    lawyer_review: {
+      status: 'assigned',
+      lawyerId: lawyer.id,
+      lawyerName: [lawyer.first_name, lawyer.last_name].filter(Boolean).join(' ') || lawyer.email,
+      sharedBy: options.sharedBy || null,
+      sharedAt: new Date().toISOString(),
+      note: options.note || null,
+      annotations: [],
+      additionalIssues: [],
+      assessmentOverride: null,
+      verdict: null,
+      updatedAt: new Date().toISOString()
+    }
+  })
+}
+
+// Withdraw a report from its lawyer (completed reviews stay with the report)
+export const unshareReport = async (report) => {
+  if (!report.assigned_lawyer_id) {
+    return { success: false, invalidReview: true, error: 'This report is not shared with a lawyer' }
+  }
+
+  if (report.lawyer_review?.status === 'completed') {
+    return { success: false, invalidReview: true, error: 'The lawyer has already returned a verdict' }
+  }
+
+  return updateReportReview(report.id, {
+    assigned_lawyer_id: null,
+    lawyer_review: null
+  })
+}
+
+/**
+ * Reports shared with a lawyer, oldest first
+ * options: { status, limit, offset }
+ */
+export const getLawyerCases = async (lawyerId, options = {}) => {
+  try {
+    const { status, limit = 50, offset = 0 } = options
+
+    let query = supabase
+      .from('reports')
+      .select('id, user_id, status, ocr_results, analysis_results, appeal, appeal_deadline, lawyer_review', { count: 'exact' })
+      .eq('assigned_lawyer_id', lawyerId)
+
+    if (status) {
+      query = query.eq('lawyer_review->>status', status)
+    }
+
+    const { data: reports, count, error } = await query
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, cases: reports.map(buildCaseSummary), total: count }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Validate review input against the report's technical issues
+ * Returns an error message or null
+ */
+export function validateReview(report, review) {
+  const issueCount = report.analysis_results?.technicalIssues?.length || 0
+
+  for (const annotation of review.annotations || []) {
+    if (!Number.isInteger(annotation.issueIndex) || annotation.issueIndex < 0 || annotation.issueIndex >= issueCount) {
+      return `annotations[].issueIndex must refer to one of the ${issueCount} technical issues`
+    }
+    if (annotation.agrees !== undefined && typeof annotation.agrees !== 'boolean') {
+      return 'annotations[].agrees must be a boolean'
+    }
+  }
+
+  for (const issue of review.additionalIssues || []) {
+    if (!issue.description) {
+      return 'additionalIssues[].description is required'
+    }
+    if (issue.impact && !IMPACTS.includes(issue.impact)) {
+      return `additionalIssues[].impact must be one of: ${IMPACTS.join(', ')}`
+    }
+  }
+
+  const override = review.assessmentOverride
+  if (override) {
+    if (!RECOMMENDATIONS.includes(override.recommendation)) {
+      return `assessmentOverride.recommendation must be one of: ${RECOMMENDATIONS.join(', ')}`
+    }
+    if (override.probability && !PROBABILITIES.includes(override.probability)) {
+      return `assessmentOverride.probability must be one of: ${PROBABILITIES.join(', ')}`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Save the lawyer's work in progress
+ * review: { annotations, additionalIssues, assessmentOverride }
+ */
+export const saveLawyerReview = async (report, review) => {
+  if (report.lawyer_review?.status === 'completed') {
+    return { success: false, invalidReview: true, error: 'The review has already been completed' }
+  }
+
+  const validationError = validateReview(report, review)
+  if (validationError) {
+    return { success: false, invalidReview: true, error: validationError }
+  }
+
+  const current = report.lawyer_review || {}
+  return updateReportReview(report.id, {
+    lawyer_review: {
+      ...current,
+      status: 'in_review',
+      annotations: review.annotations ?? current.annotations ?? [],
+      additionalIssues: review.additionalIssues ?? current.additionalIssues ?? [],
+      assessmentOverride: review.assessmentOverride !== undefined ? review.assessmentOverride : current.assessmentOverride || null,
+      updatedAt: new Date().toISOString()
+    }
+  })
+}
+
+// Analysis results with the lawyer's annotations and assessment applied (the AI assessment is kept aside)
+export function applyReviewToAnalysis(analysisResults, review) {
+  const annotations = new Map((review.annotations || []).map(annotation => [annotation.issueIndex, annotation]))
+
+  const technicalIssues = (analysisResults.technicalIssues || []).map((issue, index) => {
+    const annotation = annotations.get(index)
+    return annotation
+      ? { ...issue, lawyerReview: { agrees: annotation.agrees ?? null, comment: annotation.comment || null } }
+      : issue
+  })
+
+  const additionalIssues = (review.additionalIssues || []).map(issue => ({
+    type: issue.type || 'lawyer_identified',
+    description: issue.description,
+    impact: issue.impact || 'medium',
+    legalReference: issue.legalReference || null,
+    source: 'lawyer'
+  }))
+
+  return {
+    ...analysisResults,
+    technicalIssues: [...technicalIssues, ...additionalIssues],
+    aiAppealAssessment: analysisResults.aiAppealAssessment || analysisResults.appealAssessment,
+    appealAssessment: {
+      ...(analysisResults.appealAssessment || {}),
+      ...(review.assessmentOverride || {}),
+      recommendation: review.verdict.recommendation,
+      source: 'lawyer',
+      reviewedBy: review.lawyerId,
+      reviewedAt: review.verdict.returnedAt
+    }
+  }
+}
+
+/**
+ * Complete the review and return the verdict to the driver
+ * verdict: { recommendation, summary } plus any final review fields
+ */
+export const submitLawyerVerdict = async (report, verdict) => {
+  if (report.lawyer_review?.status === 'completed') {
+    return { success: false, invalidReview: true, error: 'The review has already been completed' }
+  }
+
+  if (!RECOMMENDATIONS.includes(verdict.recommendation)) {
+    return { success: false, invalidReview: true, error: `recommendation must be one of: ${RECOMMENDATIONS.join(', ')}` }
+  }
+
+  if (!verdict.summary) {
+    return { success: false, invalidReview: true, error: 'summary is required' }
+  }
+
+  const validationError = validateReview(report, verdict)
+  if (validationError) {
+    return { success: false, invalidReview: true, error: validationError }
+  }
+
+  const current = report.lawyer_review || {}
+  const now = new Date().toISOString()
+  const review = {
+    ...current,
+    status: 'completed',
+    annotations: verdict.annotations ?? current.annotations ?? [],
+    additionalIssues: verdict.additionalIssues ?? current.additionalIssues ?? [],
+    assessmentOverride: verdict.assessmentOverride !== undefined ? verdict.assessmentOverride : current.assessmentOverride || null,
+    verdict: {
+      recommendation: verdict.recommendation,
+      summary: verdict.summary,
+      returnedAt: now
+    },
+    updatedAt: now
+  }
+
+  const updateResult = await updateReportReview(report.id, {
+    lawyer_review: review,
+    analysis_results: applyReviewToAnalysis(report.analysis_results || {}, review)
+  })
+
+  if (updateResult.success && verdict.recommendation === 'pay') {
+    await startPaymentWorkflow(updateResult.report, 'lawyer_verdict')
+  }
+
+  return updateResult
+}
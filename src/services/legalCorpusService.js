@@ -0,0 +1,611 @@
+import { supabase } from '../config/supabase.js'
+import dotenv from 'dotenv'
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { createEmbedding, LLM_CONFIG } from './llmProviders/index.js'
+import { normalizeHebrewText } from './textPreprocessingService.js'
+import { runOCR } from './ocrProviders/index.js'
+import { recordAIUsage } from './usageService.js'
+
+dotenv.config()
+
+/**
+ * Legal Corpus Service - Loads legal documents into `data_chunks` for semantic search
+ * Documents are split by section (סעיף / תקנה / פרק), long sections into overlapping chunks.
+ * Each chunk is keyed by a hash of the text that gets embedded, so re-running an ingestion
+ * only embeds new or changed chunks and never duplicates rows.
+ */
+
+export const CORPUS_CONFIG = {
+  // Chunk size and overlap in characters
+  chunkSize: parseInt(process.env.LEGAL_CHUNK_SIZE) || 1200,
+  chunkOverlap: parseInt(process.env.LEGAL_CHUNK_OVERLAP) || 200,
+  // Shorter untitled and chapter sections are merged into the next one
+  minSectionLength: 100,
+  // Chunks looked up / inserted per database request
+  batchSize: 50
+}
+
+export const SUPPORTED_EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.txt': 'text',
+  '.md': 'text',
+  '.html': 'html',
+  '.htm': 'html'
+}
+
+// Section headings in Hebrew legislation and rulings
+const SECTION_HEADING = /^(?:(סעיף|תקנה)\s+(\d+[א-ת]?(?:\s*\([א-ת0-9]+\))*)|(פרק|סימן)\s+([א-ת0-9'"׳״]+)|(\d+[א-ת]?)\.\s)/
+
+const HTML_ENTITIES = { nbsp: ' ', amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' }
+
+// Visible text of an HTML page, one block element per line
+export function htmlToText(html) {
+  return html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|section|article)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&([a-z]+);/gi, (entity, name) => HTML_ENTITIES[name.toLowerCase()] ?? entity)
+}
+
+// Collapse whitespace within lines but keep line breaks (section headings start a line)
+function cleanDocumentText(text) {
+  return text
+    .normalize('NFC')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n')
+}
+
+// Document format from a file name: pdf | text | html (null when unsupported)
+export function getDocumentFormat(fileName) {
+  return SUPPORTED_EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null
+}
+
+/**
+ * Plain text of a document
+ * PDFs go through the configured OCR provider (options.ocrProvider), so scanned rulings work too
+ */
+export async function extractDocumentText(buffer, format, options = {}) {
+  let text
+  if (format === 'pdf') {
+    const ocrResult = await runOCR(buffer, 'application/pdf', options.ocrProvider)
+    text = ocrResult.text
+  } else if (format === 'html') {
+    text = htmlToText(buffer.toString('utf8'))
+  } else {
+    text = buffer.toString('utf8')
+  }
+
+  return cleanDocumentText(text)
+}
+
+export async function loadDocumentText(filePath, options = {}) {
+  const format = getDocumentFormat(filePath)
+  if (!format) {
+    throw new Error(`Unsupported file type: ${filePath} (supported: ${Object.keys(SUPPORTED_EXTENSIONS).join(', ')})`)
+  }
+
+  return { format, text: await extractDocumentText(fs.readFileSync(filePath), format, options) }
+}
+
+/**
+ * Split a document into sections at its headings
+ * Returns [{ heading, reference, text }]; text before the first heading is a section without a reference.
+ * Numbered headings ("54. ...") are תקנה in regulations (title contains תקנות) and סעיף otherwise.
+ */
+export function splitIntoSections(text, title = '') {
+  const numberedLabel = /תקנות/.test(title) ? 'תקנה' : 'סעיף'
+  const sections = []
+  let current = { heading: null, reference: null, chapter: false, lines: [] }
+
+  for (const line of text.split('\n')) {
+    const match = line.match(SECTION_HEADING)
+    if (match) {
+      if (current.lines.length > 0) sections.push(current)
+
+      let reference
+      if (match[1]) reference = `${match[1]} ${match[2].replace(/\s+/g, '')}`
+      else if (match[3]) reference = `${match[3]} ${match[4]}`
+      else reference = `${numberedLabel} ${match[5]}`
+
+      current = { heading: line.slice(0, 80), reference, chapter: Boolean(match[3]), lines: [] }
+    }
+    current.lines.push(line)
+  }
+  if (current.lines.length > 0) sections.push(current)
+
+  // A short untitled or chapter section (document title, פרק line) is kept as context of the next section
+  const merged = []
+  let carried = []
+  sections.forEach(section => {
+    const text = section.lines.join('\n')
+    if ((!section.reference || section.chapter) && text.length < CORPUS_CONFIG.minSectionLength) {
+      carried.push(text)
+      return
+    }
+    merged.push({ heading: section.heading, reference: section.reference, text: [...carried, text].join('\n') })
+    carried = []
+  })
+  if (carried.length > 0) {
+    if (merged.length > 0) merged[merged.length - 1].text += `\n${carried.join('\n')}`
+    else merged.push({ heading: null, reference: null, text: carried.join('\n') })
+  }
+
+  return merged
+}
+
+// Sentence-sized units, so chunk boundaries fall between sentences where possible
+function splitIntoUnits(text, maxLength) {
+  const units = text.split('\n').flatMap(line => (line.match(/[^.!?]+[.!?]*\s*/g) || [line]).concat('\n'))
+
+  return units.flatMap(unit => {
+    if (unit.length <= maxLength) return [unit]
+    const pieces = []
+    for (let start = 0; start < unit.length; start += maxLength) {
+      pieces.push(unit.slice(start, start + maxLength))
+    }
+    return pieces
+  })
+}
+
+/**
+ * Pack text into chunks of at most chunkSize characters; each chunk starts with
+ * up to `overlap` characters of the end of the previous one
+ */
+export function chunkText(text, chunkSize = CORPUS_CONFIG.chunkSize, overlap = CORPUS_CONFIG.chunkOverlap) {
+  if (text.length <= chunkSize) return [text.trim()]
+
+  const units = splitIntoUnits(text, chunkSize)
+  const chunks = []
+  let current = []
+  let length = 0
+
+  for (const unit of units) {
+    if (length + unit.length > chunkSize && current.length > 0) {
+      chunks.push(current.join('').trim())
+
+      // Carry the tail of this chunk into the next one
+      const carried = []
+      let carriedLength = 0
+      for (let i = current.length - 1; i >= 0 && carriedLength + current[i].length <= overlap; i--) {
+        carried.unshift(current[i])
+        carriedLength += current[i].length
+      }
+      current = carried
+      length = carriedLength
+    }
+    current.push(unit)
+    length += unit.length
+  }
+  if (current.length > 0) chunks.push(current.join('').trim())
+
+  return chunks.filter(Boolean)
+}
+
+// The text that is embedded for a chunk (title and reference give the vector its context)
+function getEmbeddingInput(chunk) {
+  return [chunk.title, chunk.legal_reference, chunk.content].filter(Boolean).join('\n')
+}
+
+export function hashChunk(chunk) {
+  return crypto.createHash('sha256').update(normalizeHebrewText(getEmbeddingInput(chunk))).digest('hex')
+}
+
+/**
+ * Build the data_chunks rows of a document
+ * metadata: { title, category, source, legalReference }
+ */
+export function buildDocumentChunks(text, metadata, options = {}) {
+  const { chunkSize = CORPUS_CONFIG.chunkSize, overlap = CORPUS_CONFIG.chunkOverlap } = options
+  const sections = splitIntoSections(text, metadata.title)
+
+  return sections.flatMap(section => {
+    const legalReference = [metadata.legalReference, section.reference].filter(Boolean).join(', ') || null
+    const parts = chunkText(section.text, chunkSize, overlap)
+
+    return parts.map((content, index) => {
+      const chunk = {
+        title: [metadata.title, section.reference].filter(Boolean).join(' - ') +
+          (parts.length > 1 ? ` (${index + 1}/${parts.length})` : ''),
+        content,
+        category: metadata.category || null,
+        source: metadata.source || null,
+        legal_reference: legalReference
+      }
+      return { ...chunk, content_hash: hashChunk(chunk) }
+    })
+  })
+}
+
+// Embedding of a chunk, checked against the data_chunks.embedding dimensions
+async function embedChunk(chunk) {
+  const response = await createEmbedding(getEmbeddingInput(chunk))
+  if (response.embedding.length !== LLM_CONFIG.embeddingDimensions) {
+    throw new Error(`Embedding has ${response.embedding.length} dimensions, expected ${LLM_CONFIG.embeddingDimensions}`)
+  }
+  return {
+    embedding: response.embedding,
+    usageEntry: { task: 'legal_corpus_embedding', model: response.model, usage: response.usage }
+  }
+}
+
+async function findExistingChunks(hashes) {
+  const existing = new Map()
+
+  for (let start = 0; start < hashes.length; start += CORPUS_CONFIG.batchSize) {
+    const { data, error } = await supabase
+      .from('data_chunks')
+      .select('id, content_hash, category, source')
+      .in('content_hash', hashes.slice(start, start + CORPUS_CONFIG.batchSize))
+
+    if (error) {
+      throw new Error(error.message)
+    }
+    data.forEach(row => existing.set(row.content_hash, row))
+  }
+
+  return existing
+}
+
+/**
+ * Embed and store the chunks of a document
+ * options: { dryRun, prune, keepSource, usageContext } - prune deletes chunks of the same source that are no longer
+ * in the document; keepSource refuses a prune that would delete every stored chunk of the source
+ * (returns replacesSource); usageContext ({ userId }) is recorded with the embedding calls
+ * Returns { chunks, inserted, updated, unchanged, pruned, embeddingTokens }
+ */
+export const ingestDocumentChunks = async (chunks, options = {}) => {
+  try {
+    // Identical chunks within one document are stored once
+    const uniqueChunks = [...new Map(chunks.map(chunk => [chunk.content_hash, chunk])).values()]
+
+    if (options.dryRun) {
+      return { success: true, chunks: uniqueChunks.length, inserted: 0, updated: 0, unchanged: 0, pruned: 0, embeddingTokens: 0 }
+    }
+
+    // Stored chunks of the document that are no longer in it, checked before anything is written
+    const source = uniqueChunks[0]?.source
+    let staleIds = []
+    if (options.prune && source) {
+      const currentHashes = new Set(uniqueChunks.map(chunk => chunk.content_hash))
+      const { data: sourceRows, error } = await supabase
+        .from('data_chunks')
+        .select('id, content_hash')
+        .eq('source', source)
+
+      if (error) {
+        return { success: false, error: error.message }
+      }
+
+      staleIds = sourceRows.filter(row => !currentHashes.has(row.content_hash)).map(row => row.id)
+      if (options.keepSource && staleIds.length > 0 && staleIds.length === sourceRows.length) {
+        return {
+          success: false,
+          replacesSource: true,
+          error: `The document shares no chunk with the stored "${source}" - refusing to replace all ${sourceRows.length} of its chunks`
+        }
+      }
+    }
+
+    const existing = await findExistingChunks(uniqueChunks.map(chunk => chunk.content_hash))
+    const newChunks = uniqueChunks.filter(chunk => !existing.has(chunk.content_hash))
+
+    // Same text under a different category or source: update the metadata, keep the embedding
+    const changedChunks = uniqueChunks.filter(chunk => {
+      const row = existing.get(chunk.content_hash)
+      return row && (row.category !== chunk.category || row.source !== chunk.source)
+    })
+
+    for (const chunk of changedChunks) {
+      const { error } = await supabase
+        .from('data_chunks')
+        .update({ category: chunk.category, source: chunk.source })
+        .eq('id', existing.get(chunk.content_hash).id)
+
+      if (error) {
+        return { success: false, error: error.message }
+      }
+    }
+
+    const rows = []
+    const usageEntries = []
+    for (const chunk of newChunks) {
+      const { embedding, usageEntry } = await embedChunk(chunk)
+      rows.push({ ...chunk, embedding })
+      usageEntries.push(usageEntry)
+    }
+
+    for (let start = 0; start < rows.length; start += CORPUS_CONFIG.batchSize) {
+      const { error } = await supabase
+        .from('data_chunks')
+        .upsert(rows.slice(start, start + CORPUS_CONFIG.batchSize), { onConflict: 'content_hash', ignoreDuplicates: true })
+
+      if (error) {
+        return { success: false, error: error.message }
+      }
+    }
+
+    await recordAIUsage(options.usageContext || {}, usageEntries)
+
+    if (staleIds.length > 0) {
+      const { error } = await supabase
+        .from('data_chunks')
+        .delete()
+        .in('id', staleIds)
+
+      if (error) {
+        return { success: false, error: error.message }
+      }
+    }
+
+    return {
+      success: true,
+      chunks: uniqueChunks.length,
+      inserted: rows.length,
+      updated: changedChunks.length,
+      unchanged: uniqueChunks.length - rows.length - changedChunks.length,
+      pruned: staleIds.length,
+      embeddingTokens: usageEntries.reduce((sum, entry) => sum + (entry.usage?.total_tokens || 0), 0)
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Chunk and store the text of one document
+ * metadata: { title, category, source, legalReference }
+ * options: { chunkSize, overlap, dryRun, prune, usageContext }
+ */
+export const ingestLegalText = async (text, metadata, options = {}) => {
+  try {
+    if (!text) {
+      return { success: false, error: 'No text found in document' }
+    }
+
+    const chunks = buildDocumentChunks(text, metadata, options)
+    const result = await ingestDocumentChunks(chunks, options)
+    return { ...result, sections: new Set(chunks.map(chunk => chunk.legal_reference)).size }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Load, chunk and store one document file (options as ingestLegalText, plus ocrProvider)
+export const ingestLegalDocument = async (filePath, metadata, options = {}) => {
+  try {
+    const { format, text } = await loadDocumentText(filePath, options)
+    const result = await ingestLegalText(text, metadata, options)
+    return { ...result, format }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Everything but the embedding
+const CHUNK_COLUMNS = 'id, title, content, category, source, legal_reference, enabled, content_hash, created_at, updated_at'
+
+// Fields legal staff may edit; a change to the embedded text re-embeds the chunk
+export const EDITABLE_CHUNK_FIELDS = ['title', 'content', 'category', 'source', 'legal_reference', 'enabled']
+const EMBEDDED_FIELDS = ['title', 'content', 'legal_reference']
+
+/**
+ * List chunks of the knowledge base
+ * filters: { search, category, source, enabled, limit, offset } - search matches title, content and legal reference
+ */
+export const listChunks = async (filters = {}) => {
+  try {
+    const { search, category, source, enabled, limit = 50, offset = 0 } = filters
+
+    let query = supabase
+      .from('data_chunks')
+      .select(CHUNK_COLUMNS, { count: 'exact' })
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+
+    if (search) {
+      // Characters with a meaning in PostgREST filter syntax are dropped
+      const term = search.replace(/[,()*%\\]/g, ' ').trim()
+      if (term) {
+        query = query.or(`title.ilike.*${term}*,content.ilike.*${term}*,legal_reference.ilike.*${term}*`)
+      }
+    }
+    if (category) query = query.eq('category', category)
+    if (source) query = query.eq('source', source)
+    if (enabled !== undefined) query = query.eq('enabled', enabled)
+
+    const { data, error, count } = await query
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, chunks: data, total: count }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+export const getChunk = async (chunkId) => {
+  try {
+    const { data, error } = await supabase
+      .from('data_chunks')
+      .select(CHUNK_COLUMNS)
+      .eq('id', chunkId)
+      .maybeSingle()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+    if (!data) {
+      return { success: false, notFound: true, error: 'Chunk not found' }
+    }
+
+    return { success: true, chunk: data }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Update a chunk; editing its title, content or legal reference re-embeds it
+ * Returns { chunk, reembedded } - duplicate: true when another chunk already has the new text
+ */
+export const updateChunk = async (chunkId, updates, usageContext = {}) => {
+  try {
+    const current = await getChunk(chunkId)
+    if (!current.success) {
+      return current
+    }
+
+    const changes = Object.fromEntries(
+      EDITABLE_CHUNK_FIELDS
+        .filter(field => updates[field] !== undefined && updates[field] !== current.chunk[field])
+        .map(field => [field, updates[field]])
+    )
+    if (Object.keys(changes).length === 0) {
+      return { success: true, chunk: current.chunk, reembedded: false }
+    }
+
+    const reembed = EMBEDDED_FIELDS.some(field => field in changes)
+    if (reembed) {
+      const updated = { ...current.chunk, ...changes }
+      changes.content_hash = hashChunk(updated)
+
+      const existing = await findExistingChunks([changes.content_hash])
+      const duplicate = existing.get(changes.content_hash)
+      if (duplicate && duplicate.id !== chunkId) {
+        return { success: false, duplicate: true, error: `Chunk ${duplicate.id} already has this text` }
+      }
+
+      const { embedding, usageEntry } = await embedChunk(updated)
+      changes.embedding = embedding
+      await recordAIUsage(usageContext, [usageEntry])
+    }
+
+    const { data, error } = await supabase
+      .from('data_chunks')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', chunkId)
+      .select(CHUNK_COLUMNS)
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, chunk: data, reembedded: reembed }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+export const deleteChunk = async (chunkId) => {
+  try {
+    const { data, error } = await supabase
+      .from('data_chunks')
+      .delete()
+      .eq('id', chunkId)
+      .select('id')
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+    if (data.length === 0) {
+      return { success: false, notFound: true, error: 'Chunk not found' }
+    }
+
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Reports whose analysis cited a chunk (analysis_results.legalContext.chunks)
+ */
+export const getChunkCitations = async (chunkId, options = {}) => {
+  try {
+    const { limit = 50, offset = 0 } = options
+
+    const { data, error, count } = await supabase
+      .from('reports')
+      .select('id, status, created_at, completed_at, violationType:ocr_results->extractedFields->>violationType, legalChunks:analysis_results->legalContext->chunks', { count: 'exact' })
+      .contains('analysis_results', { legalContext: { chunks: [{ id: chunkId }] } })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    const citations = data.map(({ legalChunks, ...report }) => ({
+      reportId: report.id,
+      status: report.status,
+      violationType: report.violationType,
+      similarity: (legalChunks || []).find(chunk => chunk.id === chunkId)?.similarity ?? null,
+      createdAt: report.created_at,
+      completedAt: report.completed_at
+    }))
+
+    return { success: true, citations, total: count }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Reports are read in pages (the API returns at most 1000 rows per request)
+const CITATION_PAGE_SIZE = 1000
+
+/**
+ * Most cited chunks in the analyses of reports created since an ISO timestamp
+ * Returns [{ chunkId, title, legalReference, citations, reportIds }]
+ */
+export const getCitationSummary = async (since, limit = 20) => {
+  try {
+    const data = []
+    for (let offset = 0; ; offset += CITATION_PAGE_SIZE) {
+      const { data: page, error } = await supabase
+        .from('reports')
+        .select('id, legalChunks:analysis_results->legalContext->chunks')
+        .gte('created_at', since)
+        .not('analysis_results', 'is', null)
+        .order('id', { ascending: true })
+        .range(offset, offset + CITATION_PAGE_SIZE - 1)
+
+      if (error) {
+        return { success: false, error: error.message }
+      }
+
+      data.push(...page)
+      if (page.length < CITATION_PAGE_SIZE) break
+    }
+
+    const byChunk = {}
+    data.forEach(report => {
+      (report.legalChunks || []).forEach(chunk => {
+        if (!byChunk[chunk.id]) {
+          byChunk[chunk.id] = { chunkId: chunk.id, title: chunk.title, legalReference: chunk.legal_reference || null, citations: 0, reportIds: [] }
+        }
+        byChunk[chunk.id].citations++
+        byChunk[chunk.id].reportIds.push(report.id)
+      })
+    })
+
+    const chunks = Object.values(byChunk)
+      .sort((a, b) => b.citations - a.citations)
+      .slice(0, limit)
+
+    return {
+      success: true,
+      analyzedReports: data.filter(report => report.legalChunks).length,
+      chunks
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
@@ -0,0 +1,55 @@
+// LLM Providers - Shared chat completion and embedding client for the whole pipeline
+import { LLM_CONFIG } from '../../config/llm.js'
+import { createOpenAIProvider } from './openaiProvider.js'
+import { createMockProvider, setMockFixture, clearMockFixtures } from './mockProvider.js'
+
+/**
+ * Every provider implements:
+ *   createChatCompletion({ messages, temperature, maxTokens, json, task })
+ *     -> Promise<{ content, model, usage: { prompt_tokens, completion_tokens, total_tokens } }>
+ *   createEmbedding(input) -> Promise<{ embedding, model, usage }>
+ *
+ * `task` names the calling step (field_extraction, violation_analysis, appeal_letter...)
+ * and is used by the mock provider to pick its fixture.
+ */
+const PROVIDER_FACTORIES = {
+  openai: () => createOpenAIProvider('openai'),
+  local: () => createOpenAIProvider('local'),
+  mock: createMockProvider
+}
+
+export const LLM_PROVIDERS = Object.keys(PROVIDER_FACTORIES)
+
+let provider = null
+
+export function getLLMProvider() {
+  if (!provider) {
+    const factory = PROVIDER_FACTORIES[LLM_CONFIG.provider]
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${LLM_CONFIG.provider}. Available: ${LLM_PROVIDERS.join(', ')}`)
+    }
+    provider = factory()
+  }
+  return provider
+}
+
+// Chat completion with the configured provider and model
+export async function createChatCompletion(options) {
+  return getLLMProvider().createChatCompletion(options)
+}
+
+// Chat completion whose content is parsed as JSON
+export async function createJSONCompletion(options) {
+  const completion = await createChatCompletion({ ...options, json: true })
+  return {
+    ...completion,
+    data: JSON.parse(completion.content)
+  }
+}
+
+// Embedding with the configured provider and model
+export async function createEmbedding(input) {
+  return getLLMProvider().createEmbedding(input)
+}
+
+export { LLM_CONFIG, setMockFixture, clearMockFixtures }
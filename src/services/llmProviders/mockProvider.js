@@ -0,0 +1,105 @@
+// Mock provider - deterministic, fixture-driven responses for offline development and tests
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { LLM_CONFIG } from '../../config/llm.js'
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const BUILT_IN_FIXTURES_PATH = path.join(__dirname, 'fixtures')
+
+// Fixtures registered at runtime (e.g. by the evaluation harness) take precedence over files
+const registeredFixtures = new Map()
+
+/**
+ * Register a fixture for a task.
+ * A fixture is either the response object itself, or
+ * { cases: [{ match: 'substring of the user message', response: {...} }], default: {...} }
+ */
+export function setMockFixture(task, fixture) {
+  registeredFixtures.set(task, fixture)
+}
+
+export function clearMockFixtures() {
+  registeredFixtures.clear()
+}
+
+function loadFixtureFile(task) {
+  const directories = [LLM_CONFIG.mockFixturesPath, BUILT_IN_FIXTURES_PATH].filter(Boolean)
+
+  for (const directory of directories) {
+    const filePath = path.join(directory, `${task}.json`)
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    }
+  }
+  return {}
+}
+
+function resolveFixture(task, prompt) {
+  const fixture = registeredFixtures.get(task) ?? loadFixtureFile(task)
+
+  if (!Array.isArray(fixture.cases)) {
+    return fixture
+  }
+
+  const matchingCase = fixture.cases.find(fixtureCase => fixtureCase.match && prompt.includes(fixtureCase.match))
+  return matchingCase ? matchingCase.response : (fixture.default || {})
+}
+
+// Rough token estimate so usage accounting downstream has realistic numbers
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4)
+}
+
+// Deterministic unit vector derived from the input text
+function hashEmbedding(input, dimensions) {
+  const values = []
+  let seed = crypto.createHash('sha256').update(input).digest()
+
+  while (values.length < dimensions) {
+    for (let offset = 0; offset + 4 <= seed.length && values.length < dimensions; offset += 4) {
+      values.push(seed.readInt32BE(offset) / 0x7fffffff)
+    }
+    seed = crypto.createHash('sha256').update(seed).digest()
+  }
+
+  const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1
+  return values.map(value => value / norm)
+}
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async createChatCompletion({ messages, task = 'default' }) {
+      const prompt = messages.map(message => message.content).join('\n')
+      const content = JSON.stringify(resolveFixture(task, prompt))
+      const promptTokens = estimateTokens(prompt)
+      const completionTokens = estimateTokens(content)
+
+      return {
+        content,
+        model: `mock-${LLM_CONFIG.chatModel}`,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        }
+      }
+    },
+
+    async createEmbedding(input) {
+      const tokens = estimateTokens(input)
+
+      return {
+        embedding: hashEmbedding(input, LLM_CONFIG.embeddingDimensions),
+        model: `mock-${LLM_CONFIG.embeddingModel}`,
+        usage: { prompt_tokens: tokens, total_tokens: tokens }
+      }
+    }
+  }
+}
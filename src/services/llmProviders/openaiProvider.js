@@ -0,0 +1,46 @@
+// OpenAI provider - also serves OpenAI-compatible local servers (Ollama, llama.cpp, vLLM)
+import OpenAI from 'openai'
+import { LLM_CONFIG } from '../../config/llm.js'
+
+export function createOpenAIProvider(name) {
+  // Local servers usually ignore the key, but the SDK requires one
+  const client = new OpenAI({
+    apiKey: LLM_CONFIG.apiKey || (name === 'local' ? 'local' : undefined),
+    baseURL: LLM_CONFIG.baseURL,
+    timeout: LLM_CONFIG.timeoutMs,
+    maxRetries: LLM_CONFIG.maxRetries
+  })
+
+  return {
+    name,
+
+    async createChatCompletion({ messages, temperature, maxTokens, json = false }) {
+      const completion = await client.chat.completions.create({
+        model: LLM_CONFIG.chatModel,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      })
+
+      return {
+        content: completion.choices[0].message.content,
+        model: completion.model,
+        usage: completion.usage
+      }
+    },
+
+    async createEmbedding(input) {
+      const response = await client.embeddings.create({
+        model: LLM_CONFIG.embeddingModel,
+        input
+      })
+
+      return {
+        embedding: response.data[0].embedding,
+        model: response.model,
+        usage: response.usage
+      }
+    }
+  }
+}
@@ -0,0 +1,27 @@
+// Console transport - prints messages (and optionally appends them to a JSONL file) for development and tests
+import fs from 'fs'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { NOTIFICATION_CONFIG } from '../../config/notifications.js'
+
+export function createConsoleTransport(channel) {
+  return {
+    name: `console:${channel}`,
+
+    async send(message) {
+      const messageId = uuidv4()
+
+      console.log(`📨 [${channel}] to ${message.to}: ${message.subject || message.text.split('\n')[0]}`)
+
+      if (NOTIFICATION_CONFIG.logPath) {
+        await fs.promises.mkdir(path.dirname(NOTIFICATION_CONFIG.logPath), { recursive: true })
+        await fs.promises.appendFile(
+          NOTIFICATION_CONFIG.logPath,
+          JSON.stringify({ messageId, channel, ...message, sentAt: new Date().toISOString() }) + '\n'
+        )
+      }
+
+      return { messageId }
+    }
+  }
+}
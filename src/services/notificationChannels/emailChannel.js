@@ -0,0 +1,34 @@
+// SMTP transport - sends templated emails through nodemailer
+import nodemailer from 'nodemailer'
+import { NOTIFICATION_CONFIG } from '../../config/notifications.js'
+
+export function createSMTPTransport() {
+  const { host, port, secure, user, pass, from } = NOTIFICATION_CONFIG.smtp
+
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp email transport')
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  })
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail({
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      })
+
+      return { messageId: info.messageId }
+    }
+  }
+}
@@ -0,0 +1,40 @@
+// Notification Channels - Selects the transport used for each delivery channel
+import { NOTIFICATION_CONFIG } from '../../config/notifications.js'
+import { createConsoleTransport } from './consoleChannel.js'
+import { createSMTPTransport } from './emailChannel.js'
+import { createWhatsAppTransport } from './whatsappChannel.js'
+
+/**
+ * Every transport implements:
+ *   name
+ *   send({ type, to, subject, text, html, templateParams }) -> Promise<{ messageId }>
+ */
+const TRANSPORT_FACTORIES = {
+  email: {
+    smtp: createSMTPTransport,
+    console: () => createConsoleTransport('email')
+  },
+  whatsapp: {
+    whatsapp: createWhatsAppTransport,
+    console: () => createConsoleTransport('whatsapp')
+  }
+}
+
+export const NOTIFICATION_CHANNELS = Object.keys(TRANSPORT_FACTORIES)
+
+const transports = new Map()
+
+export function getChannelTransport(channel) {
+  if (!transports.has(channel)) {
+    const transportName = channel === 'email'
+      ? NOTIFICATION_CONFIG.emailTransport
+      : NOTIFICATION_CONFIG.whatsappTransport
+    const factory = TRANSPORT_FACTORIES[channel]?.[transportName]
+
+    if (!factory) {
+      throw new Error(`Unknown ${channel} transport: ${transportName}. Available: ${Object.keys(TRANSPORT_FACTORIES[channel] || {}).join(', ')}`)
+    }
+    transports.set(channel, factory())
+  }
+  return transports.get(channel)
+}
@@ -0,0 +1,65 @@
+// WhatsApp transport - WhatsApp Business Cloud API (Graph API) messages
+import { NOTIFICATION_CONFIG } from '../../config/notifications.js'
+
+// Israeli local numbers (05X-XXXXXXX) to international format without '+'
+export function normalizePhoneNumber(phone) {
+  const digits = (phone || '').replace(/\D/g, '')
+  if (digits.startsWith('972')) return digits
+  if (digits.startsWith('0')) return `972${digits.slice(1)}`
+  return digits
+}
+
+export function createWhatsAppTransport() {
+  const { accessToken, phoneNumberId, apiVersion, useTemplates, templateLanguage } = NOTIFICATION_CONFIG.whatsapp
+
+  if (!accessToken || !phoneNumberId) {
+    throw new Error('WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID are required for the whatsapp transport')
+  }
+
+  const endpoint = `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`
+
+  return {
+    name: 'whatsapp',
+
+    async send(message) {
+      const body = {
+        messaging_product: 'whatsapp',
+        to: normalizePhoneNumber(message.to)
+      }
+
+      if (useTemplates) {
+        // Template names match notification types (e.g. analysis_complete)
+        body.type = 'template'
+        body.template = {
+          name: message.type,
+          language: { code: templateLanguage },
+          components: [
+            {
+              type: 'body',
+              parameters: (message.templateParams || []).map(value => ({ type: 'text', text: String(value) }))
+            }
+          ]
+        }
+      } else {
+        body.type = 'text'
+        body.text = { body: message.text, preview_url: true }
+      }
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      })
+
+      const result = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(`WhatsApp API error ${response.status}: ${result.error?.message || response.statusText}`)
+      }
+
+      return { messageId: result.messages?.[0]?.id || null }
+    }
+  }
+}
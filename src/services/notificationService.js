@@ -0,0 +1,138 @@
+import { supabase, GUEST_USER } from '../config/supabase.js'
+import { v4 as uuidv4 } from 'uuid'
+import { getChannelTransport, NOTIFICATION_CHANNELS } from './notificationChannels/index.js'
+import { renderNotification } from './notificationTemplates.js'
+import { getUserById } from './userService.js'
+import { DEFAULT_COMPANY_SETTINGS } from './companyService.js'
+
+/**
+ * Notification Service - Delivers templated notifications over email / WhatsApp
+ * Channels follow the company's settings.notifications for fleet users (email only otherwise).
+ * Every delivery attempt is recorded in the `notifications` table, which also de-duplicates reminders.
+ */
+
+// Channels enabled for a user and the address to use on each
+async function getRecipientChannels(user) {
+  let preferences = DEFAULT_COMPANY_SETTINGS.notifications
+
+  if (user.company_id) {
+    const { data: company } = await supabase
+      .from('companies')
+      .select('settings')
+      .eq('id', user.company_id)
+      .maybeSingle()
+
+    preferences = { ...preferences, ...(company?.settings?.notifications || {}) }
+  }
+
+  const addresses = { email: user.email, whatsapp: user.phone }
+
+  return NOTIFICATION_CHANNELS
+    .filter(channel => preferences[channel] && addresses[channel])
+    .map(channel => ({ channel, to: addresses[channel] }))
+}
+
+async function recordDelivery(delivery) {
+  const { error } = await supabase
+    .from('notifications')
+    .insert([
+      {
+        id: uuidv4(),
+        ...delivery,
+        created_at: new Date().toISOString()
+      }
+    ])
+
+  if (error) {
+    console.warn('⚠️ Failed to record notification:', error.message)
+  }
+}
+
+// Whether a notification with this de-duplication key was already delivered
+export const hasNotificationBeenSent = async (dedupeKey) => {
+  const { data, error } = await supabase
+    .from('notifications')
+    .select('id')
+    .eq('dedupe_key', dedupeKey)
+    .eq('status', 'sent')
+    .limit(1)
+
+  return !error && data.length > 0
+}
+
+/**
+ * Send a notification to a user on every channel they have enabled
+ * options: { reportId, dedupeKey }
+ */
+export const sendNotification = async (user, type, data = {}, options = {}) => {
+  try {
+    if (!user || user.id === GUEST_USER.id) {
+      return { success: true, deliveries: [], skipped: 'guest user' }
+    }
+
+    const channels = await getRecipientChannels(user)
+    const message = renderNotification(type, {
+      ...data,
+      recipientName: user.first_name || data.recipientName
+    })
+
+    const deliveries = []
+    for (const { channel, to } of channels) {
+      const delivery = {
+        user_id: user.id,
+        report_id: options.reportId || null,
+        type,
+        channel,
+        recipient: to,
+        dedupe_key: options.dedupeKey || null,
+        payload: data
+      }
+
+      try {
+        const { messageId } = await getChannelTransport(channel).send({ ...message, to })
+        deliveries.push({ channel, status: 'sent', messageId })
+        await recordDelivery({ ...delivery, status: 'sent', message_id: messageId, sent_at: new Date().toISOString() })
+      } catch (error) {
+        console.error(`❌ ${channel} notification to ${to} failed:`, error.message)
+        deliveries.push({ channel, status: 'failed', error: error.message })
+        await recordDelivery({ ...delivery, status: 'failed', error: error.message })
+      }
+    }
+
+    return { success: true, deliveries }
+  } catch (error) {
+    console.error('❌ Notification error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Notify the owner of a report
+export const notifyReportOwner = async (report, type, data = {}, options = {}) => {
+  const userResult = await getUserById(report.user_id)
+  if (!userResult.success) {
+    return { success: false, error: userResult.error }
+  }
+
+  return sendNotification(userResult.user, type, {
+    reportId: report.id,
+    reportNumber: report.ocr_results?.extractedFields?.reportNumber,
+    fileName: report.original_file?.filename,
+    ...data
+  }, { reportId: report.id, ...options })
+}
+
+// Notify every fleet admin of a company
+export const notifyCompanyAdmins = async (companyId, type, data = {}, options = {}) => {
+  const { data: admins, error } = await supabase
+    .from('users')
+    .select('id, email, phone, first_name, last_name, company_id')
+    .eq('company_id', companyId)
+    .eq('role', 'fleet_admin')
+
+  if (error) {
+    return { success: false, error: error.message }
+  }
+
+  const results = await Promise.all(admins.map(admin => sendNotification(admin, type, data, options)))
+  return { success: true, deliveries: results.flatMap(result => result.deliveries || []) }
+}
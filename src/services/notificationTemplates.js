@@ -0,0 +1,170 @@
+// Notification Templates - Hebrew messages for each notification type
+import { NOTIFICATION_CONFIG } from '../config/notifications.js'
+
+const RECOMMENDATION_LABELS = {
+  appeal: 'מומלץ להגיש ערעור',
+  pay: 'מומלץ לשלם את הקנס',
+  uncertain: 'ההמלצה אינה חד-משמעית - מומלץ להתייעץ'
+}
+
+const PROBABILITY_LABELS = {
+  high: 'גבוהים',
+  medium: 'בינוניים',
+  low: 'נמוכים'
+}
+
+export function getReportUrl(reportId) {
+  return `${NOTIFICATION_CONFIG.appUrl}/reports/${reportId}`
+}
+
+/**
+ * Each template returns:
+ *   subject         - email subject
+ *   lines           - message body lines (plain text / WhatsApp text)
+ *   templateParams  - ordered parameters for the matching WhatsApp Business template
+ */
+export const NOTIFICATION_TEMPLATES = {
+  analysis_complete: (data) => ({
+    subject: `ניתוח הדוח ${data.reportNumber || ''} הושלם`.replace(/\s+/g, ' '),
+    lines: [
+      `שלום ${data.recipientName || ''},`.replace(' ,', ','),
+      `ניתוח דוח התנועה${data.reportNumber ? ` מס' ${data.reportNumber}` : ''} הושלם.`,
+      `המלצה: ${RECOMMENDATION_LABELS[data.recommendation] || RECOMMENDATION_LABELS.uncertain}`,
+      data.probability ? `סיכויי הצלחה בערעור: ${PROBABILITY_LABELS[data.probability] || data.probability}` : null,
+      `לצפייה בתוצאות המלאות: ${getReportUrl(data.reportId)}`
+    ],
+    templateParams: [
+      data.reportNumber || '',
+      RECOMMENDATION_LABELS[data.recommendation] || RECOMMENDATION_LABELS.uncertain,
+      getReportUrl(data.reportId)
+    ]
+  }),
+
+  analysis_failed: (data) => ({
+    subject: 'לא הצלחנו לעבד את הדוח שהעלית',
+    lines: [
+      `שלום ${data.recipientName || ''},`.replace(' ,', ','),
+      `עיבוד הדוח${data.fileName ? ` (${data.fileName})` : ''} נכשל.`,
+      'ייתכן שהקובץ אינו קריא מספיק. מומלץ להעלות צילום ברור יותר או קובץ PDF מקורי.',
+      `לפרטים: ${getReportUrl(data.reportId)}`
+    ],
+    templateParams: [
+      data.fileName || '',
+      getReportUrl(data.reportId)
+    ]
+  }),
+
+  appeal_deadline: (data) => ({
+    subject: `תזכורת: נותרו ${data.daysLeft} ימים להגשת ערעור על דוח ${data.reportNumber || ''}`.trim(),
+    lines: [
+      `שלום ${data.recipientName || ''},`.replace(' ,', ','),
+      data.daysLeft === 0
+        ? `היום (${data.deadline}) הוא היום האחרון להגשת ערעור או בקשה להישפט על הדוח${data.reportNumber ? ` מס' ${data.reportNumber}` : ''}.`
+        : `נותרו ${data.daysLeft} ימים (עד ${data.deadline}) להגשת ערעור או בקשה להישפט על הדוח${data.reportNumber ? ` מס' ${data.reportNumber}` : ''}.`,
+      'לאחר מועד זה לא ניתן יהיה לערער והקנס עלול לגדול.',
+      `לטיפול בדוח: ${getReportUrl(data.reportId)}`
+    ],
+    templateParams: [
+      data.reportNumber || '',
+      String(data.daysLeft),
+      data.deadline,
+      getReportUrl(data.reportId)
+    ]
+  }),
+
+  payment_deadline: (data) => ({
+    subject: `תזכורת: נותרו ${data.daysLeft} ימים לתשלום הקנס על דוח ${data.reportNumber || ''}`.trim(),
+    lines: [
+      `שלום ${data.recipientName || ''},`.replace(' ,', ','),
+      data.daysLeft === 0
+        ? `היום (${data.deadline}) הוא היום האחרון לתשלום הקנס על הדוח${data.reportNumber ? ` מס' ${data.reportNumber}` : ''}.`
+        : `נותרו ${data.daysLeft} ימים (עד ${data.deadline}) לתשלום הקנס על הדוח${data.reportNumber ? ` מס' ${data.reportNumber}` : ''}.`,
+      'תשלום לאחר המועד כרוך בתוספת פיגורים.',
+      `לטיפול בדוח: ${getReportUrl(data.reportId)}`
+    ],
+    templateParams: [
+      data.reportNumber || '',
+      String(data.daysLeft),
+      data.deadline,
+      getReportUrl(data.reportId)
+    ]
+  }),
+
+  risk_threshold: (data) => ({
+    subject: `התראת סיכון: ${data.driverName} חצה את סף הסיכון`,
+    lines: [
+      `שלום ${data.recipientName || ''},`.replace(' ,', ','),
+      `ציון הסיכון של הנהג ${data.driverName} הגיע ל-${data.score} (סף החברה: ${data.threshold}).`,
+      `נקודות בשנתיים האחרונות: ${data.points}.`,
+      data.nextMilestone ? `נותרו ${data.nextMilestone.pointsRemaining} נקודות עד: ${data.nextMilestone.description}.` : null,
+      `לפרטים: ${NOTIFICATION_CONFIG.appUrl}/fleet/drivers/${data.driverId}`
+    ],
+    templateParams: [
+      data.driverName,
+      String(data.score),
+      String(data.threshold)
+    ]
+  }),
+
+  lawyer_case_assigned: (data) => ({
+    subject: `תיק חדש לבדיקה: דוח ${data.reportNumber || ''}`.trim(),
+    lines: [
+      `שלום ${data.recipientName || ''},`.replace(' ,', ','),
+      `${data.sharedByName || 'לקוח'} שיתף/ה איתך את דוח התנועה${data.reportNumber ? ` מס' ${data.reportNumber}` : ''} לבדיקה משפטית.`,
+      data.note ? `הערת הלקוח: ${data.note}` : null,
+      data.appealDeadline ? `המועד האחרון להגשת ערעור: ${data.appealDeadline}` : null,
+      `לתיק: ${NOTIFICATION_CONFIG.appUrl}/lawyer/cases/${data.reportId}`
+    ],
+    templateParams: [
+      data.reportNumber || '',
+      data.sharedByName || '',
+      `${NOTIFICATION_CONFIG.appUrl}/lawyer/cases/${data.reportId}`
+    ]
+  }),
+
+  lawyer_review_complete: (data) => ({
+    subject: `עו"ד ${data.lawyerName || ''} השלים/ה את בדיקת הדוח ${data.reportNumber || ''}`.replace(/\s+/g, ' ').trim(),
+    lines: [
+      `שלום ${data.recipientName || ''},`.replace(' ,', ','),
+      `עו"ד ${data.lawyerName || ''} השלים/ה את בדיקת הדוח${data.reportNumber ? ` מס' ${data.reportNumber}` : ''}.`.replace(/\s+/g, ' '),
+      `המלצת עורך הדין: ${RECOMMENDATION_LABELS[data.recommendation] || RECOMMENDATION_LABELS.uncertain}`,
+      `לצפייה בחוות הדעת: ${getReportUrl(data.reportId)}`
+    ],
+    templateParams: [
+      data.reportNumber || '',
+      data.lawyerName || '',
+      RECOMMENDATION_LABELS[data.recommendation] || RECOMMENDATION_LABELS.uncertain,
+      getReportUrl(data.reportId)
+    ]
+  })
+}
+
+export const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_TEMPLATES)
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+// Render a notification type into a channel-agnostic message
+export function renderNotification(type, data) {
+  const template = NOTIFICATION_TEMPLATES[type]
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`)
+  }
+
+  const { subject, lines, templateParams } = template(data)
+  const bodyLines = lines.filter(Boolean)
+
+  return {
+    type,
+    subject,
+    text: bodyLines.join('\n'),
+    html: `<div dir="rtl" style="font-family: Arial, sans-serif; text-align: right;">${bodyLines
+      .map(line => `<p>${escapeHTML(line)}</p>`)
+      .join('')}</div>`,
+    templateParams
+  }
+}
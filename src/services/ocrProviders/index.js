@@ -0,0 +1,80 @@
+// OCR Providers - Selects the OCR engine used by the pipeline
+import dotenv from 'dotenv'
+import { visionProvider } from './visionProvider.js'
+import { tesseractProvider } from './tesseractProvider.js'
+
+dotenv.config()
+
+/**
+ * Every provider implements:
+ *   name, displayName
+ *   recognize(buffer, mimetype) -> Promise<Page[]>
+ *
+ * Page: {
+ *   pageNumber, text, confidence (0-1),
+ *   words: [{ text, confidence, boundingBox: { x0, y0, x1, y1 }, symbols: [{ text, confidence }] }]
+ * }
+ */
+const PROVIDERS = {
+  vision: visionProvider,
+  tesseract: tesseractProvider
+}
+
+export const OCR_PROVIDERS = Object.keys(PROVIDERS)
+
+export const DEFAULT_OCR_PROVIDER = process.env.OCR_PROVIDER || 'vision'
+
+export function getOCRProvider(name = DEFAULT_OCR_PROVIDER) {
+  const provider = PROVIDERS[name]
+  if (!provider) {
+    throw new Error(`Unknown OCR provider: ${name}. Available: ${OCR_PROVIDERS.join(', ')}`)
+  }
+  return provider
+}
+
+// Average symbol confidence across all pages
+function calculateOverallConfidence(pages) {
+  let totalConfidence = 0
+  let symbolCount = 0
+
+  for (const page of pages) {
+    for (const word of page.words || []) {
+      for (const symbol of word.symbols || []) {
+        if (typeof symbol.confidence === 'number') {
+          totalConfidence += symbol.confidence
+          symbolCount++
+        }
+      }
+    }
+  }
+
+  if (symbolCount > 0) return totalConfidence / symbolCount
+  return pages.length > 0 ? 0.5 : 0
+}
+
+/**
+ * Run OCR with the selected provider and merge pages into one document
+ */
+export async function runOCR(buffer, mimetype, providerName) {
+  const provider = getOCRProvider(providerName || DEFAULT_OCR_PROVIDER)
+  const pages = await provider.recognize(buffer, mimetype)
+
+  if (pages.length > 1) {
+    console.log(`📑 ${provider.displayName} OCR complete: ${pages.length} page(s)`)
+  }
+
+  return buildOCRResult(provider, pages)
+}
+
+/**
+ * Merge a provider's pages into one OCR result (also used to replay stored provider output)
+ */
+export function buildOCRResult(provider, pages) {
+  return {
+    provider: provider.name,
+    engine: provider.displayName,
+    text: pages.map(page => page.text).filter(Boolean).join('\n'),
+    confidence: calculateOverallConfidence(pages),
+    pages
+  }
+}
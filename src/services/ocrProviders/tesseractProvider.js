@@ -0,0 +1,94 @@
+// Tesseract OCR provider - runs fully offline with local Hebrew traineddata
+import { createWorker } from 'tesseract.js'
+import { createRequire } from 'module'
+import path from 'path'
+
+const require = createRequire(import.meta.url)
+
+// Resolve traineddata from the bundled @tesseract.js-data package unless overridden,
+// so the worker never tries to download language files from a CDN
+function getLangPath() {
+  if (process.env.TESSERACT_LANG_PATH) {
+    return process.env.TESSERACT_LANG_PATH
+  }
+  const packageDir = path.dirname(require.resolve('@tesseract.js-data/heb/package.json'))
+  return path.join(packageDir, '4.0.0_best_int')
+}
+
+const TESSERACT_CONFIG = {
+  lang: process.env.TESSERACT_LANG || 'heb',
+  pdfScale: parseFloat(process.env.TESSERACT_PDF_SCALE) || 3
+}
+
+// Workers are expensive to start (traineddata load), so keep one for the process
+let workerPromise = null
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(TESSERACT_CONFIG.lang, 1, {
+      langPath: getLangPath(),
+      // traineddata is already local; only cache the unpacked file when asked to
+      cachePath: process.env.TESSERACT_CACHE_PATH || undefined,
+      cacheMethod: process.env.TESSERACT_CACHE_PATH ? 'write' : 'none',
+      gzip: !process.env.TESSERACT_LANG_PATH
+    }).catch(error => {
+      workerPromise = null
+      throw error
+    })
+  }
+  return workerPromise
+}
+
+// Rasterize each PDF page to PNG (Tesseract only reads images)
+async function rasterizePDF(buffer) {
+  const { pdf } = await import('pdf-to-img')
+  const document = await pdf(buffer, { scale: TESSERACT_CONFIG.pdfScale })
+
+  const images = []
+  for await (const image of document) {
+    images.push(image)
+  }
+  return images
+}
+
+// Convert Tesseract output (confidences 0-100) into the provider-neutral page format
+function normalizePage(data, pageNumber) {
+  const words = (data.blocks || []).flatMap(block =>
+    (block.paragraphs || []).flatMap(paragraph =>
+      (paragraph.lines || []).flatMap(line =>
+        (line.words || []).map(word => ({
+          text: word.text,
+          confidence: word.confidence / 100,
+          boundingBox: word.bbox ? { ...word.bbox } : null,
+          symbols: (word.symbols || []).map(symbol => ({
+            text: symbol.text,
+            confidence: symbol.confidence / 100
+          }))
+        }))
+      )
+    )
+  )
+
+  return {
+    pageNumber,
+    text: data.text || '',
+    confidence: (data.confidence || 0) / 100,
+    words
+  }
+}
+
+export const tesseractProvider = {
+  name: 'tesseract',
+  displayName: 'Tesseract',
+
+  async recognize(buffer, mimetype) {
+    const images = mimetype === 'application/pdf' ? await rasterizePDF(buffer) : [buffer]
+    const worker = await getWorker()
+
+    const pages = []
+    for (let index = 0; index < images.length; index++) {
+      const { data } = await worker.recognize(images[index], {}, { text: true, blocks: true })
+      pages.push(normalizePage(data, index + 1))
+    }
+    return pages
+  }
+}
@@ -0,0 +1,143 @@
+// Google Vision OCR provider
+import vision from '@google-cloud/vision'
+
+// Vision's synchronous file annotation accepts at most 5 pages per request
+const PDF_PAGES_PER_REQUEST = 5
+
+// Client is created on first use so the rest of the pipeline loads without Google credentials
+let client = null
+function getClient() {
+  if (client) return client
+
+  try {
+    if (process.env.GOOGLE_CLOUD_CREDENTIALS) {
+      // Use JSON credentials from environment variable (for production)
+      const credentials = JSON.parse(process.env.GOOGLE_CLOUD_CREDENTIALS)
+      client = new vision.ImageAnnotatorClient({ credentials })
+    } else {
+      // Use GOOGLE_APPLICATION_CREDENTIALS file path or default authentication
+      client = new vision.ImageAnnotatorClient()
+    }
+  } catch (error) {
+    console.error('❌ Error initializing Google Vision client:', error)
+    // Fallback to default authentication
+    console.log('🔄 Falling back to default authentication')
+    client = new vision.ImageAnnotatorClient()
+  }
+
+  return client
+}
+
+// Helper function to calculate overall confidence from a Google Vision response
+export function calculateVisionConfidence(visionResult) {
+  try {
+    const pages = visionResult.fullTextAnnotation?.pages || []
+    if (pages.length === 0) return 0
+
+    let totalConfidence = 0
+    let symbolCount = 0
+
+    for (const page of pages) {
+      for (const block of page.blocks || []) {
+        for (const paragraph of block.paragraphs || []) {
+          for (const word of paragraph.words || []) {
+            for (const symbol of word.symbols || []) {
+              if (symbol.confidence !== undefined) {
+                totalConfidence += symbol.confidence
+                symbolCount++
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return symbolCount > 0 ? totalConfidence / symbolCount : 0.5
+  } catch (error) {
+    console.warn('Failed to calculate Vision confidence:', error)
+    return 0.5 // Default confidence
+  }
+}
+
+// Convert Vision bounding polygon vertices into a box
+function toBoundingBox(boundingBox) {
+  const vertices = boundingBox?.vertices || []
+  if (vertices.length === 0) return null
+
+  const xs = vertices.map(vertex => vertex.x || 0)
+  const ys = vertices.map(vertex => vertex.y || 0)
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) }
+}
+
+// Convert a single-page Vision response into the provider-neutral page format
+export function normalizePage(pageResponse, pageNumber) {
+  const words = (pageResponse.fullTextAnnotation?.pages || []).flatMap(page =>
+    (page.blocks || []).flatMap(block =>
+      (block.paragraphs || []).flatMap(paragraph =>
+        (paragraph.words || []).map(word => ({
+          text: (word.symbols || []).map(symbol => symbol.text).join(''),
+          confidence: word.confidence ?? null,
+          boundingBox: toBoundingBox(word.boundingBox),
+          symbols: (word.symbols || []).map(symbol => ({
+            text: symbol.text,
+            confidence: symbol.confidence ?? null
+          }))
+        }))
+      )
+    )
+  )
+
+  return {
+    pageNumber,
+    text: pageResponse.fullTextAnnotation?.text || '',
+    confidence: calculateVisionConfidence(pageResponse),
+    words,
+    error: pageResponse.error?.message || undefined
+  }
+}
+
+// Run a multi-page PDF through Vision's file annotation, 5 pages at a time
+async function annotatePDF(buffer) {
+  const pageResponses = []
+  let totalPages = PDF_PAGES_PER_REQUEST
+
+  for (let firstPage = 1; firstPage <= totalPages; firstPage += PDF_PAGES_PER_REQUEST) {
+    const lastPage = Math.min(firstPage + PDF_PAGES_PER_REQUEST - 1, totalPages)
+    const pageNumbers = Array.from({ length: lastPage - firstPage + 1 }, (_, index) => firstPage + index)
+
+    const [batchResult] = await getClient().batchAnnotateFiles({
+      requests: [{
+        inputConfig: { content: buffer, mimeType: 'application/pdf' },
+        features: [{ type: 'DOCUMENT_TEXT_DETECTION' }],
+        pages: pageNumbers
+      }]
+    })
+
+    const fileResponse = batchResult.responses?.[0]
+    if (fileResponse?.error?.message) {
+      throw new Error(`PDF OCR failed: ${fileResponse.error.message}`)
+    }
+
+    // The first batch tells us how many pages the document really has
+    totalPages = fileResponse?.totalPages || lastPage
+    pageResponses.push(...(fileResponse?.responses || []))
+  }
+
+  return pageResponses.map((pageResponse, index) =>
+    normalizePage(pageResponse, pageResponse.context?.pageNumber || index + 1)
+  )
+}
+
+export const visionProvider = {
+  name: 'vision',
+  displayName: 'Google Vision',
+
+  async recognize(buffer, mimetype) {
+    if (mimetype === 'application/pdf') {
+      return annotatePDF(buffer)
+    }
+
+    const [result] = await getClient().documentTextDetection({ image: { content: buffer } })
+    return [normalizePage(result, 1)]
+  }
+}
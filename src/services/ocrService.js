@@ -1,47 +1,23 @@
 // ocrService.js - Enhanced with preprocessing and AI extraction
-import vision from '@google-cloud/vision'
 import dotenv from 'dotenv'
-import { preprocessOCRText } from './textPreprocessingService.js'
+import { preprocessOCRText, extractValuePatterns, SPEED_FIELDS } from './textPreprocessingService.js'
 import { extractFieldsWithAI, validateRequiredFields } from './aiFieldExtractionService.js'
+import { runOCR } from './ocrProviders/index.js'
+import { checkScheduledFine } from './offenseCatalogueService.js'
 
 // Load environment variables (same as supabase.js does)
 dotenv.config()
 
-// Create client with credentials from environment variable
-let client
-try {  
-  if (process.env.GOOGLE_CLOUD_CREDENTIALS) {
-    // Use JSON credentials from environment variable (for production)
-    const credentials = JSON.parse(process.env.GOOGLE_CLOUD_CREDENTIALS)
-    client = new vision.ImageAnnotatorClient({ credentials })
-  } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS && !process.env.GOOGLE_APPLICATION_CREDENTIALS.startsWith('{')) {
-    // Use file path (for development) - only if it doesn't start with '{'
-    client = new vision.ImageAnnotatorClient()
-  } else {
-    // Fallback to default authentication
-    client = new vision.ImageAnnotatorClient()
-  }
-} catch (error) {
-  console.error('❌ Error initializing Google Vision client:', error)
-  // Fallback to default authentication
-  console.log('🔄 Falling back to default authentication')
-  client = new vision.ImageAnnotatorClient()
-}
-
-// Helper function: parse text and extract fields with confidence
-function parseOCRTextWithConfidence(text, ocrResponse) {
+// Helper function: parse text and extract fields with confidence (legacy parsing)
+export function parseOCRTextWithConfidence(text, ocrResult) {
   const lines = text.split('\n').map(l => l.trim()).filter(Boolean)
   const fields = {}
   const confidences = {}
 
   // Flatten all symbols for approximate confidence per line
-  const symbols = ocrResponse?.fullTextAnnotation?.pages.flatMap(p =>
-    p.blocks.flatMap(b =>
-      b.paragraphs.flatMap(par =>
-        par.words.flatMap(w =>
-          w.symbols.map(s => s)
-        )
-      )
+  const symbols = ocrResult?.pages?.flatMap(p =>
+    (p.words || []).flatMap(w =>
+      w.symbols || []
     )
   ) || []
 
@@ -126,6 +102,15 @@ function parseOCRTextWithConfidence(text, ocrResponse) {
       }
     }
 
+    // Speed violation fields (if present) - the first line with a value wins
+    for (const field of SPEED_FIELDS) {
+      const [value] = fields[field] ? [] : extractValuePatterns(line, field)
+      if (value) {
+        fields[field] = value
+        confidences[field] = lineConfidence
+      }
+    }
+
     // Points (if present)
     if (/נקודות/i.test(line)) {
       const match = line.match(/(\d+)/)
@@ -160,71 +145,107 @@ function parseOCRTextWithConfidence(text, ocrResponse) {
 }
 
 
+/**
+ * Fill critical fields the AI missed from legacy parsing
+ * Returns the final { extractedFields, confidenceScores } of the enhanced pipeline
+ */
+export function fillMissingFieldsFromLegacy(aiExtractionResult, rawText, ocrResult) {
+  // Check if AI missed any critical fields that legacy might catch
+  const missingFields = ['points', 'appealDeadline', 'vehiclePlate', ...SPEED_FIELDS].filter(field => 
+    !aiExtractionResult.extractedFields[field] || aiExtractionResult.extractedFields[field] === null
+  )
+  
+  let finalFields = aiExtractionResult.extractedFields
+  let finalConfidences = aiExtractionResult.confidenceScores
+  
+  // Only run legacy extraction if AI missed important fields
+  if (missingFields.length > 0) {
+    const legacyResult = parseOCRTextWithConfidence(rawText, ocrResult)
+    
+    // Fill in only the missing fields from legacy extraction
+    missingFields.forEach(field => {
+      if (legacyResult.extractedFields[field]) {
+        finalFields = { ...finalFields, [field]: legacyResult.extractedFields[field] }
+        finalConfidences = { ...finalConfidences, [field]: legacyResult.confidenceScores[field] || 0 }
+      }
+    })
+  }
+
+  return { extractedFields: finalFields, confidenceScores: finalConfidences }
+}
+
 // Main function - Enhanced with preprocessing and AI extraction
-export async function extractTextFromDocument(fileInfo) {
-  const { buffer, originalName, mimetype } = fileInfo
+// options.onProgress(step, details) is called as each pipeline step finishes
+// options.aiEnabled: false skips AI field extraction (usage quota exceeded) and uses legacy parsing
+export async function extractTextFromDocument(fileInfo, options = {}) {
+  const { buffer, originalName, mimetype, ocrProvider } = fileInfo
+  const onProgress = options.onProgress || (() => {})
   const startTime = Date.now()
 
   try {
-    // Step 1: Google Vision OCR
-    const [result] = await client.documentTextDetection({ image: { content: buffer } })
-    const rawText = result.fullTextAnnotation?.text || ''
+    // Step 1: OCR with the selected provider (page by page for PDFs)
+    const ocrResult = await runOCR(buffer, mimetype, ocrProvider)
+    const rawText = ocrResult.text
     
     if (!rawText.trim()) {
       throw new Error('No text detected in document')
     }
 
 
-    // Calculate overall OCR confidence from Vision API
-    const ocrConfidence = calculateVisionConfidence(result)
+    // Overall OCR confidence reported by the provider
+    const ocrConfidence = ocrResult.confidence
+    onProgress('ocr_complete', {
+      provider: ocrResult.provider,
+      pageCount: ocrResult.pages.length,
+      confidence: ocrConfidence
+    })
 
     // Step 2: Text preprocessing and normalization
     const preprocessedText = preprocessOCRText(rawText)
+    onProgress('preprocessing_complete', {
+      detectedFields: Object.keys(preprocessedText.detectedFields || {}).length
+    })
 
     // Step 3: AI-based field extraction
-    const aiExtractionResult = await extractFieldsWithAI(preprocessedText, ocrConfidence)
+    const aiExtractionResult = options.aiEnabled === false
+      ? { success: false, error: 'AI usage quota exceeded' }
+      : await extractFieldsWithAI(preprocessedText, ocrConfidence)
 
     if (!aiExtractionResult.success) {
       console.warn('⚠️ AI extraction failed, falling back to legacy parsing')
       // Fallback to legacy parsing
-      const { extractedFields, confidenceScores } = parseOCRTextWithConfidence(rawText, result)
+      const { extractedFields, confidenceScores } = parseOCRTextWithConfidence(rawText, ocrResult)
       console.log('🔍 OCR Debug - Legacy extraction fields:', extractedFields)
       console.log('🔍 OCR Debug - Legacy confidence scores:', confidenceScores)
-      return createLegacyResult(rawText, extractedFields, confidenceScores, fileInfo)
+      onProgress('ai_extraction_complete', {
+        success: false,
+        pipeline: 'legacy',
+        fieldCount: Object.keys(extractedFields).length
+      })
+      return createLegacyResult(ocrResult, extractedFields, confidenceScores, fileInfo, aiExtractionResult.error)
     }
 
+    onProgress('ai_extraction_complete', {
+      success: true,
+      pipeline: 'enhanced',
+      fieldCount: Object.keys(aiExtractionResult.extractedFields).length
+    })
+
     // Step 4: Validate required fields
     const validation = validateRequiredFields(aiExtractionResult, 0.6)
 
     const processingTime = Date.now() - startTime
     console.log(`✅ Enhanced OCR complete: ${processingTime}ms, confidence: ${(ocrConfidence * 100).toFixed(1)}%, fields: ${Object.keys(aiExtractionResult.extractedFields).length}`)
 
-    // Check if AI missed any critical fields that legacy might catch
-    const missingFields = ['points', 'appealDeadline', 'vehiclePlate'].filter(field => 
-      !aiExtractionResult.extractedFields[field] || aiExtractionResult.extractedFields[field] === null
-    )
-    
-    let finalFields = aiExtractionResult.extractedFields
-    let finalConfidences = aiExtractionResult.confidenceScores
-    
-    // Only run legacy extraction if AI missed important fields
-    if (missingFields.length > 0) {
-      const legacyResult = parseOCRTextWithConfidence(rawText, result)
-      
-      // Fill in only the missing fields from legacy extraction
-      missingFields.forEach(field => {
-        if (legacyResult.extractedFields[field]) {
-          finalFields = { ...finalFields, [field]: legacyResult.extractedFields[field] }
-          finalConfidences = { ...finalConfidences, [field]: legacyResult.confidenceScores[field] || 0 }
-        }
-      })
-    }
+    const { extractedFields: finalFields, confidenceScores: finalConfidences } =
+      fillMissingFieldsFromLegacy(aiExtractionResult, rawText, ocrResult)
 
     // Return enhanced OCR results
     
     return {
       // Original data
       extractedText: rawText,
+      pages: summarizePages(ocrResult.pages),
       
       // Enhanced extraction results
       extractedFields: finalFields,
@@ -252,11 +273,13 @@ export async function extractTextFromDocument(fileInfo) {
         fileType: mimetype,
         fileSize: buffer.length,
         processedAt: new Date().toISOString(),
-        ocrEngine: 'Google Vision + AI Enhancement',
+        ocrEngine: `${ocrResult.engine} + AI Enhancement`,
+        ocrProvider: ocrResult.provider,
         processingTime: `${processingTime}ms`,
         ocrConfidence: ocrConfidence,
         pipeline: 'enhanced',
-        isPDF: mimetype === 'application/pdf'
+        isPDF: mimetype === 'application/pdf',
+        pageCount: ocrResult.pages.length
       }
     }
 
@@ -266,11 +289,16 @@ export async function extractTextFromDocument(fileInfo) {
     // Fallback to legacy processing
     console.log('🔄 Falling back to legacy OCR processing...')
     try {
-      const [result] = await client.documentTextDetection({ image: { content: buffer } })
-      const extractedText = result.fullTextAnnotation?.text || ''
-      const { extractedFields, confidenceScores } = parseOCRTextWithConfidence(extractedText, result)
+      const ocrResult = await runOCR(buffer, mimetype, ocrProvider)
+      const { extractedFields, confidenceScores } = parseOCRTextWithConfidence(ocrResult.text, ocrResult)
+      onProgress('ocr_complete', {
+        provider: ocrResult.provider,
+        pageCount: ocrResult.pages.length,
+        confidence: ocrResult.confidence,
+        pipeline: 'legacy'
+      })
       
-      return createLegacyResult(extractedText, extractedFields, confidenceScores, fileInfo, error.message)
+      return createLegacyResult(ocrResult, extractedFields, confidenceScores, fileInfo, error.message)
     } catch (fallbackError) {
       throw new Error(`Both enhanced and legacy OCR failed: ${error.message}, ${fallbackError.message}`)
     }
@@ -291,57 +319,40 @@ export const validateExtractedFields = (fields) => {
   }
 }
 
-// Helper function to calculate overall confidence from Google Vision API
-function calculateVisionConfidence(visionResult) {
-  try {
-    const pages = visionResult.fullTextAnnotation?.pages || []
-    if (pages.length === 0) return 0
-    
-    let totalConfidence = 0
-    let symbolCount = 0
-    
-    for (const page of pages) {
-      for (const block of page.blocks || []) {
-        for (const paragraph of block.paragraphs || []) {
-          for (const word of paragraph.words || []) {
-            for (const symbol of word.symbols || []) {
-              if (symbol.confidence !== undefined) {
-                totalConfidence += symbol.confidence
-                symbolCount++
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    return symbolCount > 0 ? totalConfidence / symbolCount : 0.5
-  } catch (error) {
-    console.warn('Failed to calculate Vision confidence:', error)
-    return 0.5 // Default confidence
-  }
+// Keep per-page text and confidence only (word boxes are not persisted)
+function summarizePages(pages) {
+  return pages.map(page => ({
+    pageNumber: page.pageNumber,
+    text: page.text,
+    confidence: page.confidence,
+    error: page.error
+  }))
 }
 
 // Helper function to create legacy result format
-function createLegacyResult(extractedText, extractedFields, confidenceScores, fileInfo, errorMessage = null) {
+function createLegacyResult(ocrResult, extractedFields, confidenceScores, fileInfo, errorMessage = null) {
   return {
-    extractedText,
+    extractedText: ocrResult.text,
+    pages: summarizePages(ocrResult.pages),
     extractedFields,
     confidenceScores,
     processingInfo: {
       fileType: fileInfo.mimetype,
       fileSize: fileInfo.buffer.length,
       processedAt: new Date().toISOString(),
-      ocrEngine: 'Google Vision (Legacy)',
+      ocrEngine: `${ocrResult.engine} (Legacy)`,
+      ocrProvider: ocrResult.provider,
       pipeline: 'legacy',
       isPDF: fileInfo.mimetype === 'application/pdf',
+      pageCount: ocrResult.pages.length,
       fallbackReason: errorMessage
     },
     validation: {
       isValid: Object.keys(extractedFields).length > 0,
       missingFields: [],
       lowConfidenceFields: [],
-      completeness: 50 // Estimate for legacy
+      completeness: 50, // Estimate for legacy
+      fineCheck: checkScheduledFine(extractedFields)
     }
   }
 }
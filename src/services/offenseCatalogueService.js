@@ -0,0 +1,221 @@
+// Offense catalogue - fixed fines, points and court-only offenses of the Israeli traffic schedule
+// The catalogue is versioned (src/config/offenseCatalogue.json); analyses record the version they used.
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { extractLegalReferences } from './semanticSearchService.js'
+import { detectRoadType } from './textPreprocessingService.js'
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const CATALOGUE_PATH = path.join(__dirname, '..', 'config', 'offenseCatalogue.json')
+
+export const OFFENSE_CATALOGUE = JSON.parse(fs.readFileSync(CATALOGUE_PATH, 'utf8'))
+
+// Sections parsed once, e.g. "תקנה 54(א)" -> { label: 'תקנה', number: '54', subsection: '(א)' }
+const OFFENSES = OFFENSE_CATALOGUE.offenses.map(offense => ({
+  ...offense,
+  parsedSection: extractLegalReferences(offense.section).sections[0]
+}))
+
+// A ticket section matches a catalogue section with the same number; 54 matches 54(א), 22(א)(1) matches 22(א)
+function sectionMatches(ticketSection, catalogueSection) {
+  if (!catalogueSection || ticketSection.number !== catalogueSection.number) return false
+  if (ticketSection.label && ticketSection.label !== catalogueSection.label) return false
+  return ticketSection.subsection.startsWith(catalogueSection.subsection) ||
+    catalogueSection.subsection.startsWith(ticketSection.subsection)
+}
+
+function findCandidates(violationType) {
+  const references = extractLegalReferences(violationType)
+
+  const bySection = OFFENSES.filter(offense => references.sections.some(section => sectionMatches(section, offense.parsedSection)))
+  if (bySection.length > 0) return { matchedBy: 'section', candidates: bySection }
+
+  const byKeyword = OFFENSES.filter(offense => offense.keywords.some(keyword => violationType.includes(keyword)))
+  return { matchedBy: 'keyword', candidates: byKeyword }
+}
+
+// Narrow several matches down by description keywords (keeps all when none matches)
+function narrowCandidates(candidates, violationType) {
+  const narrowed = candidates.filter(offense => offense.keywords.some(keyword => violationType.includes(keyword)))
+  return narrowed.length > 0 ? narrowed : candidates
+}
+
+/**
+ * Fine, points and court-only flag of one offense
+ * Speed offenses are tiered by the excess over the limit; without the speeds the tier is inferred from the printed fine.
+ */
+function resolvePenalty(offense, fields) {
+  if (!offense.tiers) {
+    return {
+      fine: offense.fine,
+      points: offense.points,
+      courtOnly: offense.courtOnly,
+      tier: null,
+      scheduledFines: offense.fine === null ? [] : [offense.fine]
+    }
+  }
+
+  const scheduledFines = offense.tiers.map(tier => tier.fine).filter(fine => fine !== null)
+  const excess = parseInt(fields.measuredSpeed) - parseInt(fields.speedLimit)
+  const printedFine = parseInt(fields.fineAmount)
+
+  let tier = null
+  if (excess > 0) {
+    tier = offense.tiers.find(candidate => excess >= candidate.excessFrom && (candidate.excessTo === null || excess <= candidate.excessTo))
+  } else if (printedFine) {
+    const matching = offense.tiers.filter(candidate => candidate.fine === printedFine)
+    tier = matching.length === 1 ? matching[0] : null
+  }
+
+  if (!tier) {
+    return { fine: null, points: null, courtOnly: null, tier: null, scheduledFines }
+  }
+  return {
+    fine: tier.fine,
+    points: tier.points,
+    courtOnly: tier.courtOnly,
+    tier: { excessFrom: tier.excessFrom, excessTo: tier.excessTo, inferredFrom: excess > 0 ? 'speed' : 'fine' },
+    scheduledFines
+  }
+}
+
+// Compare the printed fine with the schedule
+function checkFine(printedFine, penalty) {
+  if (!printedFine) return { status: 'unknown', printedFine: null, expectedFines: penalty.scheduledFines }
+
+  // Court-only offenses are summonses, not fixed-fine tickets
+  if (penalty.courtOnly) return { status: 'mismatch', printedFine, expectedFines: [], reason: 'court_only' }
+
+  const expectedFines = penalty.fine !== null ? [penalty.fine] : penalty.scheduledFines
+  if (expectedFines.length === 0) return { status: 'unknown', printedFine, expectedFines }
+
+  return {
+    status: expectedFines.includes(printedFine) ? 'match' : 'mismatch',
+    printedFine,
+    expectedFines
+  }
+}
+
+/**
+ * Look up a ticket's offense in the catalogue
+ * fields: extracted fields (violationType, fineAmount; measuredSpeed and speedLimit when known)
+ * Returns { found, catalogueVersion, matchedBy, ambiguous, candidates, offense, fine, points, courtOnly, tier, fineCheck }.
+ * fine / points / courtOnly are null when they cannot be determined (e.g. a speed offense without speeds or a matching fine).
+ */
+export function lookupOffense(fields = {}) {
+  const violationType = fields.violationType || ''
+  const catalogueVersion = OFFENSE_CATALOGUE.version
+  if (!violationType) return { found: false, catalogueVersion }
+
+  const { matchedBy, candidates } = findCandidates(violationType)
+  if (candidates.length === 0) return { found: false, catalogueVersion }
+
+  const remaining = narrowCandidates(candidates, violationType)
+  const penalties = remaining.map(offense => resolvePenalty(offense, fields))
+
+  // Several offenses left: only facts they agree on are reported
+  const agreed = (key) => penalties.every(penalty => JSON.stringify(penalty[key]) === JSON.stringify(penalties[0][key])) ? penalties[0][key] : null
+  const penalty = {
+    fine: agreed('fine'),
+    points: agreed('points'),
+    courtOnly: agreed('courtOnly'),
+    tier: agreed('tier'),
+    scheduledFines: [...new Set(penalties.flatMap(candidate => candidate.scheduledFines))]
+  }
+  const [offense] = remaining
+
+  return {
+    found: true,
+    catalogueVersion,
+    matchedBy,
+    ambiguous: remaining.length > 1,
+    candidates: remaining.map(candidate => candidate.id),
+    offense: {
+      id: offense.id,
+      section: offense.section,
+      description: offense.description,
+      category: offense.category
+    },
+    fine: penalty.fine,
+    points: penalty.points,
+    courtOnly: penalty.courtOnly,
+    tier: penalty.tier,
+    fineCheck: checkFine(parseInt(fields.fineAmount) || null, penalty)
+  }
+}
+
+/**
+ * Printed fine against the schedule, for the extraction validation result
+ * Returns null when the offense is not in the catalogue
+ */
+export function checkScheduledFine(fields) {
+  const schedule = lookupOffense(fields)
+  if (!schedule.found) return null
+
+  return {
+    ...schedule.fineCheck,
+    offenseId: schedule.offense.id,
+    section: schedule.offense.section,
+    catalogueVersion: schedule.catalogueVersion
+  }
+}
+
+// Speed measurement tolerance: a fixed deduction below percentFrom km/h, a percentage from it
+function getSpeedTolerance(measuredSpeed) {
+  const { kmh, percent, percentFrom } = OFFENSE_CATALOGUE.speedTolerance
+  return measuredSpeed >= percentFrom ? Math.ceil(measuredSpeed * percent / 100) : kmh
+}
+
+function findSpeedTier(tiers, excess) {
+  if (!tiers || excess <= 0) return null
+  return tiers.find(tier => excess >= tier.excessFrom && (tier.excessTo === null || excess <= tier.excessTo)) || null
+}
+
+/**
+ * Speed analysis of a speeding ticket
+ * fields: measuredSpeed, speedLimit (required), roadType, enforcementDevice, deviceId, violationType
+ * Returns null without both speeds. The tier comes from the printed excess; adjustedTier from the excess
+ * after the measurement tolerance - a different tier means a measurement error within tolerance changes the penalty.
+ * The catalogue has one speed schedule for all roads; roadType is reported but does not select the tiers.
+ */
+export function analyzeSpeed(fields = {}) {
+  const measuredSpeed = parseInt(fields.measuredSpeed)
+  const speedLimit = parseInt(fields.speedLimit)
+  if (!(measuredSpeed > 0) || !(speedLimit > 0)) return null
+
+  const roadType = fields.roadType || detectRoadType(fields.violationType)
+  const tiers = OFFENSES.find(offense => offense.category === 'speed')?.tiers || null
+
+  const excess = measuredSpeed - speedLimit
+  const deduction = getSpeedTolerance(measuredSpeed)
+  const adjustedExcess = excess - deduction
+  const tier = findSpeedTier(tiers, excess)
+  const adjustedTier = findSpeedTier(tiers, adjustedExcess)
+  const nextTier = tier && tiers[tiers.indexOf(tier) + 1]
+
+  return {
+    measuredSpeed,
+    speedLimit,
+    roadType,
+    enforcementDevice: fields.enforcementDevice || null,
+    deviceId: fields.deviceId || null,
+    excess,
+    excessPercent: Math.round((excess / speedLimit) * 1000) / 10,
+    tolerance: {
+      deduction,
+      adjustedSpeed: measuredSpeed - deduction,
+      adjustedExcess
+    },
+    tier,
+    adjustedTier,
+    // km/h the measurement is above the threshold of its tier, and below the next one
+    marginOverTier: tier ? excess - tier.excessFrom + 1 : null,
+    marginToNextTier: nextTier ? nextTier.excessFrom - excess : null,
+    withinTolerance: adjustedExcess <= 0,
+    tierChangesWithinTolerance: Boolean(tier) && adjustedTier !== tier
+  }
+}
@@ -0,0 +1,172 @@
+import { supabase } from '../config/supabase.js'
+import dotenv from 'dotenv'
+import { getDaysLeft } from './deadlineService.js'
+
+dotenv.config()
+
+/**
+ * Payment Service - Payment workflow on the reports.payment column
+ * payment: { required, status: pending | paid, amountDue, reason, requiredAt,
+ *            paidAmount, paidAt, referenceNumber, method, receipt, updatedAt }
+ */
+
+export const PAYMENT_STATUSES = ['pending', 'paid']
+
+export const PAYMENT_RULES = {
+  // Fines paid after the payment deadline are increased by half (תוספת פיגור)
+  lateSurchargeRate: parseFloat(process.env.PAYMENT_LATE_SURCHARGE_RATE) || 0.5
+}
+
+// Fine amount from the analysis, falling back to the extracted field
+export function getFineAmount(report) {
+  return parseInt(report.payment?.amountDue) ||
+    parseInt(report.analysis_results?.legalAnalysis?.fineAmount) ||
+    parseInt(report.ocr_results?.extractedFields?.fineAmount) ||
+    0
+}
+
+/**
+ * Amount due for a report on a given date, including the late-payment surcharge
+ */
+export function calculateAmountDue(report, asOf = new Date()) {
+  const baseAmount = getFineAmount(report)
+  const daysLate = report.payment_deadline ? Math.max(0, -getDaysLeft(report.payment_deadline, asOf)) : 0
+  const surcharge = daysLate > 0 ? Math.round(baseAmount * PAYMENT_RULES.lateSurchargeRate) : 0
+
+  return {
+    baseAmount,
+    surcharge,
+    total: baseAmount + surcharge,
+    daysLate,
+    deadline: report.payment_deadline || null
+  }
+}
+
+// Payment state with the amounts computed for today
+export function getPaymentSummary(report, asOf = new Date()) {
+  const payment = report.payment || { required: false, status: 'pending' }
+  return {
+    ...payment,
+    amounts: payment.status === 'paid' ? null : calculateAmountDue(report, asOf)
+  }
+}
+
+export const updateReportPayment = async (reportId, payment) => {
+  try {
+    const { data: report, error } = await supabase
+      .from('reports')
+      .update({
+        payment,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', reportId)
+      .select()
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, report }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Move a report into the payment workflow (e.g. when the recommendation is to pay)
+export const startPaymentWorkflow = async (report, reason) => {
+  if (report.payment?.required || report.payment?.status === 'paid') {
+    return { success: true, report, alreadyStarted: true }
+  }
+
+  return updateReportPayment(report.id, {
+    ...report.payment,
+    required: true,
+    status: 'pending',
+    amountDue: getFineAmount(report),
+    reason,
+    requiredAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  })
+}
+
+/**
+ * Mark a report as paid
+ * details: { amount, paidAt, referenceNumber, method, receipt }
+ */
+export const markReportPaid = async (report, details) => {
+  const paidAt = details.paidAt ? new Date(details.paidAt) : new Date()
+  const amountDue = calculateAmountDue(report, paidAt)
+
+  return updateReportPayment(report.id, {
+    ...report.payment,
+    required: true,
+    status: 'paid',
+    amountDue: amountDue.baseAmount,
+    surcharge: amountDue.surcharge,
+    paidAmount: details.amount,
+    paidAt: paidAt.toISOString(),
+    paidLate: amountDue.daysLate > 0,
+    referenceNumber: details.referenceNumber || null,
+    method: details.method || null,
+    receipt: details.receipt || report.payment?.receipt || null,
+    updatedAt: new Date().toISOString()
+  })
+}
+
+/**
+ * Unpaid reports in the payment workflow with totals
+ * scope: { userId } or { companyId }
+ */
+export const getOutstandingPayments = async (scope) => {
+  try {
+    let query = supabase
+      .from('reports')
+      .select('id, user_id, company_id, ocr_results, analysis_results, payment, payment_deadline, created_at')
+      .eq('payment->>required', 'true')
+      .neq('payment->>status', 'paid')
+
+    query = scope.companyId ? query.eq('company_id', scope.companyId) : query.eq('user_id', scope.userId)
+
+    const { data: reports, error } = await query
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
+    const items = reports.map(report => ({
+      reportId: report.id,
+      userId: report.user_id,
+      reportNumber: report.ocr_results?.extractedFields?.reportNumber || null,
+      violationType: report.ocr_results?.extractedFields?.violationType || null,
+      ...calculateAmountDue(report)
+    }))
+
+    const totals = items.reduce((sum, item) => ({
+      count: sum.count + 1,
+      baseAmount: sum.baseAmount + item.baseAmount,
+      surcharge: sum.surcharge + item.surcharge,
+      total: sum.total + item.total,
+      overdue: sum.overdue + (item.daysLate > 0 ? 1 : 0)
+    }), { count: 0, baseAmount: 0, surcharge: 0, total: 0, overdue: 0 })
+
+    return { success: true, items, totals }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Outstanding totals per driver of a company
+export function groupOutstandingByDriver(items) {
+  const drivers = {}
+
+  items.forEach(item => {
+    if (!drivers[item.userId]) {
+      drivers[item.userId] = { userId: item.userId, count: 0, total: 0, overdue: 0 }
+    }
+    drivers[item.userId].count++
+    drivers[item.userId].total += item.total
+    if (item.daysLate > 0) drivers[item.userId].overdue++
+  })
+
+  return Object.values(drivers).sort((a, b) => b.total - a.total)
+}
@@ -0,0 +1,93 @@
+import { EventEmitter } from 'events'
+
+/**
+ * Report Events Service - In-process pub/sub for live report progress
+ * The background pipeline publishes status transitions, pipeline steps and errors;
+ * SSE connections subscribe per report. A short history is kept per report so a
+ * client that connects right after upload (or reconnects) does not miss events.
+ */
+
+export const REPORT_EVENT_TYPES = {
+  status: 'status',
+  step: 'step',
+  error: 'error'
+}
+
+const HISTORY_LIMIT = 50
+// Keep history around for a while after the last event, then drop it
+const HISTORY_TTL_MS = 10 * 60 * 1000
+
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)
+
+const histories = new Map()
+
+function recordEvent(reportId, event) {
+  let history = histories.get(reportId)
+  if (!history) {
+    history = { nextId: 1, events: [], expiryTimer: null }
+    histories.set(reportId, history)
+  }
+
+  event.id = history.nextId++
+  history.events.push(event)
+  if (history.events.length > HISTORY_LIMIT) {
+    history.events.shift()
+  }
+
+  clearTimeout(history.expiryTimer)
+  history.expiryTimer = setTimeout(() => histories.delete(reportId), HISTORY_TTL_MS)
+  history.expiryTimer.unref()
+
+  return event
+}
+
+// Publish an event for a report to every subscriber
+export function publishReportEvent(reportId, type, data = {}) {
+  if (!reportId) return null
+
+  const event = recordEvent(reportId, {
+    type,
+    reportId,
+    data,
+    timestamp: new Date().toISOString()
+  })
+
+  emitter.emit(reportId, event)
+  return event
+}
+
+export function publishReportStatus(reportId, status, errorMessage = null) {
+  return publishReportEvent(reportId, REPORT_EVENT_TYPES.status, {
+    status,
+    ...(errorMessage && { errorMessage })
+  })
+}
+
+export function publishReportError(reportId, stage, error, details = {}) {
+  return publishReportEvent(reportId, REPORT_EVENT_TYPES.error, {
+    stage,
+    message: error.message || String(error),
+    ...details
+  })
+}
+
+// Progress callback handed to extractTextFromDocument / analyzeTrafficViolation
+export function createProgressReporter(reportId) {
+  return (step, details = {}) => {
+    publishReportEvent(reportId, REPORT_EVENT_TYPES.step, { step, ...details })
+  }
+}
+
+// Events already published for a report, optionally only those after a given event ID
+export function getRecentReportEvents(reportId, afterId = 0) {
+  const history = histories.get(reportId)
+  if (!history) return []
+  return history.events.filter(event => event.id > afterId)
+}
+
+// Subscribe to a report's events; returns the unsubscribe function
+export function subscribeToReportEvents(reportId, listener) {
+  emitter.on(reportId, listener)
+  return () => emitter.off(reportId, listener)
+}
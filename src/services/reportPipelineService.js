@@ -0,0 +1,312 @@
+import { extractTextFromDocument } from './ocrService.js'
+import { analyzeTrafficViolation } from './aiService.js'
+import { retrieveFile } from './fileStorageService.js'
+import { registerJobHandler, enqueueJob, getActiveReportJobs } from './jobQueueService.js'
+import { createProgressReporter, publishReportError } from './reportEventsService.js'
+import { evaluateDriverRisk } from './driverRiskService.js'
+import { notifyReportOwner, notifyCompanyAdmins } from './notificationService.js'
+import { getUserById } from './userService.js'
+import { updateReportDeadlines } from './deadlineService.js'
+import { startPaymentWorkflow } from './paymentService.js'
+import { checkScheduledFine } from './offenseCatalogueService.js'
+import {
+  checkUsageQuota,
+  recordAIUsage,
+  getOCRUsageEntries,
+  getAnalysisUsageEntries
+} from './usageService.js'
+import {
+  getReportById,
+  updateReportOCR,
+  updateReportAnalysis,
+  updateReportStatus
+} from './reportsService.js'
+
+/**
+ * Report Pipeline Service - Background OCR and analysis jobs
+ * Moves reports through uploaded → ocr_processing → ocr_complete → ai_processing → complete/error
+ */
+
+export const JOB_TYPES = {
+  ocr: 'report_ocr',
+  analysis: 'report_analysis',
+  driverRisk: 'driver_risk'
+}
+
+// A report runs one OCR / analysis job at a time: a new one is refused (duplicate, with the active job)
+// while another is queued or running
+async function enqueueReportJob(type, payload) {
+  const activeResult = await getActiveReportJobs(payload.reportId, [JOB_TYPES.ocr, JOB_TYPES.analysis])
+  if (!activeResult.success) {
+    return activeResult
+  }
+
+  const [activeJob] = activeResult.jobs
+  if (activeJob) {
+    return {
+      success: false,
+      duplicate: true,
+      job: activeJob,
+      error: `Report already has a ${activeJob.type} job ${activeJob.status}`
+    }
+  }
+
+  return enqueueJob(type, payload, { reportId: payload.reportId })
+}
+
+// Queue OCR for an uploaded report
+export const enqueueReportOCR = async (reportId, options = {}) => {
+  return enqueueReportJob(JOB_TYPES.ocr, { reportId, ocrProvider: options.ocrProvider || null })
+}
+
+// Queue AI analysis for a report (optionally with user-corrected fields)
+export const enqueueReportAnalysis = async (reportId, correctedFields = null) => {
+  return enqueueReportJob(JOB_TYPES.analysis, { reportId, correctedFields })
+}
+
+// Queue a risk recalculation for a fleet driver
+export const enqueueDriverRiskEvaluation = async (userId, companyId, reportId = null) => {
+  return enqueueJob(JOB_TYPES.driverRisk, { userId, companyId }, { reportId })
+}
+
+// Merge user-corrected fields into the OCR results used for analysis
+export function applyCorrectedFields(ocrResults, correctedFields) {
+  const analysisData = { ...ocrResults }
+
+  if (!correctedFields) {
+    return analysisData
+  }
+
+  analysisData.extractedFields = {
+    ...analysisData.extractedFields,
+    ...correctedFields
+  }
+  analysisData.confidenceScores = { ...analysisData.confidenceScores }
+
+  // Update confidence scores for corrected fields (set to high confidence)
+  Object.keys(correctedFields).forEach(fieldName => {
+    if (correctedFields[fieldName] && correctedFields[fieldName].toString().trim()) {
+      analysisData.confidenceScores[fieldName] = 0.95 // High confidence for user-corrected data
+    }
+  })
+
+  // Update validation completeness
+  if (analysisData.validation) {
+    const requiredFields = ['reportNumber', 'violationDate', 'violationType', 'fineAmount']
+    const correctedRequiredFields = requiredFields.filter(field =>
+      analysisData.extractedFields[field] && analysisData.extractedFields[field].toString().trim()
+    )
+    analysisData.validation = {
+      ...analysisData.validation,
+      completeness: (correctedRequiredFields.length / requiredFields.length) * 100,
+      isValid: correctedRequiredFields.length === requiredFields.length,
+      fineCheck: checkScheduledFine(analysisData.extractedFields)
+    }
+  }
+
+  return analysisData
+}
+
+// Notifications are best effort - a failed delivery never fails the job
+async function notifySafely(send) {
+  try {
+    await send()
+  } catch (error) {
+    console.error('❌ Notification failed:', error.message)
+  }
+}
+
+async function notifyProcessingFailed(reportId) {
+  const reportResult = await getReportById(reportId)
+  if (reportResult.success) {
+    await notifySafely(() => notifyReportOwner(reportResult.report, 'analysis_failed'))
+  }
+}
+
+async function storeDeadlines(reportId, extractedFields, uploadedAt) {
+  const deadlineResult = await updateReportDeadlines(reportId, extractedFields, uploadedAt)
+  if (!deadlineResult.success) {
+    console.warn('⚠️ Failed to store report deadlines:', deadlineResult.error)
+  }
+}
+
+// Whether AI may be used for a report (false once its owner's or company's monthly quota is used up)
+async function isAIEnabled(report) {
+  const quota = await checkUsageQuota({ userId: report.user_id, companyId: report.company_id })
+  if (!quota.aiEnabled) {
+    console.warn(`⚠️ ${quota.scope} usage quota exceeded for report ${report.id} ($${quota.spent.toFixed(2)} of $${quota.limit}), processing without AI`)
+  }
+  return quota.aiEnabled
+}
+
+// Usage is keyed by job: a retried attempt never records the same task twice
+function getUsageContext(report, job) {
+  return { userId: report.user_id, companyId: report.company_id, reportId: report.id, jobId: job.id }
+}
+
+async function loadReport(reportId) {
+  const reportResult = await getReportById(reportId)
+  if (!reportResult.success) {
+    throw new Error(`Report not found: ${reportResult.error}`)
+  }
+  return reportResult.report
+}
+
+// Publish failed attempts to live progress subscribers before the queue handles the retry
+async function withErrorEvents(job, stage, run) {
+  try {
+    return await run()
+  } catch (error) {
+    publishReportError(job.payload.reportId, stage, error, {
+      attempt: job.attempts,
+      maxAttempts: job.max_attempts,
+      willRetry: job.attempts < job.max_attempts
+    })
+    throw error
+  }
+}
+
+// OCR job: read the stored original document and run the OCR pipeline
+registerJobHandler(JOB_TYPES.ocr, {
+  async process(job) {
+    const { reportId, ocrProvider } = job.payload
+
+    return withErrorEvents(job, 'ocr', async () => {
+      const report = await loadReport(reportId)
+
+      await updateReportStatus(reportId, 'ocr_processing')
+
+      const fileResult = await retrieveFile(report.original_file?.storage)
+      if (!fileResult.success) {
+        throw new Error(`Original document unavailable: ${fileResult.error}`)
+      }
+
+      const ocrResults = await extractTextFromDocument({
+        buffer: fileResult.buffer,
+        originalName: report.original_file.filename,
+        mimetype: report.original_file.mimetype,
+        ocrProvider
+      }, {
+        onProgress: createProgressReporter(reportId),
+        aiEnabled: await isAIEnabled(report)
+      })
+
+      const ocrUpdateResult = await updateReportOCR(reportId, ocrResults)
+      if (!ocrUpdateResult.success) {
+        throw new Error(`Failed to update OCR results: ${ocrUpdateResult.error}`)
+      }
+
+      await recordAIUsage(getUsageContext(report, job), getOCRUsageEntries(ocrResults))
+
+      await storeDeadlines(reportId, ocrResults.extractedFields, report.created_at)
+
+      return {
+        status: 'ocr_complete',
+        pipeline: ocrResults.processingInfo?.pipeline
+      }
+    })
+  },
+
+  async onFailure(job, error) {
+    await updateReportStatus(job.payload.reportId, 'error', `OCR processing failed: ${error.message}`)
+    await notifyProcessingFailed(job.payload.reportId)
+  }
+})
+
+// Analysis job: legal search and AI analysis of the (possibly corrected) OCR results
+registerJobHandler(JOB_TYPES.analysis, {
+  async process(job) {
+    const { reportId, correctedFields } = job.payload
+
+    return withErrorEvents(job, 'analysis', async () => {
+      const report = await loadReport(reportId)
+
+      if (!report.ocr_results) {
+        throw new Error('OCR not completed')
+      }
+
+      await updateReportStatus(reportId, 'ai_processing')
+
+      const analysisData = applyCorrectedFields(report.ocr_results, correctedFields)
+
+      // Corrected dates change the deadlines
+      if (correctedFields) {
+        await storeDeadlines(reportId, analysisData.extractedFields, report.created_at)
+      }
+      const analysisResults = await analyzeTrafficViolation(analysisData, {
+        onProgress: createProgressReporter(reportId),
+        aiEnabled: await isAIEnabled(report)
+      })
+
+      const analysisUpdateResult = await updateReportAnalysis(reportId, analysisResults)
+      if (!analysisUpdateResult.success) {
+        throw new Error(`Failed to update analysis results: ${analysisUpdateResult.error}`)
+      }
+
+      await recordAIUsage(getUsageContext(report, job), getAnalysisUsageEntries(analysisResults))
+
+      // Tickets not worth appealing go straight into the payment workflow
+      if (analysisResults.appealAssessment?.recommendation === 'pay') {
+        const paymentResult = await startPaymentWorkflow(analysisUpdateResult.report, 'recommendation')
+        if (!paymentResult.success) {
+          console.warn('⚠️ Failed to start payment workflow:', paymentResult.error)
+        }
+      }
+
+      await notifySafely(() => notifyReportOwner(report, 'analysis_complete', {
+        recommendation: analysisResults.appealAssessment?.recommendation,
+        probability: analysisResults.appealAssessment?.probability
+      }))
+
+      // Fleet drivers: the new ticket may change the driver's risk score
+      if (report.company_id) {
+        const riskJobResult = await enqueueDriverRiskEvaluation(report.user_id, report.company_id, reportId)
+        if (!riskJobResult.success) {
+          console.warn('⚠️ Failed to queue driver risk evaluation:', riskJobResult.error)
+        }
+      }
+
+      return {
+        status: 'complete',
+        recommendation: analysisResults.appealAssessment?.recommendation
+      }
+    })
+  },
+
+  async onFailure(job, error) {
+    await updateReportStatus(job.payload.reportId, 'error', `AI analysis failed: ${error.message}`)
+    await notifyProcessingFailed(job.payload.reportId)
+  }
+})
+
+// Driver risk job: recalculate the score and raise a fleet alert when the threshold is crossed
+registerJobHandler(JOB_TYPES.driverRisk, {
+  async process(job) {
+    const { userId, companyId } = job.payload
+
+    const riskResult = await evaluateDriverRisk(userId, companyId)
+    if (!riskResult.success) {
+      throw new Error(`Failed to evaluate driver risk: ${riskResult.error}`)
+    }
+
+    if (riskResult.alert) {
+      const driverResult = await getUserById(userId)
+      const driver = driverResult.user || {}
+
+      await notifySafely(() => notifyCompanyAdmins(companyId, 'risk_threshold', {
+        driverId: userId,
+        driverName: [driver.first_name, driver.last_name].filter(Boolean).join(' ') || driver.email || userId,
+        score: riskResult.risk.score,
+        threshold: riskResult.risk.threshold,
+        points: riskResult.risk.licenseStatus.points,
+        nextMilestone: riskResult.risk.licenseStatus.next
+      }, { dedupeKey: `fleet_alert:${riskResult.alert.id}` }))
+    }
+
+    return {
+      score: riskResult.risk.score,
+      level: riskResult.risk.level,
+      alertId: riskResult.alert?.id || null
+    }
+  }
+})
@@ -1,5 +1,6 @@
 import { supabase } from '../config/supabase.js'
 import { v4 as uuidv4 } from 'uuid'
+import { publishReportStatus } from './reportEventsService.js'
 
 /**
  * Reports Service - Handles all report-related database operations
@@ -7,7 +8,7 @@ import { v4 as uuidv4 } from 'uuid'
  */
 
 // Create new report session
-export const createReport = async (userId, fileInfo) => {
+export const createReport = async (userId, fileInfo, companyId = null) => {
   try {
     const reportId = uuidv4()
     
@@ -18,12 +19,14 @@ export const createReport = async (userId, fileInfo) => {
         {
           id: reportId,
           user_id: userId,
+          company_id: companyId,
           status: 'uploaded',
           original_file: {
             filename: fileInfo.originalName,
             size: fileInfo.size,
             mimetype: fileInfo.mimetype,
-            uploaded_at: fileInfo.uploadedAt
+            uploaded_at: fileInfo.uploadedAt,
+            storage: fileInfo.storage || null
           },
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
@@ -64,6 +67,7 @@ export const updateReportOCR = async (reportId, ocrResults) => {
       return { success: false, error: error.message }
     }
 
+    publishReportStatus(reportId, report.status)
     return { success: true, report }
   } catch (error) {
     return { success: false, error: error.message }
@@ -89,6 +93,30 @@ export const updateReportAnalysis = async (reportId, analysisResults) => {
       return { success: false, error: error.message }
     }
 
+    publishReportStatus(reportId, report.status)
+    return { success: true, report }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Update report appeal information
+export const updateReportAppeal = async (reportId, appeal) => {
+  try {
+    const { data: report, error } = await supabase
+      .from('reports')
+      .update({
+        appeal,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', reportId)
+      .select()
+      .single()
+
+    if (error) {
+      return { success: false, error: error.message }
+    }
+
     return { success: true, report }
   } catch (error) {
     return { success: false, error: error.message }
@@ -157,12 +185,29 @@ export const updateReportStatus = async (reportId, status, errorMessage = null)
       return { success: false, error: error.message }
     }
 
+    publishReportStatus(reportId, status, errorMessage)
     return { success: true, report }
   } catch (error) {
     return { success: false, error: error.message }
   }
 }
 
+// Check if a request principal owns a report (its uploader, or the company's API key)
+export const isReportOwner = (user, report) => {
+  if (user.authType === 'api_key') {
+    return Boolean(report.company_id) && report.company_id === user.company_id
+  }
+  return user.id === report.user_id
+}
+
+// Check if a request principal may access a report (its owner, or the lawyer it is shared with)
+export const canAccessReport = (user, report) => {
+  if (user.role === 'lawyer' && report.assigned_lawyer_id === user.id) {
+    return true
+  }
+  return isReportOwner(user, report)
+}
+
 // Check if user owns report (authorization helper)
 export const verifyReportOwnership = async (reportId, userId) => {
   try {
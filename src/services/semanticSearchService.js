@@ -1,22 +1,85 @@
-import OpenAI from 'openai'
-import dotenv from 'dotenv'
 import { supabase } from '../config/supabase.js'
+import dotenv from 'dotenv'
+import { createEmbedding, createJSONCompletion } from './llmProviders/index.js'
 
 dotenv.config()
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-})
+/**
+ * Legal context retrieval - hybrid search over data_chunks
+ * Three rankings are fused with reciprocal-rank fusion (score = sum of weight / (k + rank)):
+ *   exact   - chunks whose legal reference is the section / offense code printed on the ticket
+ *   keyword - Postgres full-text search over title, reference and content
+ *   vector  - embedding similarity (match_chunks)
+ * The fused list can optionally be re-ranked by the LLM.
+ */
+export const RETRIEVAL_CONFIG = {
+  // Chunks passed to the analysis
+  resultCount: parseInt(process.env.LEGAL_SEARCH_RESULTS) || 5,
+  // Candidates taken from each ranking before fusion
+  candidateCount: parseInt(process.env.LEGAL_SEARCH_CANDIDATES) || 10,
+  minSimilarity: parseFloat(process.env.LEGAL_SEARCH_MIN_SIMILARITY) || 0.3,
+  rrfK: parseInt(process.env.LEGAL_SEARCH_RRF_K) || 60,
+  weights: { exact: 2, keyword: 1, vector: 1 },
+  rerank: process.env.LEGAL_SEARCH_RERANK === 'true'
+}
+
+const NO_LEGAL_CONTEXT = 'לא ניתן היה לאחזר מידע משפטי רלוונטי.'
+
+// Words too common in ticket descriptions to help keyword search
+const STOP_WORDS = new Set(['של', 'על', 'את', 'עם', 'או', 'גם', 'לא', 'אל', 'כי', 'אם', 'עבירה', 'עבירת', 'סעיף', 'תקנה', 'סמל', 'קמ"ש', 'קמ״ש'])
+
+/**
+ * Statute sections and offense codes printed in a violation description
+ * "תקנה 54(א) - מהירות" -> sections [{ label: 'תקנה', number: '54', subsection: '(א)' }]
+ * "סמל עבירה 6536" / "6536 - מהירות עירונית" -> offenseCodes ['6536']
+ * A section without a label ("22(א) מעבר ברמזור") gets label null.
+ */
+export function extractLegalReferences(violationType) {
+  const text = violationType || ''
+  const sections = []
+  const offenseCodes = new Set()
+
+  const addSection = (label, number, subsection) => {
+    const section = { label, number, subsection: (subsection || '').replace(/\s+/g, '') }
+    if (!sections.some(existing => existing.number === section.number && existing.subsection === section.subsection)) {
+      sections.push(section)
+    }
+  }
+
+  for (const match of text.matchAll(/(תקנות|תקנה|סעיף|ס['׳])\s*(\d+[א-ת]?)((?:\s*\([א-ת0-9]+\))*)/g)) {
+    addSection(match[1].startsWith('ס') ? 'סעיף' : 'תקנה', match[2], match[3])
+  }
+  for (const match of text.matchAll(/(?:^|[\s,])(\d{1,3}[א-ת]?)((?:\([א-ת0-9]+\))+)/g)) {
+    addSection(null, match[1], match[2])
+  }
+
+  for (const match of text.matchAll(/סמל(?:\s+עבירה)?\s*:?\s*(\d{3,5})/g)) {
+    offenseCodes.add(match[1])
+  }
+  const leadingCode = text.match(/^\s*(\d{4})(?=\s*[-–:(]|\s*$)/)
+  if (leadingCode) offenseCodes.add(leadingCode[1])
+
+  return { sections, offenseCodes: [...offenseCodes] }
+}
+
+export function formatSectionReference(section) {
+  return `${section.label ? `${section.label} ` : ''}${section.number}${section.subsection}`
+}
 
 /**
  * Create a search query from extracted violation fields
  */
-function buildViolationSearchQuery(extractedFields) {
-  const parts = []
-  
-  // Always start with general traffic violation context
-  parts.push('עבירת תנועה')
-  
+function buildViolationSearchQuery(extractedFields, references) {
+  const parts = ['עבירת תנועה']
+
+  if (extractedFields.violationType) {
+    parts.push(extractedFields.violationType)
+  }
+  references.sections
+    .map(formatSectionReference)
+    .filter(reference => !parts.some(part => part.includes(reference)))
+    .forEach(reference => parts.push(reference))
+
   // Add severity context based on fine amount
   if (extractedFields.fineAmount) {
     const amount = parseInt(extractedFields.fineAmount)
@@ -24,52 +87,39 @@ function buildViolationSearchQuery(extractedFields) {
       parts.push('עבירה חמורה ערעור')
     } else if (amount > 500) {
       parts.push('עבירה בינונית ערעור')
-    } else {
-      parts.push('עבירה קלה')
     }
   }
-  
+
   // Add points context for severity
-  if (extractedFields.points) {
-    const points = parseInt(extractedFields.points)
-    if (points >= 6) {
-      parts.push('נקודות רבות ערעור')
-    } else if (points >= 2) {
-      parts.push('נקודות ערעור')
-    }
+  if (extractedFields.points && parseInt(extractedFields.points) >= 6) {
+    parts.push('נקודות רבות ערעור')
   }
-  
-  // Add general legal concepts that might match our chunks
-  parts.push('הליך משפטי')
-  parts.push('בית משפט')
-  
-  // Add violation type but make it more general
-  if (extractedFields.violationType) {
-    if (extractedFields.violationType.includes('מהירות')) {
-      parts.push('עבירת מהירות')
-    } else if (extractedFields.violationType.includes('חניה')) {
-      parts.push('עבירת חניה')
-    } else {
-      parts.push('עבירה')
-    }
-  }
-  
+
   return parts.join(' ')
 }
 
+// Full-text search terms from the violation description (websearch syntax: any of the terms)
+function buildKeywordQuery(extractedFields, references) {
+  const words = (extractedFields.violationType || '')
+    .replace(/[^\p{L}\p{N}\s"״]/gu, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/["״]/g, ''))
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+
+  const terms = [...new Set([...words, ...references.offenseCodes])]
+  return terms.join(' or ')
+}
+
 /**
- * Get embedding for violation context using OpenAI
+ * Get embedding for violation context using the configured embedding model
  */
 async function getViolationEmbedding(searchQuery) {
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: searchQuery
-    })
-    
+    const response = await createEmbedding(searchQuery)
+
     return {
       success: true,
-      embedding: response.data[0].embedding,
+      embedding: response.embedding,
       usage: response.usage
     }
   } catch (error) {
@@ -81,72 +131,171 @@ async function getViolationEmbedding(searchQuery) {
   }
 }
 
+const SECTION_LABEL_PATTERNS = {
+  'סעיף': "(?:סעיף|ס['׳])",
+  'תקנה': '(?:תקנות|תקנה)'
+}
+
+// Label and number of a section, valid both as a JS and a Postgres regex (תקנה 54 matches תקנה 54(א) but not תקנה 540 or 154)
+function getSectionPattern(section) {
+  const label = SECTION_LABEL_PATTERNS[section.label] || `(?:${Object.values(SECTION_LABEL_PATTERNS).join('|')})`
+  return `${label}\\s*${section.number}(?:[^0-9א-ת]|$)`
+}
+
+// Does a chunk's legal reference name this section?
+function matchesSection(legalReference, section) {
+  if (!legalReference) return 0
+
+  if (!new RegExp(getSectionPattern(section)).test(legalReference)) return 0
+
+  // A reference naming the same subsection is a better match
+  return section.subsection && legalReference.replace(/\s+/g, '').includes(`${section.number}${section.subsection}`) ? 2 : 1
+}
+
 /**
- * Query similar legal chunks from Supabase using vector similarity
+ * Chunks whose legal reference is a section, or whose text contains an offense code, from the ticket
+ * A failed lookup is skipped; the candidates of the others are kept.
  */
-async function querySimilarChunks(embedding, limit = 3) {
-  try {
-    const { data, error } = await supabase.rpc('match_chunks', {
-      query_embedding: embedding,
-      match_threshold: 0.3, // Lowered threshold for broader matches
-      match_count: limit
+async function queryExactMatches(references) {
+  const candidates = new Map()
+  const addCandidates = (rows, scoreRow) => {
+    rows.forEach(row => {
+      const score = scoreRow(row)
+      if (score > 0 && score > (candidates.get(row.id)?.exactScore || 0)) {
+        candidates.set(row.id, { ...row, exactScore: score })
+      }
     })
-    
+  }
+
+  for (const section of references.sections) {
+    const { data, error } = await supabase
+      .from('data_chunks')
+      .select('id, title, content, category, source, legal_reference')
+      .eq('enabled', true)
+      .filter('legal_reference', 'imatch', getSectionPattern(section))
+      .limit(RETRIEVAL_CONFIG.candidateCount * 3)
+
     if (error) {
-      // Fallback to direct vector query if RPC function doesn't exist
-      console.warn('RPC function not found, using direct vector query')
-      return await directVectorQuery(embedding, limit)
-    }
-    
-    return {
-      success: true,
-      chunks: data || [],
-      count: data?.length || 0
+      console.warn(`⚠️ Exact reference search failed for ${formatSectionReference(section)}:`, error.message)
+      continue
     }
-  } catch (error) {
-    console.error('❌ Failed to query similar chunks:', error)
-    return {
-      success: false,
-      error: error.message,
-      chunks: []
+    addCandidates(data, row => matchesSection(row.legal_reference, section) * 2)
+  }
+
+  for (const code of references.offenseCodes) {
+    const { data, error } = await supabase
+      .from('data_chunks')
+      .select('id, title, content, category, source, legal_reference')
+      .eq('enabled', true)
+      .or(`legal_reference.ilike.*${code}*,content.ilike.*${code}*`)
+      .limit(RETRIEVAL_CONFIG.candidateCount)
+
+    if (error) {
+      console.warn(`⚠️ Exact reference search failed for offense code ${code}:`, error.message)
+      continue
     }
+    addCandidates(data, row => (new RegExp(`(?<!\\d)${code}(?!\\d)`).test(`${row.legal_reference || ''} ${row.content}`) ? 1 : 0))
+  }
+
+  return [...candidates.values()]
+    .sort((a, b) => b.exactScore - a.exactScore)
+    .slice(0, RETRIEVAL_CONFIG.candidateCount)
+}
+
+/**
+ * Postgres full-text search (search_chunks_text), ranked by ts_rank
+ */
+async function queryKeywordMatches(keywordQuery) {
+  if (!keywordQuery) return []
+
+  const { data, error } = await supabase.rpc('search_chunks_text', {
+    query_text: keywordQuery,
+    match_count: RETRIEVAL_CONFIG.candidateCount
+  })
+
+  if (error) {
+    // Databases without the full-text column / function still get exact and vector matches
+    console.warn('⚠️ Keyword search unavailable:', error.message)
+    return []
   }
+  return data || []
 }
 
 /**
- * Direct vector similarity query (fallback)
+ * Query similar legal chunks from Supabase using vector similarity
+ */
+async function querySimilarChunks(embedding) {
+  const { data, error } = await supabase.rpc('match_chunks', {
+    query_embedding: embedding,
+    match_threshold: RETRIEVAL_CONFIG.minSimilarity,
+    match_count: RETRIEVAL_CONFIG.candidateCount
+  })
+
+  if (error) {
+    console.warn('⚠️ Vector search failed:', error.message)
+    return []
+  }
+  return data || []
+}
+
+/**
+ * Reciprocal-rank fusion of several rankings
+ * rankings: { name: [chunk, ...] } best first; weights: { name: weight }
+ * Returns chunks sorted by fused score with { score, matchedBy, ranks } (similarity kept from the vector ranking)
+ */
+export function fuseRankings(rankings, k = RETRIEVAL_CONFIG.rrfK, weights = RETRIEVAL_CONFIG.weights) {
+  const fused = new Map()
+
+  for (const [name, chunks] of Object.entries(rankings)) {
+    chunks.forEach((chunk, index) => {
+      const entry = fused.get(chunk.id) || { ...chunk, score: 0, matchedBy: [], ranks: {} }
+      entry.score += (weights[name] ?? 1) / (k + index + 1)
+      entry.matchedBy.push(name)
+      entry.ranks[name] = index + 1
+      if (chunk.similarity !== undefined) entry.similarity = chunk.similarity
+      fused.set(chunk.id, entry)
+    })
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Let the LLM order the fused chunks by relevance to the ticket
+ * Keeps the fused order when the response is unusable
  */
-async function directVectorQuery(embedding, limit) {
+async function rerankChunks(extractedFields, chunks) {
   try {
-    // Use RPC call for vector similarity since direct ordering with vectors can be problematic
-    const { data, error } = await supabase.rpc('match_chunks', {
-      query_embedding: embedding,
-      match_threshold: 0.1, // Very low threshold to get any results
-      match_count: limit
+    const completion = await createJSONCompletion({
+      task: 'legal_rerank',
+      messages: [
+        {
+          role: 'system',
+          content: 'אתה מומחה לדיני תעבורה. דרג את קטעי המידע המשפטי לפי מידת הרלוונטיות שלהם לדוח. החזר JSON: {"ranking": [מספרי הקטעים מהרלוונטי ביותר]}'
+        },
+        {
+          role: 'user',
+          content: `סוג עבירה: ${extractedFields.violationType || 'לא זוהה'}\n\n${chunks.map((chunk, index) =>
+            `${index + 1}. ${chunk.title}${chunk.legal_reference ? ` (${chunk.legal_reference})` : ''}\n${(chunk.content || '').slice(0, 500)}`
+          ).join('\n\n')}`
+        }
+      ],
+      temperature: 0,
+      maxTokens: 200
     })
-    
-    // If RPC still fails, return empty results gracefully
-    if (error) {
-      console.warn('⚠️ Both RPC and direct query failed, returning empty results')
-      return {
-        success: true,
-        chunks: [],
-        count: 0
-      }
-    }
-    
-    return {
-      success: true,
-      chunks: data || [],
-      count: data?.length || 0
-    }
+
+    const ranking = (completion.data.ranking || [])
+      .map(position => parseInt(position) - 1)
+      .filter((index, position, all) => index >= 0 && index < chunks.length && all.indexOf(index) === position)
+
+    const reranked = [
+      ...ranking.map(index => chunks[index]),
+      ...chunks.filter((_, index) => !ranking.includes(index))
+    ]
+    return { chunks: reranked, usage: completion.usage, model: completion.model }
   } catch (error) {
-    console.error('❌ Direct vector query failed:', error)
-    return {
-      success: false,
-      error: error.message,
-      chunks: []
-    }
+    console.warn('⚠️ Legal context re-ranking failed, keeping fused order:', error.message)
+    return { chunks }
   }
 }
 
@@ -157,95 +306,97 @@ function formatChunksForPrompt(chunks) {
   if (!chunks || chunks.length === 0) {
     return 'אין מידע משפטי רלוונטי זמין.'
   }
-  
+
   return chunks.map((chunk, index) => {
     const parts = [
-      `${index + 1}. ${chunk.title}`,
+      `${index + 1}. ${chunk.title}${chunk.matchedBy?.includes('exact') ? ' [הסעיף שלפיו ניתן הדוח]' : ''}`,
       `קטגוריה: ${chunk.category}`,
       `תוכן: ${chunk.content}`
     ]
-    
+
     if (chunk.legal_reference) {
       parts.push(`סעיף חוקי: ${chunk.legal_reference}`)
     }
-    
+
     if (chunk.source) {
       parts.push(`מקור: ${chunk.source}`)
     }
-    
+
     return parts.join('\n')
   }).join('\n\n---\n\n')
 }
 
 /**
  * Main function: Search for similar legal cases/precedents
+ * Returns { legalContext, chunks, searchQuery, appliedReference, embeddingUsage, rerankUsage, metadata }
+ * appliedReference is the legal reference of the best exact match (the rule the ticket was issued under)
  */
 export async function searchSimilarLegalCases(extractedFields) {
   try {
     console.log('🔍 Searching for similar legal cases...')
-    
-    // Step 1: Build search query from violation context
-    const searchQuery = buildViolationSearchQuery(extractedFields)
-    console.log(`📝 Search query: "${searchQuery}"`)
-    
-    // Step 2: Get embedding for the violation context
+
+    // Step 1: Sections / offense codes printed on the ticket, and the search queries
+    const references = extractLegalReferences(extractedFields.violationType)
+    const searchQuery = buildViolationSearchQuery(extractedFields, references)
+    const keywordQuery = buildKeywordQuery(extractedFields, references)
+    console.log(`📝 Search query: "${searchQuery}" (sections: ${references.sections.map(formatSectionReference).join(', ') || 'none'}, offense codes: ${references.offenseCodes.join(', ') || 'none'})`)
+
+    // Step 2: The three rankings (a failed embedding still leaves exact and keyword matches)
     const embeddingResult = await getViolationEmbedding(searchQuery)
     if (!embeddingResult.success) {
-      console.warn('⚠️ Failed to create embedding, proceeding without legal context')
-      return {
-        success: false,
-        error: embeddingResult.error,
-        legalContext: 'לא ניתן היה לאחזר מידע משפטי רלוונטי.',
-        searchQuery,
-        chunks: []
-      }
+      console.warn('⚠️ Failed to create embedding, searching without vector similarity')
     }
-    
-    // Step 3: Query similar chunks from database
-    const queryResult = await querySimilarChunks(embeddingResult.embedding, 3)
-    if (!queryResult.success) {
-      console.warn('⚠️ Failed to query chunks, proceeding without legal context')
-      return {
-        success: false,
-        error: queryResult.error,
-        legalContext: 'לא ניתן היה לאחזר מידע משפטי רלוונטי.',
-        searchQuery,
-        chunks: []
-      }
+
+    const [exact, keyword, vector] = await Promise.all([
+      queryExactMatches(references),
+      queryKeywordMatches(keywordQuery),
+      embeddingResult.success ? querySimilarChunks(embeddingResult.embedding) : []
+    ])
+
+    // Step 3: Fuse, then optionally re-rank
+    let chunks = fuseRankings({ exact, keyword, vector })
+    let rerankResult = null
+    if (RETRIEVAL_CONFIG.rerank && chunks.length > 1) {
+      rerankResult = await rerankChunks(extractedFields, chunks.slice(0, RETRIEVAL_CONFIG.candidateCount))
+      chunks = rerankResult.chunks
     }
-    
+    chunks = chunks.slice(0, RETRIEVAL_CONFIG.resultCount)
+
     // Step 4: Format chunks for AI prompt
-    const legalContext = formatChunksForPrompt(queryResult.chunks)
-    
-    console.log(`✅ Found ${queryResult.count} relevant legal chunks`)
-    
-    // Debug logging for troubleshooting
-    if (queryResult.count === 0) {
-      console.log('🔍 Debug: No chunks found, trying fallback query...')
-      // Try a simple fallback query to see if any chunks exist
-      const fallbackResult = await directVectorQuery(embeddingResult.embedding, 3)
-      console.log(`🔍 Debug: Fallback found ${fallbackResult.count} chunks`)
-    }
-    
+    const legalContext = formatChunksForPrompt(chunks)
+    const appliedChunk = exact.find(chunk => chunk.legal_reference)
+
+    console.log(`✅ Found ${chunks.length} relevant legal chunks (exact ${exact.length}, keyword ${keyword.length}, vector ${vector.length})`)
+
     return {
       success: true,
       legalContext,
       searchQuery,
-      chunks: queryResult.chunks,
+      chunks,
+      appliedReference: appliedChunk ? appliedChunk.legal_reference : null,
       embeddingUsage: embeddingResult.usage,
+      rerankUsage: rerankResult?.usage,
+      rerankModel: rerankResult?.model,
       metadata: {
         searchQuery,
-        chunksFound: queryResult.count,
+        keywordQuery,
+        references: {
+          sections: references.sections.map(formatSectionReference),
+          offenseCodes: references.offenseCodes
+        },
+        candidates: { exact: exact.length, keyword: keyword.length, vector: vector.length },
+        reranked: Boolean(rerankResult?.usage),
+        chunksFound: chunks.length,
         processedAt: new Date().toISOString()
       }
     }
-    
+
   } catch (error) {
     console.error('❌ Semantic search failed:', error)
     return {
       success: false,
       error: error.message,
-      legalContext: 'לא ניתן היה לאחזר מידע משפטי רלוונטי.',
+      legalContext: NO_LEGAL_CONTEXT,
       searchQuery: '',
       chunks: []
     }
@@ -253,7 +404,7 @@ export async function searchSimilarLegalCases(extractedFields) {
 }
 
 /**
- * Helper function to create the Supabase RPC function for vector similarity
+ * Helper function to create the Supabase RPC functions for vector and full-text search
  * This should be run once in Supabase SQL editor
  */
 export function getMatchChunksSQL() {
@@ -286,10 +437,45 @@ BEGIN
     data_chunks.legal_reference,
     1 - (data_chunks.embedding <=> query_embedding) AS similarity
   FROM data_chunks
-  WHERE 1 - (data_chunks.embedding <=> query_embedding) > match_threshold
+  WHERE data_chunks.enabled
+    AND 1 - (data_chunks.embedding <=> query_embedding) > match_threshold
   ORDER BY data_chunks.embedding <=> query_embedding
   LIMIT match_count;
 END;
 $$;
+
+-- Create function for full-text search (websearch syntax, e.g. 'מהירות or רמזור')
+CREATE OR REPLACE FUNCTION search_chunks_text (
+  query_text text,
+  match_count int DEFAULT 10
+)
+RETURNS TABLE (
+  id uuid,
+  title text,
+  content text,
+  category text,
+  source text,
+  legal_reference text,
+  rank float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    data_chunks.id,
+    data_chunks.title,
+    data_chunks.content,
+    data_chunks.category,
+    data_chunks.source,
+    data_chunks.legal_reference,
+    ts_rank_cd(data_chunks.fts, websearch_to_tsquery('simple', query_text))::float AS rank
+  FROM data_chunks
+  WHERE data_chunks.enabled
+    AND data_chunks.fts @@ websearch_to_tsquery('simple', query_text)
+  ORDER BY rank DESC
+  LIMIT match_count;
+END;
+$$;
 `
 }
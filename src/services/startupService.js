@@ -1,27 +1,24 @@
 // Startup Service - Test all external connections on server start
-import OpenAI from 'openai'
 import vision from '@google-cloud/vision'
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
+import { DEFAULT_OCR_PROVIDER } from './ocrProviders/index.js'
+import { createChatCompletion, LLM_CONFIG } from './llmProviders/index.js'
 
 dotenv.config()
 
-// Test OpenAI connection
-async function testOpenAIConnection() {
+// Test LLM provider connection
+async function testLLMConnection() {
   try {
-    if (!process.env.OPENAI_API_KEY) {
+    if (LLM_CONFIG.provider === 'openai' && !LLM_CONFIG.apiKey) {
       return { success: false, error: 'OPENAI_API_KEY not configured' }
     }
 
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    })
-
     // Test with a minimal request
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const completion = await createChatCompletion({
+      task: 'healthcheck',
       messages: [{ role: "user", content: "Test" }],
-      max_tokens: 5
+      maxTokens: 5
     })
 
     return { 
@@ -107,16 +104,18 @@ async function testSupabaseConnection() {
 export async function runStartupTests() {
   console.log('\n🔧 Testing external connections...')
   
-  // Test OpenAI
-  const openaiTest = await testOpenAIConnection()
-  if (openaiTest.success) {
-    console.log(`✅ OpenAI: Connected (${openaiTest.model})`)
+  // Test LLM provider
+  const llmTest = await testLLMConnection()
+  if (llmTest.success) {
+    console.log(`✅ LLM (${LLM_CONFIG.provider}): Connected (${llmTest.model})`)
   } else {
-    console.log(`❌ OpenAI: ${openaiTest.error}`)
+    console.log(`❌ LLM (${LLM_CONFIG.provider}): ${llmTest.error}`)
   }
 
-  // Test Google Vision
-  const visionTest = await testGoogleVisionConnection()
+  // Test Google Vision (only needed when it is the configured OCR provider)
+  const visionTest = DEFAULT_OCR_PROVIDER === 'vision'
+    ? await testGoogleVisionConnection()
+    : { success: true, message: `Skipped (OCR provider: ${DEFAULT_OCR_PROVIDER})` }
   if (visionTest.success) {
     console.log(`✅ Google Vision: ${visionTest.message}`)
   } else {
@@ -132,7 +131,7 @@ export async function runStartupTests() {
   }
 
   // Summary
-  const allSuccess = openaiTest.success && visionTest.success && supabaseTest.success
+  const allSuccess = llmTest.success && visionTest.success && supabaseTest.success
   if (allSuccess) {
     console.log('🎉 All external services connected successfully\n')
   } else {
@@ -140,7 +139,7 @@ export async function runStartupTests() {
   }
 
   return {
-    openai: openaiTest,
+    llm: llmTest,
     vision: visionTest,
     supabase: supabaseTest,
     allSuccess
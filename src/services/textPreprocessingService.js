@@ -97,6 +97,35 @@ const TRAFFIC_KEYWORDS = {
   ]
 }
 
+/**
+ * Speed violation fields. Their values are recognized by their own context ("במהירות 112 קמ״ש"),
+ * so they are searched in the whole text instead of keyword lines.
+ */
+export const SPEED_FIELDS = ['measuredSpeed', 'speedLimit', 'enforcementDevice', 'roadType', 'deviceId']
+
+/**
+ * "camera" / "laser" / "radar" from a device description (Hebrew or English)
+ */
+export function normalizeEnforcementDevice(value) {
+  if (!value) return null
+  const text = value.toString().toLowerCase()
+  if (/מצלמ|camera/.test(text)) return 'camera'
+  if (/לייזר|ממל["״]?ז|laser/.test(text)) return 'laser'
+  if (/מכ["״]?ם|ראדאר|רדאר|radar/.test(text)) return 'radar'
+  return null
+}
+
+/**
+ * "urban" / "interurban" from a road description (Hebrew or English)
+ */
+export function detectRoadType(text) {
+  if (!text) return null
+  const value = text.toString().toLowerCase()
+  if (/בינעירונ|שאינה עירונית|לא עירונ|interurban/.test(value)) return 'interurban'
+  if (/עירונ|urban/.test(value)) return 'urban'
+  return null
+}
+
 /**
  * Normalize Unicode characters and clean text
  */
@@ -215,6 +244,35 @@ export function detectFieldTypes(lines) {
   return detectedFields
 }
 
+/**
+ * Parse a date as written on tickets (DD/MM/YYYY, DD.MM.YYYY or YYYY-MM-DD)
+ * Returns a Date at midnight UTC, or null when the value is not a valid date
+ */
+export function parseTicketDate(value) {
+  if (!value) return null
+
+  const text = value.toString().trim()
+  let day, month, year
+
+  const dayFirst = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})/)
+  const isoDate = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+
+  if (dayFirst) {
+    [, day, month, year] = dayFirst
+  } else if (isoDate) {
+    [, year, month, day] = isoDate
+  } else {
+    return null
+  }
+
+  const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)))
+  // Reject overflowing values such as 31/02/2024
+  if (date.getUTCDate() !== parseInt(day) || date.getUTCMonth() !== parseInt(month) - 1) {
+    return null
+  }
+  return date
+}
+
 /**
  * Extract values using pattern matching
  */
@@ -244,8 +302,34 @@ export function extractValuePatterns(text, fieldType) {
     violationType: [
       /\d+\s*\([^)]+\)/g, // number with description in parentheses
       /סעיף\s*\d+[א-ת]*/g // section numbers
+    ],
+    measuredSpeed: [
+      /(?<=במהירות(?:\s+של)?\s*:?\s*)\d{2,3}(?=\s*קמ)/g, // "במהירות 112 קמ״ש"
+      /(?<=ה?מהירות\s+(?:ה?נמדדת|הנסיעה|בפועל)\s*:?\s*)\d{2,3}/g, // "המהירות הנמדדת 112"
+      /\d{2,3}(?=\s*\/\s*\d{2,3}\s*קמ)/g // "76/50 קמ״ש"
+    ],
+    speedLimit: [
+      /(?<=במקום\s*)\d{2,3}(?=\s*קמ)/g, // "במקום 90 קמ״ש"
+      /(?<=ה?מהירות\s+ה?(?:מותרת|מירבית|מרבית)\s*:?\s*)\d{2,3}/g, // "המהירות המותרת 50 קמ״ש"
+      /(?<=\d{2,3}\s*\/\s*)\d{2,3}(?=\s*קמ)/g
+    ],
+    enforcementDevice: [
+      /מצלמ[הת]|לייזר|ממל["״]?ז|מכ["״]ם|ראדאר|רדאר/g
+    ],
+    roadType: [
+      /בינעירונ[יא]ת|שאינה עירונית|עירונ[יא]ת/g
+    ],
+    deviceId: [
+      /(?<=(?:מכשיר|מצלמה)(?:\s+[א-ת"״]+)?\s+(?:מס["'׳]?|מספר)\s*:?\s*)[A-Za-z0-9][A-Za-z0-9-]{2,}/g, // "מכשיר לייזר מס׳ LTI-2045"
+      /(?<=(?:מס["'׳]?|מספר)\s+(?:ה?מכשיר|ה?מצלמה)\s*:?\s*)[A-Za-z0-9][A-Za-z0-9-]{2,}/g // "מספר מכשיר 4411"
     ]
   }
+
+  // Descriptions mapped to the stored values
+  const normalizers = {
+    enforcementDevice: normalizeEnforcementDevice,
+    roadType: detectRoadType
+  }
   
   const fieldPatterns = patterns[fieldType] || []
   const matches = []
@@ -257,7 +341,7 @@ export function extractValuePatterns(text, fieldType) {
     }
   }
   
-  return matches
+  return normalizers[fieldType] ? [...new Set(matches.map(normalizers[fieldType]))] : matches
 }
 
 /**
@@ -291,6 +375,19 @@ export function preprocessOCRText(rawText) {
       }
     }
   }
+
+  // Step 6: Speed violation values anywhere in the text
+  for (const fieldType of SPEED_FIELDS) {
+    const values = extractValuePatterns(correctedText, fieldType)
+
+    if (values.length > 0) {
+      extractedValues[fieldType] = {
+        values: values,
+        confidence: 0.8,
+        source: 'pattern'
+      }
+    }
+  }
   
   return {
     originalText: rawText,
@@ -0,0 +1,262 @@
+import { supabase, GUEST_USER } from '../config/supabase.js'
+import { v4 as uuidv4 } from 'uuid'
+import { USAGE_CONFIG } from '../config/usage.js'
+import { LLM_CONFIG } from '../config/llm.js'
+
+/**
+ * Usage Service - AI token ledger and monthly cost quotas
+ * Every LLM / embedding call made for a report is recorded in `ai_usage` with its estimated cost.
+ * Quotas are checked per company for fleet drivers and API keys, per user otherwise
+ * (all guests share one quota).
+ */
+
+export const QUOTA_ACTIONS = ['block', 'degrade']
+
+// Price of a model, matching versioned names (gpt-4o-mini-2024-07-18) by the longest known prefix
+export function getModelPricing(model) {
+  if (!model) return null
+
+  const match = Object.keys(USAGE_CONFIG.pricing)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0]
+
+  return match ? USAGE_CONFIG.pricing[match] : null
+}
+
+// Usage objects come as { prompt_tokens, ... } from the API and { promptTokens, ... } once stored
+export function normalizeUsage(usage = {}) {
+  const promptTokens = usage.prompt_tokens ?? usage.promptTokens ?? 0
+  const completionTokens = usage.completion_tokens ?? usage.completionTokens ?? 0
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens ?? usage.totalTokens ?? promptTokens + completionTokens
+  }
+}
+
+// Estimated cost in USD
+export function estimateCost(model, usage) {
+  const pricing = getModelPricing(model)
+  if (!pricing) return 0
+
+  const { promptTokens, completionTokens } = normalizeUsage(usage)
+  return (promptTokens * (pricing.input || 0) + completionTokens * (pricing.output || 0)) / 1_000_000
+}
+
+/**
+ * Ledger entries for the AI calls recorded in a report's stored results
+ * Returns [{ task, model, usage }]
+ */
+export function getOCRUsageEntries(ocrResults) {
+  const aiUsage = ocrResults?.aiExtraction?.aiUsage
+  return aiUsage ? [{ task: 'field_extraction', model: aiUsage.model, usage: aiUsage }] : []
+}
+
+export function getAnalysisUsageEntries(analysisResults) {
+  const processingInfo = analysisResults?.processingInfo || {}
+  const entries = []
+
+  if (processingInfo.aiUsage) {
+    entries.push({ task: 'violation_analysis', model: processingInfo.aiModel, usage: processingInfo.aiUsage })
+  }
+  if (processingInfo.embeddingUsage) {
+    entries.push({ task: 'legal_search_embedding', model: LLM_CONFIG.embeddingModel, usage: processingInfo.embeddingUsage })
+  }
+  if (processingInfo.rerankUsage) {
+    entries.push({ task: 'legal_rerank', model: processingInfo.rerankModel, usage: processingInfo.rerankUsage })
+  }
+
+  return entries
+}
+
+export function getAppealLetterUsageEntries(letter) {
+  const generationInfo = letter?.generationInfo || {}
+  return generationInfo.aiUsage ? [{ task: 'appeal_letter', model: generationInfo.aiModel, usage: generationInfo.aiUsage }] : []
+}
+
+/**
+ * Record AI calls in the ledger (best effort - a failed insert never fails processing)
+ * context: { userId, companyId, reportId, jobId } - with a jobId, a task already recorded for the job is skipped
+ */
+export const recordAIUsage = async (context, entries) => {
+  if (entries.length === 0) {
+    return { success: true, recorded: 0 }
+  }
+
+  try {
+    const rows = entries.map(({ task, model, usage }) => {
+      const { promptTokens, completionTokens, totalTokens } = normalizeUsage(usage)
+      return {
+        id: uuidv4(),
+        user_id: context.userId || null,
+        company_id: context.companyId || null,
+        report_id: context.reportId || null,
+        job_id: context.jobId || null,
+        task,
+        provider: LLM_CONFIG.provider,
+        model: model || null,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: totalTokens,
+        // Local and mock providers run no paid API calls
+        cost_usd: LLM_CONFIG.provider === 'openai' ? estimateCost(model, usage) : 0,
+        created_at: new Date().toISOString()
+      }
+    })
+
+    const { error } = context.jobId
+      ? await supabase.from('ai_usage').upsert(rows, { onConflict: 'job_id,task', ignoreDuplicates: true })
+      : await supabase.from('ai_usage').insert(rows)
+    if (error) {
+      console.warn('⚠️ Failed to record AI usage:', error.message)
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, recorded: rows.length }
+  } catch (error) {
+    console.warn('⚠️ Failed to record AI usage:', error.message)
+    return { success: false, error: error.message }
+  }
+}
+
+export function getMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+}
+
+export function isValidMonth(month) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(month)
+}
+
+// Month range for 'YYYY-MM' (default: the current month)
+export function getMonthRange(month = null) {
+  const start = month ? new Date(`${month}-01T00:00:00Z`) : getMonthStart()
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+  return { from: start.toISOString(), to: end.toISOString() }
+}
+
+const EMPTY_TOTALS = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 }
+
+/**
+ * Ledger totals summed in the database (ai_usage_totals), so no row limit applies
+ * groupBy: task | model | user_id | company_id | report_id, or null for one overall total;
+ * groups come highest cost first (company_id / report_id groups skip rows without one)
+ * Returns [{ key, calls, promptTokens, completionTokens, totalTokens, costUsd }]
+ */
+async function getLedgerTotals(filter, range, groupBy = null, limit = null) {
+  const { data, error } = await supabase.rpc('ai_usage_totals', {
+    p_from: range.from,
+    p_to: range.to,
+    p_company_id: filter.companyId || null,
+    p_user_id: filter.userId || null,
+    p_report_id: filter.reportId || null,
+    p_group_by: groupBy,
+    p_limit: limit
+  })
+
+  if (error) {
+    throw new Error(error.message)
+  }
+
+  return data.map(row => ({
+    key: row.group_key,
+    calls: Number(row.calls),
+    promptTokens: Number(row.prompt_tokens),
+    completionTokens: Number(row.completion_tokens),
+    totalTokens: Number(row.total_tokens),
+    costUsd: Number(row.cost_usd)
+  }))
+}
+
+// Quota that applies to a principal: { scope, limit, action }
+async function resolveQuota({ userId, companyId }) {
+  if (companyId) {
+    const { data: company } = await supabase
+      .from('companies')
+      .select('settings')
+      .eq('id', companyId)
+      .maybeSingle()
+
+    const usageSettings = company?.settings?.usage || {}
+    return {
+      scope: 'company',
+      limit: usageSettings.monthlyCostLimit !== undefined && usageSettings.monthlyCostLimit !== null
+        ? usageSettings.monthlyCostLimit
+        : USAGE_CONFIG.monthlyLimits.company,
+      action: QUOTA_ACTIONS.includes(usageSettings.exceededAction) ? usageSettings.exceededAction : USAGE_CONFIG.exceededAction
+    }
+  }
+
+  if (userId === GUEST_USER.id) {
+    return { scope: 'guest', limit: USAGE_CONFIG.monthlyLimits.guest, action: USAGE_CONFIG.guestExceededAction }
+  }
+
+  return { scope: 'user', limit: USAGE_CONFIG.monthlyLimits.user, action: USAGE_CONFIG.exceededAction }
+}
+
+/**
+ * Check the monthly quota of a principal
+ * principal: { userId, companyId }
+ * Returns { exceeded, action, scope, spent, limit, aiEnabled } - aiEnabled is false once the quota is used up
+ */
+export const checkUsageQuota = async (principal) => {
+  try {
+    const quota = await resolveQuota(principal)
+    if (quota.limit === null || quota.limit <= 0) {
+      return { success: true, ...quota, limit: null, spent: null, exceeded: false, aiEnabled: true }
+    }
+
+    const filter = quota.scope === 'company' ? { companyId: principal.companyId } : { userId: principal.userId }
+    const [totals = EMPTY_TOTALS] = await getLedgerTotals(filter, getMonthRange())
+    const spent = totals.costUsd
+    const exceeded = spent >= quota.limit
+
+    return { success: true, ...quota, spent, exceeded, aiEnabled: !exceeded }
+  } catch (error) {
+    // Never block processing because the ledger is unavailable
+    console.warn('⚠️ Usage quota check failed:', error.message)
+    return { success: false, error: error.message, exceeded: false, aiEnabled: true }
+  }
+}
+
+// Quota principal of a request user (API keys and fleet drivers count against their company)
+export function getRequestPrincipal(user) {
+  return {
+    userId: user.authType === 'api_key' ? null : user.id,
+    companyId: user.company_id || null
+  }
+}
+
+async function groupBy(filter, range, key, limit = null) {
+  const groups = await getLedgerTotals(filter, range, key, limit)
+  return groups.map(group => ({
+    [key]: group.key || 'unknown',
+    calls: group.calls,
+    totalTokens: group.totalTokens,
+    costUsd: group.costUsd
+  }))
+}
+
+/**
+ * Usage totals for a month
+ * filter: { userId } | { companyId } | { reportId } | {} (everything); month: 'YYYY-MM'
+ */
+export const getUsageSummary = async (filter = {}, month = null) => {
+  try {
+    const range = getMonthRange(month)
+    const [{ key, ...totals } = EMPTY_TOTALS] = await getLedgerTotals(filter, range)
+
+    return {
+      success: true,
+      from: range.from,
+      to: range.to,
+      totals,
+      byTask: await groupBy(filter, range, 'task'),
+      byModel: await groupBy(filter, range, 'model'),
+      byUser: filter.userId ? undefined : await groupBy(filter, range, 'user_id'),
+      byCompany: filter.companyId || filter.userId ? undefined : await groupBy(filter, range, 'company_id'),
+      byReport: filter.reportId ? undefined : await groupBy(filter, range, 'report_id', 20)
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}